@@ -0,0 +1,493 @@
+// Evaluation harness for the parse pipeline.
+// Parses every brief in eval/golden with a provider, scores the tasks against the expected ones
+// and saves the run to eval/results, optionally comparing it with an earlier run.
+//
+// Usage: node eval/run.js [--provider heuristic] [--prompt version] [--label name] [--threshold 0.5]
+//                         [--brief name] [--compare eval/results/other.json] [--corrections file.json] [--verbose]
+
+const path = require('path');
+const fs = require('fs');
+
+// Corrections change the prompt, so runs use none (or the fixture given with --corrections) instead of
+// the local corrections store, which keeps them reproducible. The server reads the path when it is required.
+const correctionsIndex = process.argv.indexOf('--corrections');
+const CORRECTIONS_FIXTURE = correctionsIndex !== -1 && process.argv[correctionsIndex + 1]
+    ? path.resolve(process.argv[correctionsIndex + 1])
+    : null;
+process.env.CORRECTIONS_PATH = CORRECTIONS_FIXTURE || path.join(__dirname, 'no-corrections.json');
+
+const {
+    PROVIDER_FACTORIES,
+    resolvePrompt,
+    createProvider,
+    parseInChunks,
+    attachTaskSources,
+    calculateTextSimilarity
+} = require('../server');
+
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+const RESULTS_DIR = path.join(__dirname, 'results');
+const DEFAULT_DEPARTMENTS_PATH = path.join(__dirname, '..', 'config', 'departments.json');
+
+// Minimum word overlap (Jaccard similarity) for a parsed task to count as an expected one
+const DEFAULT_MATCH_THRESHOLD = 0.5;
+
+/**
+ * Reads the command line options
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {object} - { provider, prompt, label, threshold, brief, compare, corrections, verbose }
+ */
+function parseArgs(args) {
+    const options = { threshold: DEFAULT_MATCH_THRESHOLD, verbose: false };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--verbose') {
+            options.verbose = true;
+        } else if (['--provider', '--prompt', '--label', '--threshold', '--brief', '--compare', '--corrections'].includes(arg) && args[i + 1]) {
+            options[arg.slice(2)] = args[++i];
+        } else {
+            throw new Error(`Unknown or incomplete option "${arg}".`);
+        }
+    }
+
+    options.threshold = parseFloat(options.threshold);
+    if (!(options.threshold > 0 && options.threshold <= 1)) {
+        throw new Error('--threshold must be a number between 0 and 1.');
+    }
+
+    return options;
+}
+
+/**
+ * Loads the golden briefs, using the shipped department configuration for briefs that do not set their own
+ * @param {string} [only] - Name of a single brief to load
+ * @returns {Array<object>} - Briefs as { name, description, instructions, departments, expected }
+ */
+function loadGoldenBriefs(only) {
+    const shipped = JSON.parse(fs.readFileSync(DEFAULT_DEPARTMENTS_PATH, 'utf8')).departments
+        .slice()
+        .sort((a, b) => a.order - b.order);
+
+    const briefs = fs.readdirSync(GOLDEN_DIR)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => {
+            const brief = JSON.parse(fs.readFileSync(path.join(GOLDEN_DIR, file), 'utf8'));
+            const departments = (brief.departments || shipped).map(department => ({
+                name: department.name,
+                description: department.description || ''
+            }));
+            return { ...brief, name: brief.name || path.basename(file, '.json'), departments };
+        });
+
+    if (only) {
+        const brief = briefs.find(candidate => candidate.name === only);
+        if (!brief) {
+            throw new Error(`No golden brief named "${only}".`);
+        }
+        return [brief];
+    }
+    return briefs;
+}
+
+/**
+ * Pairs parsed tasks with expected tasks, most similar pairs first. Each task is used at most once
+ * and department is ignored here so misclassified tasks can be told apart from missed ones.
+ * @param {Array<object>} parsed - Parsed tasks as { department, text }
+ * @param {Array<object>} expected - Expected tasks as { department, text }
+ * @param {number} threshold - Minimum similarity for a pair
+ * @returns {Array<object>} - Pairs as { parsed, expected, similarity }
+ */
+function matchTasks(parsed, expected, threshold) {
+    const candidates = [];
+    parsed.forEach((parsedTask, parsedIndex) => {
+        expected.forEach((expectedTask, expectedIndex) => {
+            const similarity = calculateTextSimilarity(parsedTask.text, expectedTask.text);
+            if (similarity >= threshold) {
+                candidates.push({ parsedIndex, expectedIndex, similarity });
+            }
+        });
+    });
+    candidates.sort((a, b) => b.similarity - a.similarity);
+
+    const usedParsed = new Set();
+    const usedExpected = new Set();
+    const pairs = [];
+    candidates.forEach(candidate => {
+        if (usedParsed.has(candidate.parsedIndex) || usedExpected.has(candidate.expectedIndex)) {
+            return;
+        }
+        usedParsed.add(candidate.parsedIndex);
+        usedExpected.add(candidate.expectedIndex);
+        pairs.push({
+            parsed: parsed[candidate.parsedIndex],
+            expected: expected[candidate.expectedIndex],
+            similarity: candidate.similarity
+        });
+    });
+
+    return pairs;
+}
+
+/**
+ * Flattens department-grouped tasks into a list
+ * @param {object} data - Tasks grouped by department
+ * @returns {Array<object>} - Tasks as { department, text, verified }
+ */
+function flattenTasks(data) {
+    const tasks = [];
+    for (const department in data) {
+        data[department].forEach(task => {
+            tasks.push({
+                department,
+                text: typeof task === 'string' ? task : task.text,
+                verified: typeof task === 'object' ? task.verified !== false : true
+            });
+        });
+    }
+    return tasks;
+}
+
+/**
+ * Divides, returning null instead of NaN when there is nothing to measure
+ * @param {number} numerator - Numerator
+ * @param {number} denominator - Denominator
+ * @returns {number|null} - Ratio, or null if the denominator is 0
+ */
+function ratio(numerator, denominator) {
+    return denominator === 0 ? null : numerator / denominator;
+}
+
+/**
+ * Calculates the F1 score from precision and recall
+ * @param {number|null} precision - Precision
+ * @param {number|null} recall - Recall
+ * @returns {number|null} - F1 score
+ */
+function f1Score(precision, recall) {
+    if (precision === null || recall === null) {
+        return null;
+    }
+    return precision + recall === 0 ? 0 : (2 * precision * recall) / (precision + recall);
+}
+
+/**
+ * Scores one parsed brief against its expected tasks
+ * @param {object} brief - Golden brief
+ * @param {object} data - Parsed tasks grouped by department, with sources attached
+ * @param {number} threshold - Minimum similarity for a parsed task to match an expected one
+ * @returns {object} - Counts per department and the missed, extra, misclassified and unverified tasks
+ */
+function scoreBrief(brief, data, threshold) {
+    const parsed = flattenTasks(data);
+    const expected = flattenTasks(brief.expected);
+    const pairs = matchTasks(parsed, expected, threshold);
+
+    const departments = {};
+    const countFor = (department) => {
+        if (!departments[department]) {
+            departments[department] = { parsed: 0, expected: 0, correct: 0 };
+        }
+        return departments[department];
+    };
+    parsed.forEach(task => countFor(task.department).parsed++);
+    expected.forEach(task => countFor(task.department).expected++);
+
+    const misclassified = [];
+    pairs.forEach(pair => {
+        if (pair.parsed.department === pair.expected.department) {
+            countFor(pair.parsed.department).correct++;
+        } else {
+            misclassified.push({ text: pair.parsed.text, parsedAs: pair.parsed.department, expectedIn: pair.expected.department });
+        }
+    });
+
+    const matchedParsed = new Set(pairs.map(pair => pair.parsed));
+    const matchedExpected = new Set(pairs.map(pair => pair.expected));
+    const correct = pairs.length - misclassified.length;
+
+    return {
+        departments,
+        parsed: parsed.length,
+        expected: expected.length,
+        matched: pairs.length,
+        correct,
+        unverified: parsed.filter(task => !task.verified).length,
+        exactMatch: correct === expected.length && correct === parsed.length,
+        missed: expected.filter(task => !matchedExpected.has(task)).map(task => ({ department: task.department, text: task.text })),
+        extra: parsed.filter(task => !matchedParsed.has(task)).map(task => ({ department: task.department, text: task.text })),
+        misclassified
+    };
+}
+
+/**
+ * Adds up the per-brief scores into the run's metrics
+ * @param {Array<object>} briefs - Per-brief results with score
+ * @returns {object} - Overall and per-department precision, recall and F1, plus rates
+ */
+function summarizeScores(briefs) {
+    const totals = { parsed: 0, expected: 0, matched: 0, correct: 0, unverified: 0, exactMatches: 0, errors: 0 };
+    const departments = {};
+
+    briefs.forEach(({ score, error }) => {
+        if (error) {
+            totals.errors++;
+        }
+        ['parsed', 'expected', 'matched', 'correct', 'unverified'].forEach(key => {
+            totals[key] += score[key];
+        });
+        if (score.exactMatch) {
+            totals.exactMatches++;
+        }
+        for (const department in score.departments) {
+            const counts = score.departments[department];
+            const total = departments[department] || (departments[department] = { parsed: 0, expected: 0, correct: 0 });
+            total.parsed += counts.parsed;
+            total.expected += counts.expected;
+            total.correct += counts.correct;
+        }
+    });
+
+    const precision = ratio(totals.correct, totals.parsed);
+    const recall = ratio(totals.correct, totals.expected);
+    const perDepartment = {};
+    for (const department in departments) {
+        const counts = departments[department];
+        const departmentPrecision = ratio(counts.correct, counts.parsed);
+        const departmentRecall = ratio(counts.correct, counts.expected);
+        perDepartment[department] = {
+            ...counts,
+            precision: departmentPrecision,
+            recall: departmentRecall,
+            f1: f1Score(departmentPrecision, departmentRecall)
+        };
+    }
+
+    return {
+        ...totals,
+        briefs: briefs.length,
+        precision,
+        recall,
+        f1: f1Score(precision, recall),
+        // Share of expected tasks found at all, whatever department they were put in
+        extractionRecall: ratio(totals.matched, totals.expected),
+        // Share of matched tasks put in the expected department
+        classificationAccuracy: ratio(totals.correct, totals.matched),
+        // Share of parsed tasks whose quote is not in the brief
+        hallucinationRate: ratio(totals.unverified, totals.parsed),
+        exactMatchRate: ratio(totals.exactMatches, briefs.length),
+        departments: perDepartment
+    };
+}
+
+/**
+ * Parses every brief with the provider and scores the results
+ * @param {object} llm - Provider from the server's provider factories
+ * @param {object} prompt - Prompt from the server's resolvePrompt
+ * @param {Array<object>} briefs - Golden briefs
+ * @param {object} options - Parsed command line options
+ * @returns {Promise<object>} - The run, as saved to eval/results
+ */
+async function runEvaluation(llm, prompt, briefs, options) {
+    const results = [];
+
+    for (const brief of briefs) {
+        const startedAt = Date.now();
+        let data = {};
+        let error = null;
+
+        try {
+            const parsed = await parseInChunks(llm, brief.instructions, brief.departments, { prompt });
+            data = attachTaskSources(parsed, brief.instructions);
+        } catch (parseError) {
+            error = parseError.message;
+        }
+
+        const score = scoreBrief(brief, data, options.threshold);
+        results.push({ name: brief.name, durationMs: Date.now() - startedAt, error, score, data });
+        process.stdout.write(`  ${brief.name}: ${error ? `error (${error})` : `${score.correct}/${score.expected} correct, ${score.parsed} parsed`}\n`);
+    }
+
+    return {
+        label: options.label,
+        provider: llm.name,
+        model: llm.model,
+        promptVersion: prompt.version,
+        corrections: options.corrections || null,
+        threshold: options.threshold,
+        createdAt: new Date().toISOString(),
+        summary: summarizeScores(results),
+        briefs: results
+    };
+}
+
+/**
+ * Formats a metric for the report
+ * @param {number|null} value - Ratio between 0 and 1
+ * @returns {string} - Percentage, or "-" when there was nothing to measure
+ */
+function formatPercent(value) {
+    return value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Formats the change of a metric between two runs
+ * @param {number|null} current - Metric in this run
+ * @param {number|null} previous - Metric in the earlier run
+ * @param {boolean} [lowerIsBetter] - Whether a decrease is an improvement
+ * @returns {string} - Signed change in percentage points, marked when it is a regression
+ */
+function formatDelta(current, previous, lowerIsBetter = false) {
+    if (current === null || current === undefined || previous === null || previous === undefined) {
+        return '-';
+    }
+    const delta = (current - previous) * 100;
+    if (Math.abs(delta) < 0.05) {
+        return '0.0';
+    }
+    const worse = lowerIsBetter ? delta > 0 : delta < 0;
+    return `${delta > 0 ? '+' : ''}${delta.toFixed(1)}${worse ? ' !' : ''}`;
+}
+
+/**
+ * Builds the text report of a run, with a column comparing it to an earlier run if given
+ * @param {object} run - This run
+ * @param {object} [previous] - Earlier run to compare with
+ * @returns {string} - Report text
+ */
+function buildReport(run, previous) {
+    const lines = [];
+    const summary = run.summary;
+    const before = previous ? previous.summary : null;
+    const row = (label, key, lowerIsBetter) => {
+        const cells = [label.padEnd(26), formatPercent(summary[key]).padStart(8)];
+        if (before) {
+            cells.push(formatPercent(before[key]).padStart(8), formatDelta(summary[key], before[key], lowerIsBetter).padStart(8));
+        }
+        return cells.join(' ');
+    };
+
+    lines.push(`Run "${run.label}": ${run.provider} (${run.model}), prompt v${run.promptVersion}, ${summary.briefs} briefs, match threshold ${run.threshold}`);
+    if (previous) {
+        lines.push(`Compared with "${previous.label}": ${previous.provider} (${previous.model}), prompt v${previous.promptVersion}`);
+    }
+    lines.push('');
+    lines.push(['Metric'.padEnd(26), 'Run'.padStart(8), ...(previous ? ['Before'.padStart(8), 'Change'.padStart(8)] : [])].join(' '));
+    lines.push(row('Precision', 'precision'));
+    lines.push(row('Recall', 'recall'));
+    lines.push(row('F1', 'f1'));
+    lines.push(row('Extraction recall', 'extractionRecall'));
+    lines.push(row('Classification accuracy', 'classificationAccuracy'));
+    lines.push(row('Hallucination rate', 'hallucinationRate', true));
+    lines.push(row('Exact match', 'exactMatchRate'));
+    if (summary.errors) {
+        lines.push(`${summary.errors} brief(s) failed to parse`);
+    }
+
+    lines.push('');
+    lines.push(['Department'.padEnd(16), 'Precision'.padStart(10), 'Recall'.padStart(10), 'F1'.padStart(10), ...(previous ? ['F1 change'.padStart(10)] : [])].join(' '));
+    for (const department in summary.departments) {
+        const metrics = summary.departments[department];
+        const earlier = before && before.departments[department];
+        lines.push([
+            department.padEnd(16),
+            formatPercent(metrics.precision).padStart(10),
+            formatPercent(metrics.recall).padStart(10),
+            formatPercent(metrics.f1).padStart(10),
+            ...(previous ? [formatDelta(metrics.f1, earlier ? earlier.f1 : null).padStart(10)] : [])
+        ].join(' '));
+    }
+
+    if (previous) {
+        const changes = [];
+        run.briefs.forEach(brief => {
+            const earlier = previous.briefs.find(candidate => candidate.name === brief.name);
+            if (!earlier) {
+                changes.push(`  ${brief.name}: new brief`);
+            } else if (brief.score.exactMatch !== earlier.score.exactMatch || brief.score.correct !== earlier.score.correct) {
+                changes.push(`  ${brief.name}: ${earlier.score.correct} -> ${brief.score.correct} of ${brief.score.expected} correct` +
+                    (brief.score.exactMatch !== earlier.score.exactMatch ? (brief.score.exactMatch ? ', now exact' : ', no longer exact') : ''));
+            }
+        });
+        lines.push('');
+        lines.push(changes.length ? 'Changed briefs:' : 'No brief changed.');
+        lines.push(...changes);
+    }
+
+    lines.push('');
+    run.briefs.forEach(brief => {
+        const { missed, extra, misclassified } = brief.score;
+        if (!missed.length && !extra.length && !misclassified.length) {
+            return;
+        }
+        lines.push(`${brief.name}:`);
+        misclassified.forEach(task => lines.push(`  misclassified: "${task.text}" in ${task.parsedAs}, expected ${task.expectedIn}`));
+        missed.forEach(task => lines.push(`  missed (${task.department}): "${task.text}"`));
+        extra.forEach(task => lines.push(`  extra (${task.department}): "${task.text}"`));
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Runs the evaluation from the command line
+ * @returns {Promise<void>}
+ */
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    let llm;
+    if (options.provider) {
+        const factory = PROVIDER_FACTORIES[options.provider];
+        if (!factory) {
+            throw new Error(`Unknown provider "${options.provider}". Expected one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}.`);
+        }
+        llm = factory();
+    } else {
+        llm = createProvider();
+    }
+
+    const prompt = resolvePrompt(options.prompt);
+    if (!prompt) {
+        throw new Error(`Unknown prompt version "${options.prompt}".`);
+    }
+
+    if (CORRECTIONS_FIXTURE && !fs.existsSync(CORRECTIONS_FIXTURE)) {
+        throw new Error(`Corrections file "${options.corrections}" not found.`);
+    }
+
+    const briefs = loadGoldenBriefs(options.brief);
+    options.label = options.label || `${llm.name}-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    const previous = options.compare ? JSON.parse(fs.readFileSync(options.compare, 'utf8')) : null;
+
+    // The pipeline logs every request; keep the report readable unless asked for the logs
+    const log = console.log;
+    const warn = console.warn;
+    if (!options.verbose) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+
+    process.stdout.write(`Evaluating ${briefs.length} briefs with ${llm.name} (${llm.model}), prompt v${prompt.version}\n`);
+    let run;
+    try {
+        run = await runEvaluation(llm, prompt, briefs, options);
+    } finally {
+        console.log = log;
+        console.warn = warn;
+    }
+
+    fs.mkdirSync(RESULTS_DIR, { recursive: true });
+    const resultPath = path.join(RESULTS_DIR, `${run.label}.json`);
+    fs.writeFileSync(resultPath, JSON.stringify(run, null, 2));
+
+    console.log('');
+    console.log(buildReport(run, previous));
+    console.log(`Saved to ${path.relative(process.cwd(), resultPath)}`);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
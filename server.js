@@ -5,18 +5,66 @@ try {
     // dotenv not installed, use system environment variables
 }
 
-const USE_MOCK_AI = true; 
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { WebSocketServer, WebSocket } = require('ws');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Where saved checklists are persisted (one JSON file keyed by document ID)
+const CHECKLIST_STORE_PATH = process.env.CHECKLIST_STORE_PATH || path.join(__dirname, 'data', 'checklists.json');
+
+// Where the team's corrections of parsed tasks are stored, how many are kept, and how many of the
+// most relevant ones are added to the prompt as examples (0 disables the examples)
+const CORRECTIONS_PATH = process.env.CORRECTIONS_PATH || path.join(__dirname, 'data', 'corrections.json');
+const MAX_STORED_CORRECTIONS = 500;
+const CORRECTION_EXAMPLES = process.env.CORRECTION_EXAMPLES !== undefined ? parseInt(process.env.CORRECTION_EXAMPLES, 10) || 0 : 5;
+
+// Share of a correction's words that must appear in a brief for it to be used as an example there
+const CORRECTION_MIN_RELEVANCE = 0.5;
+
+// Department taxonomy shipped with the add-on, and where the team's edited copy is saved
+const DEFAULT_DEPARTMENTS_PATH = path.join(__dirname, 'config', 'departments.json');
+const DEPARTMENTS_PATH = process.env.DEPARTMENTS_PATH || path.join(__dirname, 'data', 'departments.json');
+
+// Versioned system prompt templates, and where the team's choice of default version is saved
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(__dirname, 'config', 'prompts');
+const PROMPT_SETTINGS_PATH = process.env.PROMPT_SETTINGS_PATH || path.join(__dirname, 'data', 'prompt-settings.json');
+
+// Briefs longer than CHUNK_SIZE characters are split into overlapping chunks parsed in parallel
+const CHUNK_SIZE = parseInt(process.env.CHUNK_SIZE, 10) || 12000;
+const CHUNK_OVERLAP = Math.min(parseInt(process.env.CHUNK_OVERLAP, 10) || 800, Math.floor(CHUNK_SIZE / 4));
+const CHUNK_CONCURRENCY = parseInt(process.env.CHUNK_CONCURRENCY, 10) || 3;
+
+// Tasks sharing at least this much of their wording are treated as duplicates across chunks
+const DUPLICATE_SIMILARITY_THRESHOLD = 0.8;
+
+// Parse response cache: entry limit, lifetime (0 disables caching) and optional file to persist it to
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 100;
+const CACHE_TTL_SECONDS = process.env.CACHE_TTL_SECONDS !== undefined ? parseInt(process.env.CACHE_TTL_SECONDS, 10) || 0 : 86400;
+const CACHE_PATH = process.env.CACHE_PATH || null;
+
+// Largest brief file accepted by /api/parse-file
+const FILE_UPLOAD_LIMIT = process.env.FILE_UPLOAD_LIMIT || '10mb';
+
+// LLM request timeout, retries with exponential backoff on rate limits, outages and timeouts,
+// and re-prompts asking the model to fix output that is not valid department JSON
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS, 10) || 60000;
+const LLM_MAX_RETRIES = process.env.LLM_MAX_RETRIES !== undefined ? parseInt(process.env.LLM_MAX_RETRIES, 10) || 0 : 2;
+const LLM_RETRY_BASE_DELAY_MS = parseInt(process.env.LLM_RETRY_BASE_DELAY_MS, 10) || 1000;
+const LLM_RETRY_MAX_DELAY_MS = 30000;
+const LLM_REPAIR_ATTEMPTS = process.env.LLM_REPAIR_ATTEMPTS !== undefined ? parseInt(process.env.LLM_REPAIR_ATTEMPTS, 10) || 0 : 1;
+
+// Fall back to the offline heuristic parser when the LLM call fails (set LLM_FALLBACK=false to return the error instead)
+const LLM_FALLBACK = process.env.LLM_FALLBACK !== 'false';
+
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors({ exposedHeaders: ['X-Cache', 'Age', 'X-Parser', 'X-Prompt-Version'] }));
+app.use(express.json({ limit: '1mb' }));
 
 const MOCK_RESPONSE = {
     Marketing: [
@@ -48,54 +96,147 @@ const MOCK_RESPONSE = {
     ]
   };
   
-// System prompt for parsing design instructions
-const SYSTEM_PROMPT = `You are a design instruction parser. Your task is to extract actionable tasks from unstructured design instructions and organize them by department.
-
-Departments:
-- Marketing: Tasks related to marketing campaigns, social media, advertising, content creation, SEO, email marketing
-- Product: Tasks related to product development, features, user experience, technical implementation
-- Legal: Tasks related to compliance, terms of service, privacy policies, legal reviews, contracts
-- Brand: Tasks related to brand identity, logo, visual guidelines, brand consistency, style guides
-- Other: Any tasks that don't fit into the above categories
-
-Instructions:
-1. Read the user's design instructions carefully
-2. Extract all actionable tasks
-3. Group tasks by the appropriate department
-4. Each task should be a clear, actionable item
-5. Return ONLY valid JSON in the following format (no markdown, no explanations, no code blocks):
-{
-  "Marketing": [],
-  "Product": [],
-  "Legal": [],
-  "Brand": [],
-  "Other": []
-}
-
-Important:
-- Return ONLY the JSON object, nothing else
-- If a department has no tasks, use an empty array []
-- Do not wrap the JSON in markdown code blocks
-- Do not include any explanations or additional text
-- Ensure all strings are properly escaped in JSON
-
-Critical:
-- Do NOT infer or invent tasks that are not explicitly stated.
-- If something is vague, keep the task wording vague.
-- Do NOT improve, optimize, or rephrase beyond clarity.`;
+// Placeholders a prompt template can use, written as {{name}}
+const PROMPT_PLACEHOLDERS = {
+    departments: 'The configured departments, one "- Name: description" line each',
+    jsonFormat: 'The department keys of the expected JSON output',
+    language: 'The language to write tasks in (the language of the instructions unless the request sets one)',
+    houseStyle: 'A "House style:" section listing the houseStyle rules of the prompt manifest, or nothing if there are none',
+    examples: 'The team\'s past corrections most relevant to the instructions, or nothing if there are none'
+};
+
+// Longest output language name accepted in a request
+const MAX_LANGUAGE_LENGTH = 40;
+
+/**
+ * Loads the prompt templates listed in the manifest (index.json) of the prompts directory.
+ * Templates are read on every call, so new versions and default changes apply without a restart.
+ * @returns {object} - { defaultVersion, houseStyle, prompts } where prompts are {version, description, template}
+ */
+function loadPromptTemplates() {
+    const manifest = readJsonFile(path.join(PROMPTS_DIR, 'index.json'), { prompts: [] });
+    const prompts = manifest.prompts.map(entry => ({
+        version: String(entry.version),
+        description: entry.description || '',
+        template: fs.readFileSync(path.join(PROMPTS_DIR, entry.file), 'utf8').trimEnd()
+    }));
+
+    if (prompts.length === 0) {
+        throw new Error(`No prompt templates are listed in ${path.join(PROMPTS_DIR, 'index.json')}.`);
+    }
+
+    // A default saved through the API (e.g. a rollback) wins over the manifest's, as long as it still exists
+    const settings = readJsonFile(PROMPT_SETTINGS_PATH, {});
+    const defaultVersion = [settings.defaultVersion, manifest.default]
+        .map(version => version === undefined ? undefined : String(version))
+        .find(version => prompts.some(prompt => prompt.version === version)) || prompts[prompts.length - 1].version;
+
+    return {
+        defaultVersion,
+        houseStyle: Array.isArray(manifest.houseStyle) ? manifest.houseStyle : [],
+        prompts
+    };
+}
+
+/**
+ * Resolves the prompt a parse should use
+ * @param {string} [version] - Template version, or the default version if omitted
+ * @param {string} [language] - Language to write tasks in, or the language of the instructions if omitted
+ * @returns {object|null} - { version, template, language, houseStyle }, or null if there is no such version
+ */
+function resolvePrompt(version, language) {
+    const { defaultVersion, houseStyle, prompts } = loadPromptTemplates();
+    const selected = prompts.find(prompt => prompt.version === String(version || defaultVersion));
+
+    if (!selected) {
+        return null;
+    }
+
+    return {
+        version: selected.version,
+        template: selected.template,
+        language: language || null,
+        houseStyle
+    };
+}
+
+/**
+ * Reads the prompt options of a parse request (promptVersion and language)
+ * @param {object} options - Request body or query
+ * @returns {object} - { prompt } on success, or { error } with a message for a 400 response
+ */
+function readPromptOptions(options) {
+    const { promptVersion, language } = options || {};
+
+    if (promptVersion !== undefined && (typeof promptVersion !== 'string' || !promptVersion.trim())) {
+        return { error: 'promptVersion must be a non-empty string.' };
+    }
+    if (language !== undefined && (typeof language !== 'string' || !language.trim() || language.length > MAX_LANGUAGE_LENGTH)) {
+        return { error: `language must be a non-empty string of at most ${MAX_LANGUAGE_LENGTH} characters.` };
+    }
+
+    const prompt = resolvePrompt(promptVersion && promptVersion.trim(), language && language.trim());
+    if (!prompt) {
+        return { error: `Unknown prompt version "${promptVersion}". See GET /api/prompts for the available versions.` };
+    }
+    return { prompt };
+}
+
+/**
+ * Builds the system prompt for parsing design instructions by filling in a prompt template
+ * @param {Array<object>} departments - Department configuration ({name, description}), in display order
+ * @param {object} [prompt] - Prompt from resolvePrompt; the default version if omitted
+ * @param {Array<object>} [corrections] - Past corrections to show as examples, from findRelevantCorrections
+ * @returns {string} - System prompt listing the departments and expected JSON format
+ */
+function buildSystemPrompt(departments, prompt = resolvePrompt(), corrections = []) {
+    const departmentList = departments
+        .map(department => `- ${department.name}: ${department.description}`)
+        .join('\n');
+    const jsonFormat = departments
+        .map((department, index) => index === 0
+            ? `  ${JSON.stringify(department.name)}: [{ "text": "Actionable task", "quote": "exact words from the instructions", "assignee": null, "dueDate": null, "priority": null, "page": null, "tags": [] }]`
+            : `  ${JSON.stringify(department.name)}: []`)
+        .join(',\n');
+    const values = {
+        departments: departmentList,
+        jsonFormat,
+        language: prompt.language || 'the same language as the instructions',
+        houseStyle: prompt.houseStyle.length
+            ? `House style:\n${prompt.houseStyle.map(rule => `- ${rule}`).join('\n')}`
+            : '',
+        examples: corrections.length
+            ? `Corrections made by this team's reviewers to earlier results. Follow them when the instructions contain similar tasks:\n${corrections.map(formatCorrectionExample).join('\n')}`
+            : ''
+    };
+
+    return prompt.template
+        .replace(/\{\{(\w+)\}\}/g, (placeholder, name) => (name in values ? values[name] : placeholder))
+        // Placeholders that render empty should not leave a gap
+        .replace(/\n{3,}/g, '\n\n');
+}
 
 /**
  * Formats the prompt with user instructions
  * @param {string} userInstructions - The unstructured design instructions from the user
- * @returns {string} - Formatted prompt for OpenAI API
+ * @param {string} [source] - Where the instructions were extracted from (e.g. 'PDF document "brief.pdf"')
+ * @returns {string} - Formatted prompt for the LLM provider
  */
-function formatPrompt(userInstructions) {
-    return `Parse the following design instructions and extract actionable tasks grouped by department:\n\n${userInstructions}`;
+function formatPrompt(userInstructions, source) {
+    if (!source) {
+        return `Parse the following design instructions and extract actionable tasks grouped by department:\n\n${userInstructions}`;
+    }
+
+    // Extracted files keep their structure, which helps with grouping and page numbers
+    return `Parse the following design instructions and extract actionable tasks grouped by department. ` +
+        `They were extracted from a ${source}: lines starting with "#" are headings, lines starting with "-" are bullet points, ` +
+        `and lines like "--- Page 3 ---" mark page breaks. Use this structure as context (for example, which page or section a task belongs to), ` +
+        `but quote only the instruction text itself:\n\n${userInstructions}`;
 }
 
 /**
  * Extracts JSON from API response, handling markdown code blocks if present
- * @param {string} responseText - The raw response text from OpenAI API
+ * @param {string} responseText - The raw response text from the LLM provider
  * @returns {string} - Extracted JSON string
  */
 function extractJsonFromResponse(responseText) {
@@ -111,240 +252,3597 @@ function extractJsonFromResponse(responseText) {
     return jsonString;
 }
 
+// Allowed task priorities, highest first
+const TASK_PRIORITIES = ['high', 'medium', 'low'];
+
 /**
- * Validates the JSON structure matches expected format
- * @param {object} data - Parsed JSON object
+ * Checks that an optional task field is missing, null or of the expected type
+ * @param {*} value - Field value
+ * @param {string} type - Expected typeof
  * @returns {boolean} - True if valid, false otherwise
  */
-function validateJsonStructure(data) {
-    if (!data || typeof data !== 'object') {
-        return false;
+function isOptional(value, type) {
+    return value === undefined || value === null || typeof value === type;
+}
+
+/**
+ * Checks a single task returned by the model
+ * @param {string|object} task - Task string, or object with text, quote and optional details
+ * @returns {boolean} - True if valid, false otherwise
+ */
+function isValidTask(task) {
+    if (typeof task === 'string') {
+        return true;
+    }
+    return !!task && typeof task === 'object' &&
+        typeof task.text === 'string' &&
+        isOptional(task.quote, 'string') &&
+        isOptional(task.assignee, 'string') &&
+        isOptional(task.dueDate, 'string') &&
+        isOptional(task.priority, 'string') &&
+        (isOptional(task.page, 'number') || (typeof task.page === 'string' && /^\d+$/.test(task.page.trim()))) &&
+        (task.tags === undefined || task.tags === null ||
+            (Array.isArray(task.tags) && task.tags.every(tag => typeof tag === 'string')));
+}
+
+/**
+ * Normalizes the optional details of a task (assignee, due date, priority, page, tags)
+ * @param {string|object} task - Validated task string or object
+ * @returns {object} - { assignee, dueDate, priority, page, tags } with null/[] for missing values
+ */
+function normalizeTaskFields(task) {
+    const details = typeof task === 'object' ? task : {};
+    const priority = typeof details.priority === 'string' ? details.priority.trim().toLowerCase() : null;
+    const page = details.page !== undefined && details.page !== null ? parseInt(details.page, 10) : null;
+
+    return {
+        assignee: details.assignee ? details.assignee.trim() : null,
+        dueDate: details.dueDate ? details.dueDate.trim() : null,
+        priority: TASK_PRIORITIES.includes(priority) ? priority : null,
+        page: Number.isInteger(page) && page > 0 ? page : null,
+        tags: Array.isArray(details.tags) ? details.tags.map(tag => tag.trim()).filter(Boolean) : []
+    };
+}
+
+/**
+ * Normalizes a character for quote matching (case, curly quotes, dashes)
+ * @param {string} char - Single character
+ * @returns {string} - Normalized character
+ */
+function normalizeQuoteChar(char) {
+    return char
+        .toLowerCase()
+        .replace(/[\u2018\u2019\u201B\u2032]/, "'")
+        .replace(/[\u201C\u201D\u201F\u2033]/, '"')
+        .replace(/[\u2012-\u2015]/, '-');
+}
+
+/**
+ * Finds a quote in the instructions, ignoring case, whitespace runs and typographic quote/dash variants
+ * @param {string} text - Original instructions
+ * @param {string} quote - Quote returned by the model
+ * @returns {object|null} - { start, end } character offsets into text, or null if not found
+ */
+function findQuoteInText(text, quote) {
+    const trimmedQuote = quote.trim();
+    if (!trimmedQuote) {
+        return null;
+    }
+
+    const exactIndex = text.indexOf(trimmedQuote);
+    if (exactIndex !== -1) {
+        return { start: exactIndex, end: exactIndex + trimmedQuote.length };
+    }
+
+    // Build a normalized copy of the text with a map back to original offsets
+    let normalizedText = '';
+    const offsets = [];
+    for (let i = 0; i < text.length; i++) {
+        if (/\s/.test(text[i])) {
+            if (normalizedText.endsWith(' ')) {
+                continue;
+            }
+            normalizedText += ' ';
+        } else {
+            normalizedText += normalizeQuoteChar(text[i]);
+        }
+        offsets.push(i);
+    }
+
+    const normalizedQuote = Array.from(trimmedQuote.replace(/\s+/g, ' '), normalizeQuoteChar).join('');
+    const index = normalizedText.indexOf(normalizedQuote);
+    if (index === -1) {
+        return null;
+    }
+
+    return {
+        start: offsets[index],
+        end: offsets[index + normalizedQuote.length - 1] + 1
+    };
+}
+
+/**
+ * Links every task to the passage of the instructions it came from and normalizes its details.
+ * Tasks whose quote cannot be found in the instructions are flagged as unverified (possibly hallucinated).
+ * @param {object} data - Validated department-grouped tasks (strings or {text, quote, ...details})
+ * @param {string} instructions - Original instructions
+ * @returns {object} - Department-grouped tasks as { text, ...details, source: { quote, start, end } | null, verified }
+ */
+function attachTaskSources(data, instructions) {
+    const result = {};
+    let missingQuotes = 0;
+
+    for (const department in data) {
+        result[department] = data[department].map(task => {
+            const text = typeof task === 'string' ? task : task.text;
+            const quote = typeof task === 'object' && task.quote ? task.quote : null;
+            const span = quote ? findQuoteInText(instructions, quote) : null;
+            const details = normalizeTaskFields(task);
+
+            if (!span) {
+                if (quote) {
+                    missingQuotes++;
+                }
+                return { text, ...details, source: null, verified: false };
+            }
+
+            return {
+                text,
+                ...details,
+                source: {
+                    quote: instructions.slice(span.start, span.end),
+                    start: span.start,
+                    end: span.end
+                },
+                verified: true
+            };
+        });
+    }
+
+    // Task text stays out of the logs
+    if (missingQuotes > 0) {
+        console.warn(`[Sources] ${missingQuotes} quote(s) not found in the instructions`);
+    }
+    return result;
+}
+
+/**
+ * Describes the first problem with a parsed response's structure
+ * @param {object} data - Parsed JSON object
+ * @returns {string|null} - Description of the problem, or null if the structure is valid
+ */
+function findStructureError(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return 'expected a JSON object with department names as keys';
     }
     
     // Check that all values are arrays
     for (const key in data) {
         if (!Array.isArray(data[key])) {
-            return false;
+            return `department "${key}" should be an array of tasks, got ${typeof data[key]}`;
         }
-        // Check that all array items are strings
-        if (!data[key].every(task => typeof task === 'string')) {
-            return false;
+        // Check that all array items are strings or task objects
+        const index = data[key].findIndex(task => !isValidTask(task));
+        if (index !== -1) {
+            return `task ${index + 1} of department "${key}" is not a task object with a string "text" and valid details: ${JSON.stringify(data[key][index]).substring(0, 200)}`;
         }
     }
     
-    return true;
+    return null;
 }
 
-// POST endpoint to parse instructions
-app.post('/api/parse-instructions', async (req, res) => {
-    try {
-        const { instructions } = req.body;
+/**
+ * Validates the JSON structure matches expected format
+ * @param {object} data - Parsed JSON object
+ * @returns {boolean} - True if valid, false otherwise
+ */
+function validateJsonStructure(data) {
+    return findStructureError(data) === null;
+}
 
-        if (!instructions || typeof instructions !== 'string' || !instructions.trim()) {
-            return res.status(400).json({ 
-                error: 'Invalid request. Please provide instructions as a string.' 
-            });
-        }
+/**
+ * Closes brackets and strings left open by a truncated JSON response
+ * @param {string} jsonString - Possibly truncated JSON
+ * @returns {string} - JSON with the open string and brackets closed
+ */
+function closeTruncatedJson(jsonString) {
+    const closers = [];
+    let inString = false;
+    let escaped = false;
 
-        if (USE_MOCK_AI) {
-            // Simulate realistic latency
-            setTimeout(() => {
-                res.json(MOCK_RESPONSE);
-            }, 600);
-            return;
+    for (const char of jsonString) {
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (char === '\\') {
+                escaped = true;
+            } else if (char === '"') {
+                inString = false;
+            }
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '{') {
+            closers.push('}');
+        } else if (char === '[') {
+            closers.push(']');
+        } else if (char === '}' || char === ']') {
+            closers.pop();
         }
+    }
 
-        const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-        
-        if (!GEMINI_API_KEY) {
-            return res.status(500).json({ 
-                error: 'Gemini API key is not configured. Please set GEMINI_API_KEY environment variable.' 
-            });
-        }
+    let repaired = jsonString;
+    if (inString) {
+        repaired += '"';
+    }
+    // A dangling comma or key separator cannot be completed, so drop it
+    repaired = repaired.replace(/[,:]\s*$/, '');
+    return repaired + closers.reverse().join('');
+}
+
+/**
+ * Coerces a parsed response into department-grouped tasks where the intent is clear:
+ * single tasks become one-item arrays, numbers become text, and task objects using
+ * "task", "title" or "description" instead of "text" are renamed. Items that cannot be
+ * coerced are dropped.
+ * @param {object} data - Parsed JSON object
+ * @returns {object|null} - Coerced data, or null if it is not an object
+ */
+function coerceTaskStructure(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return null;
+    }
+
+    const coerced = {};
+    for (const department in data) {
+        const value = data[department];
+        const items = Array.isArray(value) ? value : [value];
+
+        coerced[department] = items.map(item => {
+            if (typeof item === 'number') {
+                return String(item);
+            }
+            if (item && typeof item === 'object' && typeof item.text !== 'string') {
+                const text = [item.task, item.title, item.description].find(candidate => typeof candidate === 'string');
+                return text ? { ...item, text } : null;
+            }
+            return item;
+        }).filter(isValidTask);
+    }
+    return coerced;
+}
 
-        // Combine system prompt and user instructions for Gemini
-        const fullPrompt = `${SYSTEM_PROMPT}\n\n${formatPrompt(instructions)}`;
+/**
+ * Attempts to repair malformed model output locally: strips surrounding prose, converts
+ * smart quotes, removes trailing commas, closes truncated output and coerces the structure
+ * @param {string} content - Raw model output
+ * @returns {object|null} - Valid department-grouped tasks, or null if the output cannot be repaired
+ */
+function repairJsonLocally(content) {
+    let jsonString = extractJsonFromResponse(content);
+    const firstBrace = jsonString.indexOf('{');
+    if (firstBrace === -1) {
+        return null;
+    }
+    jsonString = jsonString.slice(firstBrace);
 
-        // Call Google Gemini API
-        // Using gemini-1.5-flash (stable version)
-        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-3-flash-preview:generateContent?key=${GEMINI_API_KEY}`;
+    const cleaned = jsonString
+        .replace(/[\u201C\u201D]/g, '"')
+        .replace(/,(\s*[}\]])/g, '$1');
 
+    // Try the cleaned text as is, then trimmed to the last closing brace, then with truncation closed
+    const lastBrace = cleaned.lastIndexOf('}');
+    const candidates = [cleaned, cleaned.slice(0, lastBrace + 1), closeTruncatedJson(cleaned)];
 
-        
-        const requestBody = {
-            contents: [{
-                parts: [{
-                    text: fullPrompt
-                }]
-            }],
-            generationConfig: {
-                temperature: 0.1, // Keeps the extraction consistent
-                responseMimeType: "application/json" // CRITICAL: Forces pure JSON output
+    for (const candidate of candidates) {
+        try {
+            const data = coerceTaskStructure(JSON.parse(candidate));
+            if (data && Object.keys(data).length > 0 && validateJsonStructure(data)) {
+                return data;
             }
-        };
+        } catch (error) {
+            // Try the next candidate
+        }
+    }
+    return null;
+}
+
+/**
+ * Error raised by an LLM provider, carrying the upstream HTTP status when there is one
+ */
+class ProviderError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {number} [status] - Upstream HTTP status code
+     * @param {object} [details] - Retry details
+     * @param {boolean} [details.retryable] - Whether the request may succeed if retried (rate limits, outages, timeouts)
+     * @param {number} [details.retryAfterMs] - Delay requested by the upstream Retry-After header
+     */
+    constructor(message, status, { retryable = false, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.status = status;
+        this.retryable = retryable;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * Parses a Retry-After header (seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} - Delay in milliseconds, or null if absent or invalid
+ */
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Posts a JSON body to an LLM API
+ * @param {string} label - Provider name used in logs and error messages
+ * @param {string} url - Request URL
+ * @param {object} body - Request body
+ * @param {object} [headers] - Extra request headers
+ * @param {AbortSignal} [signal] - Aborts the upstream request
+ * @returns {Promise<Response>} - Successful fetch response
+ * @throws {ProviderError} - If the request fails or returns a non-2xx status
+ */
+async function postRequest(label, url, body, headers = {}, signal) {
+    console.log(`[${label}] Request body (truncated):`, JSON.stringify(body).substring(0, 200) + '...');
 
-        console.log('[Gemini API] Making request to:', apiUrl.replace(GEMINI_API_KEY, '***'));
-        console.log('[Gemini API] Request body (truncated):', JSON.stringify(requestBody).substring(0, 200) + '...');
+    // The timeout covers waiting for the response headers; streamed bodies may take longer
+    const timeoutController = new AbortController();
+    const timer = setTimeout(() => timeoutController.abort(), LLM_TIMEOUT_MS);
+    const requestSignal = signal ? AbortSignal.any([signal, timeoutController.signal]) : timeoutController.signal;
 
-        const response = await fetch(apiUrl, {
+    let response;
+    try {
+        response = await fetch(url, {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                ...headers
             },
-            body: JSON.stringify(requestBody)
+            body: JSON.stringify(body),
+            signal: requestSignal
         });
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            let errorData;
-            try {
-                errorData = JSON.parse(errorText);
-            } catch (e) {
-                errorData = { error: { message: errorText } };
-            }
-            
-            const errorMessage = errorData.error?.message || `API request failed with status ${response.status}`;
-            
-            console.error('[Gemini API] Error response:', errorMessage);
-            console.error('[Gemini API] Full error:', errorText);
-            
-            if (response.status === 401 || response.status === 403) {
-                return res.status(401).json({ 
-                    error: 'Invalid API key. Please check your GEMINI_API_KEY environment variable.' 
-                });
-            } else if (response.status === 429) {
-                return res.status(429).json({ 
-                    error: 'Rate limit exceeded. Please try again later.' 
-                });
-            } else if (response.status >= 500) {
-                return res.status(502).json({ 
-                    error: 'Gemini API server error. Please try again later.' 
-                });
-            } else {
-                return res.status(response.status).json({ 
-                    error: `API Error: ${errorMessage}` 
-                });
-            }
-        }
-
-        const data = await response.json();
-        
-        console.log('[Gemini API] Response received, structure:', Object.keys(data));
-        
-        // Handle different response structures
-        let content = null;
-        
-        // Check for candidates array (standard response structure)
-        if (data.candidates && data.candidates.length > 0) {
-            const candidate = data.candidates[0];
-            
-            // Check for content with parts
-            if (candidate.content && candidate.content.parts && candidate.content.parts.length > 0) {
-                content = candidate.content.parts[0].text;
-            }
-            
-            // Check for functionCall (if using function calling)
-            if (!content && candidate.content && candidate.content.functionCalls) {
-                // Handle function call response if needed
-                const functionCall = candidate.content.functionCalls[0];
-                if (functionCall && functionCall.args) {
-                    // If function call returns JSON directly, use it
-                    content = JSON.stringify(functionCall.args);
-                }
-            }
-        }
-        
-        // Fallback: check if response is already JSON (some API versions)
-        if (!content && typeof data === 'object' && !data.candidates) {
-            // Response might be direct JSON
-            if (validateJsonStructure(data)) {
-                return res.json(data);
-            }
+    } catch (error) {
+        // Cancellations are not upstream failures
+        if (signal && signal.aborted) {
+            throw error;
         }
-        
-        if (!content) {
-            console.error('[Gemini API] Unexpected response structure:', JSON.stringify(data, null, 2));
-            return res.status(500).json({ 
-                error: 'No content received from Gemini API. The response structure was unexpected. Check server logs for details.' 
-            });
+        if (timeoutController.signal.aborted) {
+            throw new ProviderError(`${label} did not respond within ${LLM_TIMEOUT_MS / 1000} seconds.`, 504, { retryable: true });
         }
-        
-        console.log('[Gemini API] Content extracted, length:', content.length);
+        throw new ProviderError(`Could not reach ${label}: ${error.message}`, 503, { retryable: true });
+    } finally {
+        clearTimeout(timer);
+    }
 
-        // Extract JSON from response (handles cases where Gemini might wrap JSON)
-        const jsonString = extractJsonFromResponse(content);
-        
-        // Parse JSON
-        let parsedData;
+    if (!response.ok) {
+        const errorText = await response.text();
+        let errorData;
         try {
-            parsedData = JSON.parse(jsonString);
-        } catch (parseError) {
-            console.error('JSON parse error:', parseError.message);
-            console.error('Response content:', content);
-            return res.status(500).json({ 
-                error: `Failed to parse JSON response: ${parseError.message}. The API may have returned invalid JSON.` 
-            });
+            errorData = JSON.parse(errorText);
+        } catch (e) {
+            errorData = { error: { message: errorText } };
         }
 
-        // Validate structure
-        if (!validateJsonStructure(parsedData)) {
-            return res.status(500).json({ 
-                error: 'Invalid JSON structure received from API. Expected object with array values.' 
-            });
-        }
+        const errorMessage = errorData.error?.message || errorData.error || `API request failed with status ${response.status}`;
 
-        // Return the parsed data
-        res.json(parsedData);
+        console.error(`[${label}] Error response:`, errorMessage);
+        console.error(`[${label}] Full error:`, errorText);
 
-    } catch (error) {
-        console.error('Error parsing instructions:', error);
-        res.status(500).json({ 
-            error: error.message || 'An unexpected error occurred while parsing instructions.' 
+        throw new ProviderError(String(errorMessage), response.status, {
+            retryable: response.status === 429 || response.status >= 500,
+            retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
         });
     }
-});
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({ status: 'ok' });
-});
+    return response;
+}
 
-// Serve static files from dist directory (built add-on files)
-// Placed after API routes to ensure /api/* takes precedence over static file serving
-// This allows the Express server to serve both the UI and API in MCP deployment
+/**
+ * Posts a JSON body to an LLM API and returns the parsed JSON response
+ * @param {string} label - Provider name used in logs and error messages
+ * @param {string} url - Request URL
+ * @param {object} body - Request body
+ * @param {object} [headers] - Extra request headers
+ * @param {AbortSignal} [signal] - Aborts the upstream request
+ * @returns {Promise<object>} - Parsed response body
+ * @throws {ProviderError} - If the request fails or returns a non-2xx status
+ */
+async function postJson(label, url, body, headers = {}, signal) {
+    const response = await postRequest(label, url, body, headers, signal);
+    return response.json();
+}
 
-// For MCP deployment: Inject API_BASE_URL into index.html
-// Get the base URL from environment or use current request origin
-app.get('*.html', (req, res, next) => {
-    const filePath = path.join(__dirname, 'dist', req.path);
-    
-    if (fs.existsSync(filePath) && req.path.endsWith('index.html')) {
-        let html = fs.readFileSync(filePath, 'utf8');
-        
-        // Inject API_BASE_URL - use environment variable or derive from request
-        const apiBaseUrl = process.env.API_BASE_URL || 
-                          process.env.MCP_SERVER_URL || 
-                          `${req.protocol}://${req.get('host')}`;
-        
-        // Inject script before closing </head> or before first script tag
-        const injectionScript = `<script>window.API_BASE_URL = '${apiBaseUrl}';</script>`;
-        
-        // Insert before the first script tag or before </head>
-        if (html.includes('</head>')) {
-            html = html.replace('</head>', `  ${injectionScript}\n</head>`);
-        } else if (html.includes('<script')) {
-            html = html.replace('<script', `${injectionScript}\n<script`);
+/**
+ * Reads a streamed response body line by line
+ * @param {Response} response - Fetch response with a streamed body
+ * @returns {AsyncGenerator<string>} - Non-empty lines
+ */
+async function* readResponseLines(response) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            if (line.trim()) {
+                yield line.trim();
+            }
         }
-        
-        res.send(html);
-    } else {
-        next();
     }
-});
 
-// Serve other static files normally
-app.use(express.static(path.join(__dirname, 'dist')));
+    buffer += decoder.decode();
+    if (buffer.trim()) {
+        yield buffer.trim();
+    }
+}
 
-app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-});
+/**
+ * Reads the JSON payloads of a server-sent events response (as used by Gemini and OpenAI streaming)
+ * @param {Response} response - Fetch response with an event-stream body
+ * @returns {AsyncGenerator<object>} - Parsed "data:" payloads
+ */
+async function* readServerSentEvents(response) {
+    for await (const line of readResponseLines(response)) {
+        if (!line.startsWith('data:')) {
+            continue;
+        }
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') {
+            return;
+        }
+        try {
+            yield JSON.parse(payload);
+        } catch (error) {
+            console.warn('[Stream] Skipping malformed event:', payload.substring(0, 200));
+        }
+    }
+}
+
+/**
+ * Creates the Google Gemini provider
+ * @returns {object} - Provider with name, model, generate(systemPrompt, userPrompt, signal) and stream(systemPrompt, userPrompt, signal)
+ */
+function createGeminiProvider() {
+    const model = process.env.GEMINI_MODEL || 'gemini-3-flash-preview';
+
+    return {
+        name: 'gemini',
+        model,
+        async generate(systemPrompt, userPrompt, signal) {
+            const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+            if (!GEMINI_API_KEY) {
+                throw new ProviderError('Gemini API key is not configured. Please set GEMINI_API_KEY environment variable.', 500);
+            }
+
+            // Combine system prompt and user instructions for Gemini
+            const fullPrompt = `${systemPrompt}\n\n${userPrompt}`;
+            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${GEMINI_API_KEY}`;
+
+            console.log('[Gemini API] Making request to:', apiUrl.replace(GEMINI_API_KEY, '***'));
+
+            const data = await postJson('Gemini API', apiUrl, {
+                contents: [{
+                    parts: [{
+                        text: fullPrompt
+                    }]
+                }],
+                generationConfig: {
+                    temperature: 0.1, // Keeps the extraction consistent
+                    responseMimeType: "application/json" // CRITICAL: Forces pure JSON output
+                }
+            }, {}, signal);
+
+            console.log('[Gemini API] Response received, structure:', Object.keys(data));
+
+            // Check for candidates array (standard response structure)
+            if (data.candidates && data.candidates.length > 0) {
+                const candidate = data.candidates[0];
+
+                // Check for content with parts
+                if (candidate.content && candidate.content.parts && candidate.content.parts.length > 0) {
+                    return candidate.content.parts[0].text;
+                }
+
+                // Check for functionCall (if using function calling)
+                if (candidate.content && candidate.content.functionCalls) {
+                    const functionCall = candidate.content.functionCalls[0];
+                    if (functionCall && functionCall.args) {
+                        // If function call returns JSON directly, use it
+                        return JSON.stringify(functionCall.args);
+                    }
+                }
+            }
+
+            // Fallback: response might already be the department JSON (some API versions)
+            if (!data.candidates && validateJsonStructure(data)) {
+                return JSON.stringify(data);
+            }
+
+            console.error('[Gemini API] Unexpected response structure:', JSON.stringify(data, null, 2));
+            return null;
+        },
+        async *stream(systemPrompt, userPrompt, signal) {
+            const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+            if (!GEMINI_API_KEY) {
+                throw new ProviderError('Gemini API key is not configured. Please set GEMINI_API_KEY environment variable.', 500);
+            }
+
+            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${GEMINI_API_KEY}`;
+            console.log('[Gemini API] Streaming from:', apiUrl.replace(GEMINI_API_KEY, '***'));
+
+            const response = await postRequest('Gemini API', apiUrl, {
+                contents: [{
+                    parts: [{
+                        text: `${systemPrompt}\n\n${userPrompt}`
+                    }]
+                }],
+                generationConfig: {
+                    temperature: 0.1,
+                    responseMimeType: "application/json"
+                }
+            }, {}, signal);
+
+            for await (const event of readServerSentEvents(response)) {
+                const text = event.candidates?.[0]?.content?.parts?.[0]?.text;
+                if (text) {
+                    yield text;
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Creates a provider for any OpenAI-compatible chat completions endpoint
+ * (OpenAI, Azure OpenAI proxies, LM Studio, vLLM, LiteLLM, ...)
+ * @returns {object} - Provider with name, model, generate(systemPrompt, userPrompt, signal) and stream(systemPrompt, userPrompt, signal)
+ */
+function createOpenAiProvider() {
+    const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    const model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+
+    const buildHeaders = () => {
+        const headers = {};
+        if (process.env.OPENAI_API_KEY) {
+            headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+        }
+        return headers;
+    };
+
+    const buildRequestBody = (systemPrompt, userPrompt) => {
+        const requestBody = {
+            model,
+            temperature: 0.1,
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: userPrompt }
+            ]
+        };
+        // Not every compatible server supports JSON mode, so it can be switched off
+        if (process.env.OPENAI_JSON_MODE !== 'false') {
+            requestBody.response_format = { type: 'json_object' };
+        }
+        return requestBody;
+    };
+
+    return {
+        name: 'openai',
+        model,
+        async generate(systemPrompt, userPrompt, signal) {
+            console.log('[OpenAI API] Making request to:', `${baseUrl}/chat/completions`);
+
+            const data = await postJson('OpenAI API', `${baseUrl}/chat/completions`, buildRequestBody(systemPrompt, userPrompt), buildHeaders(), signal);
+            return data.choices?.[0]?.message?.content || null;
+        },
+        async *stream(systemPrompt, userPrompt, signal) {
+            console.log('[OpenAI API] Streaming from:', `${baseUrl}/chat/completions`);
+
+            const requestBody = { ...buildRequestBody(systemPrompt, userPrompt), stream: true };
+            const response = await postRequest('OpenAI API', `${baseUrl}/chat/completions`, requestBody, buildHeaders(), signal);
+
+            for await (const event of readServerSentEvents(response)) {
+                const text = event.choices?.[0]?.delta?.content;
+                if (text) {
+                    yield text;
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Creates a provider for a local Ollama server
+ * @returns {object} - Provider with name, model, generate(systemPrompt, userPrompt, signal) and stream(systemPrompt, userPrompt, signal)
+ */
+function createOllamaProvider() {
+    const baseUrl = (process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/+$/, '');
+    const model = process.env.OLLAMA_MODEL || 'llama3.1';
+
+    const buildRequestBody = (systemPrompt, userPrompt, stream) => ({
+        model,
+        stream,
+        format: 'json',
+        options: { temperature: 0.1 },
+        messages: [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userPrompt }
+        ]
+    });
+
+    return {
+        name: 'ollama',
+        model,
+        async generate(systemPrompt, userPrompt, signal) {
+            console.log('[Ollama] Making request to:', `${baseUrl}/api/chat`);
+
+            const data = await postJson('Ollama', `${baseUrl}/api/chat`, buildRequestBody(systemPrompt, userPrompt, false), {}, signal);
+            return data.message?.content || null;
+        },
+        async *stream(systemPrompt, userPrompt, signal) {
+            console.log('[Ollama] Streaming from:', `${baseUrl}/api/chat`);
+
+            // Ollama streams newline-delimited JSON objects
+            const response = await postRequest('Ollama', `${baseUrl}/api/chat`, buildRequestBody(systemPrompt, userPrompt, true), {}, signal);
+            for await (const line of readResponseLines(response)) {
+                let event;
+                try {
+                    event = JSON.parse(line);
+                } catch (error) {
+                    console.warn('[Ollama] Skipping malformed stream line:', line.substring(0, 200));
+                    continue;
+                }
+                if (event.error) {
+                    throw new ProviderError(String(event.error), 502);
+                }
+                if (event.message?.content) {
+                    yield event.message.content;
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Creates the mock provider, which returns MOCK_RESPONSE for any input
+ * @returns {object} - Provider with name, model, generate(systemPrompt, userPrompt, signal) and stream(systemPrompt, userPrompt, signal)
+ */
+function createMockProvider() {
+    return {
+        name: 'mock',
+        model: 'mock',
+        async generate(systemPrompt, userPrompt, signal) {
+            // Simulate realistic latency
+            await new Promise(resolve => setTimeout(resolve, 600));
+            if (signal && signal.aborted) {
+                throw signal.reason;
+            }
+            return JSON.stringify(MOCK_RESPONSE);
+        },
+        async *stream(systemPrompt, userPrompt, signal) {
+            // Emit the response in small pieces, like a real model would
+            const content = JSON.stringify(MOCK_RESPONSE, null, 2);
+            for (let i = 0; i < content.length; i += 40) {
+                await new Promise(resolve => setTimeout(resolve, 50));
+                if (signal && signal.aborted) {
+                    return;
+                }
+                yield content.slice(i, i + 40);
+            }
+        }
+    };
+}
+
+// Keywords the heuristic parser uses to classify tasks, by lowercase department name.
+// Departments without an entry (custom ones) are matched on the words of their name and description.
+const HEURISTIC_DEPARTMENT_KEYWORDS = {
+    marketing: ['marketing', 'campaign', 'cta', 'call to action', 'audience', 'messaging', 'headline', 'tagline', 'copy', 'copywriting', 'webinar', 'conversion', 'social', 'seo', 'promo', 'promotion', 'launch', 'value proposition', 'engagement', 'newsletter', 'landing page', 'ads', 'advertising', 'banner', 'leads'],
+    product: ['product', 'feature', 'features', 'screenshot', 'screenshots', 'workflow', 'integration', 'integrations', 'build', 'release', 'ui', 'interface', 'functionality', 'roadmap', 'spec', 'specs', 'api', 'version', 'beta', 'dashboard', 'app', 'platform'],
+    legal: ['legal', 'terms', 't&c', 't&cs', 'terms and conditions', 'disclaimer', 'disclaimers', 'compliance', 'compliant', 'copyright', 'trademark', 'privacy', 'gdpr', 'regulation', 'regulations', 'regulatory', 'claim', 'claims', 'guaranteed', 'guarantee', 'risk-free', 'license', 'licensing', 'benchmark', 'benchmarks', 'consent', 'liability'],
+    brand: ['brand', 'branding', 'logo', 'font', 'fonts', 'typeface', 'typography', 'type scale', 'color', 'colour', 'colors', 'colours', 'palette', 'gradient', 'gradients', 'guideline', 'guidelines', 'style guide', 'imagery', 'icon', 'icons', 'clear space', 'visual identity', 'tone of voice'],
+    other: ['accessibility', 'contrast', 'alt text', 'margin', 'margins', 'edge', 'edges', 'alignment', 'resolution', 'file size', 'pricing', 'price', 'prices']
+};
+
+// Verbs that start an instruction ("Add ...", "Do not ...")
+const HEURISTIC_IMPERATIVE_VERBS = new Set([
+    'add', 'adjust', 'align', 'apply', 'attach', 'avoid', 'bold', 'center', 'centre', 'change', 'check', 'confirm',
+    'consider', 'create', 'crop', 'cut', 'delete', 'deliver', 'design', 'display', 'do', 'double-check', 'drop',
+    'emphasize', 'emphasise', 'ensure', 'export', 'fix', 'follow', 'highlight', 'include', 'increase', 'decrease',
+    'insert', 'keep', 'label', 'limit', 'link', 'localize', 'localise', 'make', 'match', 'mention', 'move', 'never',
+    'phrase', 'place', 'position', 'prepare', 'provide', 'put', 'reduce', 'remove', 'rename', 'reorder', 'replace',
+    'resize', 'review', 'rewrite', 'reword', 'send', 'set', 'share', 'shorten', 'show', 'simplify', 'stick', 'swap',
+    'switch', 'translate', 'trim', 'update', 'upload', 'use', 'verify', 'write'
+]);
+
+// Wording that makes a sentence an instruction even when it does not start with a verb
+const HEURISTIC_OBLIGATION_PATTERN = /\b(must|should|needs? to|has to|have to|(?:is|are) required|required to|make sure|be sure|remember to|don't forget|do not|don't|never|avoid|please|nice to have|would (?:like|love|be nice))\b/i;
+
+// Greetings, sign-offs and email headers that are never tasks. Greetings and sign-offs must be
+// whole words, so "Highlight ..." or "Best-in-class ..." stay tasks.
+const HEURISTIC_SKIP_PATTERN = /^(?:(?:hi|hello|hey|dear|thanks|thank you|cheers|best|regards|kind regards|sincerely)(?![\w'-])|subject:|from:|to:|cc:|date:|sent:|---)/i;
+
+// Lead-in words removed from the start of a task ("Please also add ..." -> "Add ...")
+const HEURISTIC_LEAD_IN_PATTERN = /^(?:please|also|and|then|finally|additionally|plus|lastly|first(?:ly)?|second(?:ly)?|next|kindly|can you|could you|(?:we|you|they|i)\s+(?:need|want|would like|'d like)\s+(?:you\s+)?to|make sure to|be sure to|remember to|don't forget to)[,:]?\s+/i;
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds the keyword matchers of each department for the heuristic parser
+ * @param {Array<object>} departments - Department configuration, in display order
+ * @returns {Array<object>} - { name, patterns } per department
+ */
+function buildDepartmentMatchers(departments) {
+    const stopWords = new Set(['and', 'the', 'for', 'with', 'from', 'that', 'this', 'other', 'into', 'about', 'related', 'tasks', 'anything', 'everything']);
+
+    return departments.map(department => {
+        const builtIn = HEURISTIC_DEPARTMENT_KEYWORDS[department.name.toLowerCase()];
+        const described = `${department.name} ${builtIn ? '' : department.description}`
+            .toLowerCase()
+            .split(/[^\p{L}\p{N}&-]+/u)
+            .filter(word => word.length >= 4 && !stopWords.has(word));
+        const keywords = [...new Set([...(builtIn || []), ...described])];
+
+        return {
+            name: department.name,
+            patterns: keywords.map(keyword => ({
+                // Phrases are more specific than single words, so they count double
+                weight: keyword.includes(' ') ? 2 : 1,
+                regex: new RegExp(`(?:^|[^\\p{L}\\p{N}])${escapeRegExp(keyword)}(?=$|[^\\p{L}\\p{N}])`, 'iu')
+            }))
+        };
+    });
+}
+
+/**
+ * Picks the department whose keywords best match a text
+ * @param {string} text - Task or heading text
+ * @param {Array<object>} matchers - Matchers from buildDepartmentMatchers
+ * @returns {string|null} - Best matching department, or null if no keyword matches
+ */
+function classifyDepartment(text, matchers) {
+    let best = null;
+    let bestScore = 0;
+
+    matchers.forEach(matcher => {
+        const score = matcher.patterns.reduce((total, pattern) => total + (pattern.regex.test(text) ? pattern.weight : 0), 0);
+        // Ties go to the department listed first
+        if (score > bestScore) {
+            best = matcher.name;
+            bestScore = score;
+        }
+    });
+
+    return best;
+}
+
+/**
+ * Splits a line into sentences, keeping each sentence's offset in the instructions
+ * @param {string} line - Line text
+ * @param {number} offset - Offset of the line in the instructions
+ * @returns {Array<object>} - { text, start } per sentence
+ */
+function splitSentences(line, offset) {
+    const sentences = [];
+    const boundary = /[.!?]+["'”’)]*\s+(?=["'“‘(]?[\p{Lu}\d])/gu;
+    let start = 0;
+    let match;
+
+    while ((match = boundary.exec(line)) !== null) {
+        // Abbreviations such as "e.g." do not end a sentence
+        if (/\b(?:e\.g|i\.e|etc|vs|approx|incl|no|fig|mr|ms|mrs|dr)\.$/i.test(line.slice(0, match.index + 1))) {
+            continue;
+        }
+        sentences.push({ text: line.slice(start, match.index + match[0].trimEnd().length), start: offset + start });
+        start = match.index + match[0].length;
+    }
+    sentences.push({ text: line.slice(start), start: offset + start });
+
+    // Trim each sentence, moving its offset past leading whitespace
+    return sentences
+        .map(sentence => {
+            const leading = sentence.text.length - sentence.text.trimStart().length;
+            return { text: sentence.text.trim(), start: sentence.start + leading };
+        })
+        .filter(sentence => sentence.text);
+}
+
+/**
+ * Extracts the explicitly stated details of a task (owner, due date, priority, page)
+ * @param {string} text - Task text
+ * @returns {object} - { assignee, dueDate, priority, page }
+ */
+function extractHeuristicDetails(text) {
+    const assignee = text.match(/(?:^|\s)@([\p{L}][\p{L}\p{N}._-]*)/u) ||
+        text.match(/\b(?:owner|assignee|assigned to|responsible):?\s+([\p{Lu}][\p{L}]+(?:\s[\p{Lu}][\p{L}]+)?)/u);
+    const months = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+    const dueDate = text.match(new RegExp(
+        `\\b(?:by|due(?: date)?:?|before|deadline:?)\\s+((?:mon|tues|wednes|thurs|fri|satur|sun)day|tomorrow|today|eod|eow|end of (?:the )?(?:day|week|month)|(?:${months})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?|\\d{1,2}(?:st|nd|rd|th)?\\s+(?:${months})|\\d{4}-\\d{2}-\\d{2}|\\d{1,2}[/.-]\\d{1,2}(?:[/.-]\\d{2,4})?)\\b`,
+        'i'
+    ));
+    const page = text.match(/\b(?:slide|page)s?\s+(\d+)\b/i);
+
+    let priority = null;
+    if (/\b(urgent|asap|critical|top priority|high priority|mandatory|immediately)\b/i.test(text)) {
+        priority = 'high';
+    } else if (/\bmedium priority\b/i.test(text)) {
+        priority = 'medium';
+    } else if (/\b(nice to have|optional|if possible|if time allows|low priority)\b/i.test(text)) {
+        priority = 'low';
+    }
+
+    return {
+        assignee: assignee ? assignee[1] : null,
+        dueDate: dueDate ? dueDate[1] : null,
+        priority,
+        page: page ? parseInt(page[1], 10) : null
+    };
+}
+
+/**
+ * Turns an instruction sentence into task text: removes lead-ins and trailing punctuation
+ * and capitalizes the first letter
+ * @param {string} sentence - Instruction sentence
+ * @returns {string} - Task text
+ */
+function toTaskText(sentence) {
+    let text = sentence;
+    let previous;
+    do {
+        previous = text;
+        text = text.replace(HEURISTIC_LEAD_IN_PATTERN, '');
+    } while (text !== previous);
+
+    text = text
+        .replace(/^(?:make sure|be sure)\s+(?:that\s+)?/i, 'Ensure ')
+        .replace(/[\s.;,!]+$/, '');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Decides whether a sentence is an instruction
+ * @param {string} sentence - Sentence text
+ * @param {boolean} isBullet - Whether the sentence comes from a bullet point
+ * @returns {boolean} - True if the sentence should become a task
+ */
+function isInstruction(sentence, isBullet) {
+    const words = sentence.split(/\s+/).filter(Boolean);
+    if (words.length < 2 || HEURISTIC_SKIP_PATTERN.test(sentence) || sentence.endsWith(':')) {
+        return false;
+    }
+    // Briefs list instructions as bullets even when they are not full sentences
+    if (isBullet) {
+        return true;
+    }
+    const firstWord = toTaskText(sentence).split(/\s+/)[0].toLowerCase().replace(/[^\p{L}-]/gu, '');
+    return HEURISTIC_IMPERATIVE_VERBS.has(firstWord) || HEURISTIC_OBLIGATION_PATTERN.test(sentence);
+}
+
+/**
+ * Parses a brief without an LLM: splits it into sentences and bullets, keeps the ones that read
+ * as instructions (imperative verbs, obligation wording, bullet points) and classifies them with
+ * per-department keyword dictionaries. Headings set the department and page for the lines below
+ * them when a line has no keywords of its own. Deterministic and fully offline.
+ * @param {string} instructions - The unstructured design instructions from the user
+ * @param {Array<object>} departments - Department configuration to classify into
+ * @returns {object} - Department-grouped tasks in the same format the LLM providers return
+ */
+function parseBriefHeuristically(instructions, departments) {
+    const matchers = buildDepartmentMatchers(departments);
+    const fallbackDepartment = (departments.find(department => department.name.toLowerCase() === 'other') ||
+        departments[departments.length - 1] || { name: 'Other' }).name;
+
+    const result = {};
+    departments.forEach(department => {
+        result[department.name] = [];
+    });
+    const seen = [];
+    let heading = { department: null, page: null };
+    let offset = 0;
+
+    instructions.split('\n').forEach(line => {
+        const lineStart = offset;
+        offset += line.length + 1;
+
+        const trimmed = line.trim();
+        if (!trimmed) {
+            return;
+        }
+
+        // Headings ("# Legal", "Slide 3:", "**Brand**") give context to the lines below them
+        const headingMatch = trimmed.match(/^#{1,6}\s+(.+)$/) ||
+            trimmed.match(/^\*\*(.+)\*\*:?$/) ||
+            (trimmed.endsWith(':') && trimmed.split(/\s+/).length <= 6 ? [trimmed, trimmed.slice(0, -1)] : null);
+        if (headingMatch) {
+            const headingText = headingMatch[1];
+            const named = departments.find(department => department.name.toLowerCase() === headingText.trim().toLowerCase());
+            heading = {
+                department: named ? named.name : classifyDepartment(headingText, matchers),
+                page: extractHeuristicDetails(headingText).page
+            };
+            return;
+        }
+
+        const bullet = line.match(/^\s*(?:[-*+•▪◦]|\d+[.)]|[a-z][.)])\s+/);
+        const content = bullet ? line.slice(bullet[0].length) : line;
+        const contentStart = lineStart + (bullet ? bullet[0].length : 0);
+
+        splitSentences(content, contentStart).forEach(sentence => {
+            if (!isInstruction(sentence.text, !!bullet)) {
+                return;
+            }
+
+            const text = toTaskText(sentence.text);
+            if (!text || findDuplicateTask(text, seen)) {
+                return;
+            }
+            seen.push({ text });
+
+            const department = classifyDepartment(sentence.text, matchers) || heading.department || fallbackDepartment;
+            const details = extractHeuristicDetails(sentence.text);
+            if (!result[department]) {
+                result[department] = [];
+            }
+            result[department].push({
+                text,
+                quote: instructions.slice(sentence.start, sentence.start + sentence.text.length),
+                ...details,
+                page: details.page || heading.page,
+                tags: []
+            });
+        });
+    });
+
+    return result;
+}
+
+/**
+ * Creates the heuristic provider, which parses briefs offline with parseBriefHeuristically.
+ * It has no generate() or stream(): parseWithProvider calls parseLocally() instead.
+ * @returns {object} - Provider with name, model and parseLocally(instructions, departments)
+ */
+function createHeuristicProvider() {
+    return {
+        name: 'heuristic',
+        model: 'rules',
+        parseLocally: parseBriefHeuristically
+    };
+}
+
+const heuristicProvider = createHeuristicProvider();
+
+// Available LLM providers, selected with the LLM_PROVIDER environment variable
+const PROVIDER_FACTORIES = {
+    gemini: createGeminiProvider,
+    openai: createOpenAiProvider,
+    ollama: createOllamaProvider,
+    heuristic: createHeuristicProvider,
+    mock: createMockProvider
+};
+
+/**
+ * Creates the configured LLM provider.
+ * Defaults to Gemini when GEMINI_API_KEY is set, otherwise to the offline heuristic parser.
+ * @returns {object} - Provider with name, model, and either generate(systemPrompt, userPrompt, signal)
+ *                     and stream(systemPrompt, userPrompt, signal), or parseLocally(instructions, departments)
+ */
+function createProvider() {
+    const name = (process.env.LLM_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : 'heuristic')).toLowerCase();
+    const factory = PROVIDER_FACTORIES[name];
+
+    if (!factory) {
+        throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}.`);
+    }
+
+    return factory();
+}
+
+const provider = createProvider();
+
+/**
+ * Parses instructions with an LLM provider and validates the result
+ * @param {object} llm - Provider from createProvider
+ * @param {string} instructions - The unstructured design instructions from the user
+ * @param {Array<object>} departments - Department configuration to classify into
+ * @param {object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request
+ * @param {string} [options.source] - Where the instructions were extracted from, passed to formatPrompt
+ * @param {object} [options.prompt] - Prompt from resolvePrompt; the default version if omitted
+ * @returns {Promise<object>} - Department-grouped tasks
+ * @throws {ProviderError} - If the provider fails or returns invalid JSON
+ */
+async function parseWithProvider(llm, instructions, departments, { signal, source, prompt } = {}) {
+    if (llm.parseLocally) {
+        return llm.parseLocally(instructions, departments);
+    }
+
+    const systemPrompt = buildSystemPrompt(departments, prompt, findRelevantCorrections(instructions, departments));
+    const userPrompt = formatPrompt(instructions, source);
+    const content = await generateWithRetries(llm, systemPrompt, userPrompt, signal);
+    return parseContentWithRepair(llm, systemPrompt, userPrompt, content, signal);
+}
+
+/**
+ * Waits before the next attempt, giving up early if the request is cancelled
+ * @param {number} delayMs - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancels the wait
+ * @returns {Promise<void>}
+ */
+function waitForRetry(delayMs, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, delayMs);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            }, { once: true });
+        }
+    });
+}
+
+/**
+ * Gets the delay before retrying a failed attempt: the upstream Retry-After if given,
+ * otherwise exponential backoff with jitter
+ * @param {ProviderError} error - Error of the failed attempt
+ * @param {number} attempt - Number of the failed attempt, starting at 1
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(error, attempt) {
+    if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+        return Math.min(error.retryAfterMs, LLM_RETRY_MAX_DELAY_MS);
+    }
+    const backoff = LLM_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+    return Math.min(backoff + Math.random() * LLM_RETRY_BASE_DELAY_MS / 2, LLM_RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Decides whether a failed attempt should be retried
+ * @param {Error} error - Error of the failed attempt
+ * @param {number} attempt - Number of the failed attempt, starting at 1
+ * @param {AbortSignal} [signal] - Request cancellation signal
+ * @returns {boolean} - True if another attempt should be made
+ */
+function shouldRetry(error, attempt, signal) {
+    return error instanceof ProviderError && error.retryable && attempt <= LLM_MAX_RETRIES && !(signal && signal.aborted);
+}
+
+/**
+ * Calls a provider's generate(), retrying rate limits, upstream errors and timeouts with backoff
+ * @param {object} llm - Provider from createProvider
+ * @param {string} systemPrompt - System prompt
+ * @param {string} userPrompt - User prompt
+ * @param {AbortSignal} [signal] - Aborts the upstream request
+ * @returns {Promise<string|null>} - Raw model output
+ * @throws {ProviderError} - If the last attempt fails or the error is not retryable
+ */
+async function generateWithRetries(llm, systemPrompt, userPrompt, signal) {
+    for (let attempt = 1; ; attempt++) {
+        const startedAt = Date.now();
+        try {
+            const content = await llm.generate(systemPrompt, userPrompt, signal);
+            console.log(`[${llm.name}] Attempt ${attempt} succeeded in ${Date.now() - startedAt}ms`);
+            return content;
+        } catch (error) {
+            console.warn(`[${llm.name}] Attempt ${attempt}/${LLM_MAX_RETRIES + 1} failed after ${Date.now() - startedAt}ms (${error.status || error.name}): ${error.message}`);
+            if (!shouldRetry(error, attempt, signal)) {
+                throw error;
+            }
+            const delay = getRetryDelay(error, attempt);
+            console.log(`[${llm.name}] Retrying in ${Math.round(delay)}ms`);
+            await waitForRetry(delay, signal);
+        }
+    }
+}
+
+/**
+ * Streams a provider's output, retrying with backoff if it fails before the first chunk arrives.
+ * Failures after output has started are not retried, since the chunks were already used.
+ * @param {object} llm - Provider from createProvider
+ * @param {string} systemPrompt - System prompt
+ * @param {string} userPrompt - User prompt
+ * @param {AbortSignal} [signal] - Aborts the upstream request
+ * @returns {AsyncGenerator<string>} - Output chunks
+ */
+async function* streamWithRetries(llm, systemPrompt, userPrompt, signal) {
+    for (let attempt = 1; ; attempt++) {
+        let started = false;
+        try {
+            for await (const chunk of llm.stream(systemPrompt, userPrompt, signal)) {
+                started = true;
+                yield chunk;
+            }
+            return;
+        } catch (error) {
+            console.warn(`[${llm.name}] Stream attempt ${attempt}/${LLM_MAX_RETRIES + 1} failed (${error.status || error.name}): ${error.message}`);
+            if (started || !shouldRetry(error, attempt, signal)) {
+                throw error;
+            }
+            const delay = getRetryDelay(error, attempt);
+            console.log(`[${llm.name}] Retrying stream in ${Math.round(delay)}ms`);
+            await waitForRetry(delay, signal);
+        }
+    }
+}
+
+/**
+ * Builds the prompt for a repair attempt, asking the model to correct its previous output
+ * @param {string} userPrompt - Original user prompt
+ * @param {string|null} content - Previous model output
+ * @param {string} problem - Why the previous output was rejected
+ * @returns {string} - Repair prompt
+ */
+function buildRepairPrompt(userPrompt, content, problem) {
+    const previous = content ? content.substring(0, 8000) : '(empty response)';
+    return `${userPrompt}
+
+Your previous response could not be used: ${problem}
+
+Previous response:
+${previous}
+
+Return only the corrected JSON object in the required format, with every task as an object that has a string "text".`;
+}
+
+/**
+ * Parses model output, repairing it when it is malformed: first locally (see repairJsonLocally),
+ * then by re-prompting the model with the validation error, up to LLM_REPAIR_ATTEMPTS times
+ * @param {object} llm - Provider that produced the content
+ * @param {string} systemPrompt - System prompt of the original request
+ * @param {string} userPrompt - User prompt of the original request
+ * @param {string|null} content - Raw model output
+ * @param {AbortSignal} [signal] - Aborts repair requests
+ * @returns {Promise<object>} - Department-grouped tasks
+ * @throws {ProviderError} - If the output is still invalid after all repair attempts
+ */
+async function parseContentWithRepair(llm, systemPrompt, userPrompt, content, signal) {
+    for (let repairAttempt = 0; ; repairAttempt++) {
+        try {
+            return parseProviderContent(llm, content);
+        } catch (error) {
+            if (!(error instanceof ProviderError)) {
+                throw error;
+            }
+
+            const repaired = content ? repairJsonLocally(content) : null;
+            if (repaired) {
+                console.warn(`[${llm.name}] Repaired output locally after: ${error.message}`);
+                return repaired;
+            }
+            if (repairAttempt >= LLM_REPAIR_ATTEMPTS) {
+                console.error(`[${llm.name}] Giving up after ${repairAttempt} repair attempt(s): ${error.message}`);
+                throw error;
+            }
+
+            console.warn(`[${llm.name}] Repair attempt ${repairAttempt + 1}/${LLM_REPAIR_ATTEMPTS}: re-prompting after: ${error.message}`);
+            content = await generateWithRetries(llm, systemPrompt, buildRepairPrompt(userPrompt, content, error.message), signal);
+        }
+    }
+}
+
+/**
+ * Finds a good place to end a chunk: a paragraph, line, sentence or word boundary
+ * in the second half of the window, falling back to a hard cut
+ * @param {string} text - Full instructions
+ * @param {number} start - Chunk start offset
+ * @param {number} end - Maximum chunk end offset
+ * @returns {number} - Chunk end offset
+ */
+function findChunkBreak(text, start, end) {
+    const minimum = start + Math.floor((end - start) / 2);
+    for (const separator of ['\n\n', '\n', '. ', ' ']) {
+        const index = text.lastIndexOf(separator, end - separator.length);
+        if (index >= minimum) {
+            return index + separator.length;
+        }
+    }
+    return end;
+}
+
+/**
+ * Splits long instructions into overlapping chunks so each fits comfortably in one prompt
+ * @param {string} instructions - The unstructured design instructions from the user
+ * @param {number} [size] - Maximum chunk length in characters
+ * @param {number} [overlap] - Characters repeated at the start of the next chunk
+ * @returns {Array<string>} - Chunks in document order (a single chunk for short instructions)
+ */
+function splitInstructions(instructions, size = CHUNK_SIZE, overlap = CHUNK_OVERLAP) {
+    if (instructions.length <= size) {
+        return [instructions];
+    }
+
+    const chunks = [];
+    let start = 0;
+    while (start < instructions.length) {
+        let end = Math.min(start + size, instructions.length);
+        if (end < instructions.length) {
+            end = findChunkBreak(instructions, start, end);
+        }
+        chunks.push(instructions.slice(start, end));
+        if (end >= instructions.length) {
+            break;
+        }
+
+        // Start the next chunk a little earlier so tasks spanning the boundary are seen whole
+        let next = Math.max(end - overlap, start + 1);
+        const wordStart = instructions.indexOf(' ', next);
+        if (wordStart !== -1 && wordStart < end) {
+            next = wordStart + 1;
+        }
+        start = next;
+    }
+
+    return chunks;
+}
+
+/**
+ * Runs an async worker over items with at most `limit` running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} - Results in item order
+ */
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let failed = false;
+
+    const run = async () => {
+        while (!failed && nextIndex < items.length) {
+            const index = nextIndex++;
+            try {
+                results[index] = await worker(items[index], index);
+            } catch (error) {
+                // Stop handing out work; Promise.all reports the first failure
+                failed = true;
+                throw error;
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+    return results;
+}
+
+/**
+ * Normalizes task text for duplicate detection (lowercase, punctuation and extra spaces removed)
+ * @param {string} text - Task text
+ * @returns {string} - Normalized text
+ */
+function normalizeTaskText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Calculates the word overlap (Jaccard similarity) of two task texts
+ * @param {string} a - First task text
+ * @param {string} b - Second task text
+ * @returns {number} - Similarity between 0 and 1
+ */
+function calculateTextSimilarity(a, b) {
+    const normalizedA = normalizeTaskText(a);
+    const normalizedB = normalizeTaskText(b);
+    if (normalizedA === normalizedB) {
+        return 1;
+    }
+
+    const wordsA = new Set(normalizedA.split(' ').filter(Boolean));
+    const wordsB = new Set(normalizedB.split(' ').filter(Boolean));
+    if (wordsA.size === 0 || wordsB.size === 0) {
+        return 0;
+    }
+
+    let shared = 0;
+    wordsA.forEach(word => {
+        if (wordsB.has(word)) {
+            shared++;
+        }
+    });
+
+    return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Finds the most similar task above the duplicate threshold
+ * @param {string} text - Task text to look up
+ * @param {Array<object>} candidates - Tasks with a text property
+ * @returns {object|null} - Best matching candidate, or null
+ */
+function findDuplicateTask(text, candidates) {
+    let bestMatch = null;
+    let bestScore = 0;
+
+    candidates.forEach(candidate => {
+        const score = calculateTextSimilarity(text, candidate.text);
+        if (score >= DUPLICATE_SIMILARITY_THRESHOLD && score > bestScore) {
+            bestMatch = candidate;
+            bestScore = score;
+        }
+    });
+
+    return bestMatch;
+}
+
+/**
+ * Merges the department arrays parsed from each chunk, dropping tasks that repeat an earlier one
+ * (the chunk overlap guarantees some repeats). Details missing on the kept task are filled in
+ * from its duplicates.
+ * @param {Array<object>} results - Department-grouped tasks per chunk, in document order
+ * @returns {object} - Merged department-grouped tasks
+ */
+function mergeChunkResults(results) {
+    const merged = {};
+    const kept = [];
+
+    results.forEach(data => {
+        for (const department in data) {
+            if (!merged[department]) {
+                merged[department] = [];
+            }
+
+            data[department].forEach(task => {
+                const incoming = typeof task === 'string' ? { text: task } : task;
+                const duplicate = findDuplicateTask(incoming.text, kept);
+
+                if (!duplicate) {
+                    const copy = { ...incoming };
+                    kept.push(copy);
+                    merged[department].push(copy);
+                    return;
+                }
+
+                ['quote', 'assignee', 'dueDate', 'priority', 'page'].forEach(field => {
+                    if ((duplicate[field] === undefined || duplicate[field] === null) &&
+                        incoming[field] !== undefined && incoming[field] !== null) {
+                        duplicate[field] = incoming[field];
+                    }
+                });
+                if (Array.isArray(incoming.tags)) {
+                    duplicate.tags = [...new Set([...(duplicate.tags || []), ...incoming.tags])];
+                }
+            });
+        }
+    });
+
+    return merged;
+}
+
+/**
+ * Parses instructions, splitting oversize input into overlapping chunks that are parsed in
+ * parallel (up to CHUNK_CONCURRENCY at once) and merged; short input is parsed in one call
+ * @param {object} llm - Provider from createProvider
+ * @param {string} instructions - The unstructured design instructions from the user
+ * @param {Array<object>} departments - Department configuration to classify into
+ * @param {object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Aborts the upstream requests
+ * @param {Function} [options.onChunk] - Called with (data, index) as each chunk finishes
+ * @param {string} [options.source] - Where the instructions were extracted from, passed to formatPrompt
+ * @param {object} [options.prompt] - Prompt from resolvePrompt; the default version if omitted
+ * @returns {Promise<object>} - Department-grouped tasks, in the same shape as parseWithProvider
+ * @throws {ProviderError} - If any chunk fails
+ */
+async function parseInChunks(llm, instructions, departments, { signal, onChunk, source, prompt } = {}) {
+    // Local parsers have no context window, so only LLM providers need chunking
+    const chunks = llm.parseLocally ? [instructions] : splitInstructions(instructions);
+    if (chunks.length === 1) {
+        const data = await parseWithProvider(llm, instructions, departments, { signal, source, prompt });
+        if (onChunk) {
+            onChunk(data, 0);
+        }
+        return data;
+    }
+
+    console.log(`[Chunks] Splitting ${instructions.length} characters into ${chunks.length} chunks`);
+
+    const results = await mapWithConcurrency(chunks, CHUNK_CONCURRENCY, async (chunk, index) => {
+        const data = await parseWithProvider(llm, chunk, departments, { signal, source, prompt });
+        if (onChunk) {
+            onChunk(data, index);
+        }
+        return data;
+    });
+
+    return mergeChunkResults(results);
+}
+
+/**
+ * Parses and validates the raw content returned by an LLM provider
+ * @param {object} llm - Provider that produced the content
+ * @param {string|null} content - Raw model output
+ * @returns {object} - Department-grouped tasks
+ * @throws {ProviderError} - If the content is missing or is not valid department JSON
+ */
+function parseProviderContent(llm, content) {
+    if (!content) {
+        throw new ProviderError(`No content received from ${llm.name}. The response structure was unexpected. Check server logs for details.`, 500);
+    }
+
+    console.log(`[${llm.name}] Content extracted, length:`, content.length);
+
+    // Extract JSON from response (handles cases where the model might wrap JSON)
+    const jsonString = extractJsonFromResponse(content);
+
+    // Parse JSON
+    let parsedData;
+    try {
+        parsedData = JSON.parse(jsonString);
+    } catch (parseError) {
+        console.error('JSON parse error:', parseError.message);
+        console.error('Response content:', content);
+        throw new ProviderError(`Failed to parse JSON response: ${parseError.message}. The API may have returned invalid JSON.`, 500);
+    }
+
+    // Validate structure
+    const structureError = findStructureError(parsedData);
+    if (structureError) {
+        throw new ProviderError(`Invalid JSON structure received from API: ${structureError}.`, 500);
+    }
+
+    return parsedData;
+}
+
+/**
+ * Creates an incremental parser that extracts tasks from partial department JSON as it streams in.
+ * Each task is emitted as soon as its array element is complete; the final response is still
+ * validated as a whole by parseProviderContent.
+ * @returns {object} - Parser with push(chunk) returning the newly completed { department, task } entries
+ */
+function createTaskStreamParser() {
+    let buffer = '';
+    let position = 0;
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let stringStart = -1;
+    let taskStart = -1;
+    let department = null;
+
+    return {
+        push(chunk) {
+            buffer += chunk;
+            const completed = [];
+            const emit = (end) => {
+                try {
+                    completed.push({ department, task: JSON.parse(buffer.slice(taskStart, end + 1)) });
+                } catch (error) {
+                    console.warn('[Stream] Skipping unparseable task:', buffer.slice(taskStart, end + 1).substring(0, 200));
+                }
+                taskStart = -1;
+            };
+
+            for (; position < buffer.length; position++) {
+                const char = buffer[position];
+
+                if (inString) {
+                    if (escaped) {
+                        escaped = false;
+                    } else if (char === '\\') {
+                        escaped = true;
+                    } else if (char === '"') {
+                        inString = false;
+                        if (depth === 1) {
+                            // Strings directly inside the top-level object are department keys
+                            department = JSON.parse(buffer.slice(stringStart, position + 1));
+                        } else if (depth === 2 && taskStart === stringStart) {
+                            emit(position);
+                        }
+                    }
+                    continue;
+                }
+
+                if (char === '"') {
+                    inString = true;
+                    stringStart = position;
+                    if (depth === 2) {
+                        taskStart = position;
+                    }
+                } else if (char === '{' || char === '[') {
+                    if (depth === 2 && char === '{') {
+                        taskStart = position;
+                    }
+                    depth++;
+                } else if (char === '}' || char === ']') {
+                    depth--;
+                    if (depth === 2 && char === '}' && taskStart !== -1) {
+                        emit(position);
+                    }
+                }
+            }
+
+            return completed;
+        }
+    };
+}
+
+/**
+ * Sends a provider error to the client with a matching HTTP status
+ * @param {object} res - Express response
+ * @param {ProviderError} error - Error raised by the provider pipeline
+ */
+function sendProviderError(res, error) {
+    const { status } = error;
+
+    if (status === 401 || status === 403) {
+        return res.status(401).json({
+            error: `Invalid API key. Please check the ${provider.name} API key in your environment.`
+        });
+    } else if (status === 429) {
+        return res.status(429).json({
+            error: 'Rate limit exceeded. Please try again later.'
+        });
+    } else if (status === 500 || status === 503 || status === 504) {
+        return res.status(status).json({
+            error: error.message
+        });
+    } else if (status > 500) {
+        return res.status(502).json({
+            error: `${provider.name} API server error. Please try again later.`
+        });
+    } else {
+        return res.status(status).json({
+            error: `API Error: ${error.message}`
+        });
+    }
+}
+
+/**
+ * Creates an in-memory LRU cache of parse results with a time-to-live,
+ * optionally persisted to a JSON file so it survives restarts
+ * @param {object} options - Cache options
+ * @param {number} options.maxEntries - Maximum number of entries; the least recently used is evicted
+ * @param {number} options.ttlMs - Entry lifetime in milliseconds (0 disables the cache)
+ * @param {string|null} options.filePath - JSON file to persist entries to, or null for memory only
+ * @returns {object} - Cache with get(key), set(key, value), purge() and stats()
+ */
+function createResponseCache({ maxEntries, ttlMs, filePath }) {
+    // Map iteration order is insertion order, so the first key is the least recently used
+    const entries = new Map();
+    let hits = 0;
+    let misses = 0;
+
+    const isExpired = entry => Date.now() - entry.createdAt > ttlMs;
+
+    const persist = () => {
+        if (!filePath) {
+            return;
+        }
+        try {
+            writeJsonFile(filePath, Array.from(entries, ([key, entry]) => ({ key, ...entry })));
+        } catch (error) {
+            console.error('[Cache] Failed to persist cache:', error.message);
+        }
+    };
+
+    if (filePath && ttlMs > 0) {
+        try {
+            readJsonFile(filePath, []).forEach(({ key, value, createdAt }) => {
+                if (!isExpired({ createdAt })) {
+                    entries.set(key, { value, createdAt });
+                }
+            });
+            console.log(`[Cache] Loaded ${entries.size} entries from ${filePath}`);
+        } catch (error) {
+            console.error('[Cache] Failed to load cache, starting empty:', error.message);
+        }
+    }
+
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry || isExpired(entry)) {
+                if (entry) {
+                    entries.delete(key);
+                }
+                misses++;
+                return null;
+            }
+            // Move to the most recently used position
+            entries.delete(key);
+            entries.set(key, entry);
+            hits++;
+            return entry;
+        },
+        set(key, value) {
+            if (ttlMs <= 0) {
+                return;
+            }
+            entries.delete(key);
+            entries.set(key, { value, createdAt: Date.now() });
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+            persist();
+        },
+        purge() {
+            const purged = entries.size;
+            entries.clear();
+            persist();
+            return purged;
+        },
+        stats() {
+            return { entries: entries.size, maxEntries, ttlSeconds: ttlMs / 1000, persistent: !!filePath, hits, misses };
+        }
+    };
+}
+
+const responseCache = createResponseCache({
+    maxEntries: CACHE_MAX_ENTRIES,
+    ttlMs: CACHE_TTL_SECONDS * 1000,
+    filePath: CACHE_PATH
+});
+
+/**
+ * Builds the cache key of a parse request: a hash of the normalized instructions, prompt version,
+ * provider and model, and the system prompt (which changes with the department configuration,
+ * output language, house style and relevant corrections)
+ * @param {string} instructions - The unstructured design instructions from the user
+ * @param {Array<object>} departments - Department configuration to classify into
+ * @param {string} [source] - Where the instructions were extracted from, which changes the prompt
+ * @param {object} prompt - Prompt from resolvePrompt
+ * @returns {string} - Hex SHA-256 digest
+ */
+function buildCacheKey(instructions, departments, source, prompt) {
+    // Whitespace differences (re-pasted briefs, trailing newlines) should still hit the cache
+    const normalizedInstructions = instructions.replace(/\s+/g, ' ').trim();
+
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([
+            normalizedInstructions,
+            prompt.version,
+            provider.name,
+            provider.model,
+            buildSystemPrompt(departments, prompt, findRelevantCorrections(instructions, departments)),
+            source || null
+        ]))
+        .digest('hex');
+}
+
+/**
+ * Sets the cache headers of a parse response
+ * @param {object} res - Express response
+ * @param {object|null} entry - Cache entry that was served, or null on a miss
+ */
+function setCacheHeaders(res, entry) {
+    res.setHeader('X-Cache', entry ? 'HIT' : 'MISS');
+    if (entry) {
+        res.setHeader('Age', String(Math.floor((Date.now() - entry.createdAt) / 1000)));
+    }
+}
+
+/**
+ * Describes how a parse response was produced, for the X-Parser and X-Prompt-Version headers
+ * and the metadata of the stream's done event
+ * @param {string} parser - Parser that produced the response (the provider name or 'heuristic-fallback')
+ * @param {object} prompt - Prompt from resolvePrompt
+ * @returns {object} - { parser, promptVersion }, where promptVersion is null if no prompt was sent to an LLM
+ */
+function getParseMetadata(parser, prompt) {
+    const usedPrompt = parser === provider.name && !provider.parseLocally;
+    return { parser, promptVersion: usedPrompt ? prompt.version : null };
+}
+
+/**
+ * Sets the metadata headers of a parse response
+ * @param {object} res - Express response
+ * @param {object} metadata - Metadata from getParseMetadata
+ */
+function setParseHeaders(res, metadata) {
+    res.setHeader('X-Parser', metadata.parser);
+    if (metadata.promptVersion) {
+        res.setHeader('X-Prompt-Version', metadata.promptVersion);
+    }
+}
+
+/**
+ * Runs an LLM parse, falling back to the heuristic parser if the provider fails.
+ * Cancelled requests and errors that are not provider failures are rethrown.
+ * @param {Function} parse - Performs the LLM parse and resolves to department-grouped tasks
+ * @param {string} instructions - The unstructured design instructions from the user
+ * @param {Array<object>} departments - Department configuration to classify into
+ * @param {AbortSignal} [signal] - Signal of the request being parsed
+ * @returns {Promise<object>} - { data, parser } where parser names the parser that produced data
+ * @throws {ProviderError} - If the provider fails and LLM_FALLBACK is disabled
+ */
+async function parseWithFallback(parse, instructions, departments, signal) {
+    try {
+        return { data: await parse(), parser: provider.name };
+    } catch (error) {
+        if (!LLM_FALLBACK || provider.parseLocally || !(error instanceof ProviderError) || (signal && signal.aborted)) {
+            throw error;
+        }
+        console.warn(`[Fallback] ${provider.name} failed (${error.message}), using the heuristic parser`);
+        return { data: heuristicProvider.parseLocally(instructions, departments), parser: 'heuristic-fallback' };
+    }
+}
+
+/**
+ * Parses instructions through the response cache, setting the cache headers on the response.
+ * Parsed results are cached before sources are attached, since offsets depend on exact whitespace.
+ * Heuristic fallback results are not cached, so the LLM is tried again on the next request.
+ * @param {object} res - Express response
+ * @param {string} instructions - The unstructured design instructions from the user
+ * @param {object} prompt - Prompt from resolvePrompt
+ * @param {string} [source] - Where the instructions were extracted from, passed to formatPrompt
+ * @returns {Promise<object>} - { data, metadata } with the department-grouped tasks and getParseMetadata's result
+ */
+async function parseWithCache(res, instructions, prompt, source) {
+    const departments = loadDepartments();
+    const cacheKey = buildCacheKey(instructions, departments, source, prompt);
+    const cached = responseCache.get(cacheKey);
+    setCacheHeaders(res, cached);
+
+    if (cached) {
+        const metadata = getParseMetadata(provider.name, prompt);
+        setParseHeaders(res, metadata);
+        return { data: cached.value, metadata };
+    }
+
+    const { data, parser } = await parseWithFallback(
+        () => parseInChunks(provider, instructions, departments, { source, prompt }),
+        instructions,
+        departments
+    );
+    const metadata = getParseMetadata(parser, prompt);
+    setParseHeaders(res, metadata);
+    if (parser === provider.name) {
+        responseCache.set(cacheKey, data);
+    }
+    return { data, metadata };
+}
+
+/**
+ * Checks the admin token for maintenance routes. When ADMIN_TOKEN is not set the routes are open,
+ * which is only suitable for local development.
+ * @param {object} req - Express request
+ * @returns {boolean} - True if the request may use admin routes
+ */
+function isAdminRequest(req) {
+    const token = process.env.ADMIN_TOKEN;
+    if (!token) {
+        return true;
+    }
+    const header = req.get('Authorization') || '';
+    const provided = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(token);
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+// POST endpoint to parse instructions
+app.post('/api/parse-instructions', async (req, res) => {
+    try {
+        const { instructions } = req.body;
+
+        if (!instructions || typeof instructions !== 'string' || !instructions.trim()) {
+            return res.status(400).json({ 
+                error: 'Invalid request. Please provide instructions as a string.' 
+            });
+        }
+
+        const { prompt, error: promptError } = readPromptOptions(req.body);
+        if (promptError) {
+            return res.status(400).json({ error: promptError });
+        }
+
+        const { data } = await parseWithCache(res, instructions, prompt);
+
+        // Return the parsed data, with every task linked to its source passage
+        res.json(attachTaskSources(data, instructions));
+
+    } catch (error) {
+        if (error instanceof ProviderError && error.status) {
+            return sendProviderError(res, error);
+        }
+        console.error('Error parsing instructions:', error);
+        res.status(500).json({ 
+            error: error.message || 'An unexpected error occurred while parsing instructions.' 
+        });
+    }
+});
+
+// POST endpoint to parse instructions as a stream of newline-delimited JSON events:
+// { type: 'task', department, task } as each task is extracted, then { type: 'done', data, meta }
+// with the same payload as /api/parse-instructions, or { type: 'error', error }. When the provider fails
+// and a fallback parser takes over, { type: 'reset' } tells the panel to drop the tasks sent so far.
+app.post('/api/parse-instructions/stream', async (req, res) => {
+    const { instructions } = req.body;
+
+    if (!instructions || typeof instructions !== 'string' || !instructions.trim()) {
+        return res.status(400).json({ 
+            error: 'Invalid request. Please provide instructions as a string.' 
+        });
+    }
+
+    const { prompt, error: promptError } = readPromptOptions(req.body);
+    if (promptError) {
+        return res.status(400).json({ error: promptError });
+    }
+
+    // Abort the upstream request when the panel cancels or disconnects
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            controller.abort();
+        }
+    });
+
+    const sendEvent = (event) => {
+        if (res.destroyed) {
+            return;
+        }
+        if (!res.headersSent) {
+            setParseHeaders(res, getParseMetadata(parser, prompt));
+            res.writeHead(200, {
+                'Content-Type': 'application/x-ndjson; charset=utf-8',
+                'Cache-Control': 'no-cache',
+                'X-Accel-Buffering': 'no'
+            });
+        }
+        res.write(JSON.stringify(event) + '\n');
+    };
+
+    const sendTask = (department, task) => {
+        const [sourcedTask] = attachTaskSources({ [department]: [task] }, instructions)[department];
+        sendEvent({ type: 'task', department, task: sourcedTask });
+    };
+
+    const sendTasks = (data) => {
+        for (const department in data) {
+            data[department].forEach(task => sendTask(department, task));
+        }
+    };
+
+    let parser = provider.name;
+
+    try {
+        const departments = loadDepartments();
+        const cacheKey = buildCacheKey(instructions, departments, null, prompt);
+        const cached = responseCache.get(cacheKey);
+        setCacheHeaders(res, cached);
+        let parsedData;
+
+        if (cached) {
+            parsedData = cached.value;
+            sendTasks(parsedData);
+        } else if (!provider.stream || splitInstructions(instructions).length > 1) {
+            // Long briefs are parsed in chunks, and local parsers in one pass; tasks are sent as each chunk finishes
+            const sentTasks = [];
+            const result = await parseWithFallback(() => parseInChunks(provider, instructions, departments, {
+                signal: controller.signal,
+                prompt,
+                onChunk: (data) => {
+                    for (const department in data) {
+                        data[department].forEach(task => {
+                            const text = typeof task === 'string' ? task : task.text;
+                            if (!findDuplicateTask(text, sentTasks)) {
+                                sentTasks.push({ text });
+                                sendTask(department, task);
+                            }
+                        });
+                    }
+                }
+            }), instructions, departments, controller.signal);
+            parsedData = result.data;
+            parser = result.parser;
+            if (parser !== provider.name) {
+                // The fallback result replaces any tasks streamed before the failure
+                sendEvent({ type: 'reset' });
+                sendTasks(parsedData);
+            }
+        } else {
+            const taskParser = createTaskStreamParser();
+            const systemPrompt = buildSystemPrompt(departments, prompt, findRelevantCorrections(instructions, departments));
+            const userPrompt = formatPrompt(instructions);
+            let content = '';
+
+            const result = await parseWithFallback(async () => {
+                for await (const chunk of streamWithRetries(provider, systemPrompt, userPrompt, controller.signal)) {
+                    content += chunk;
+                    for (const { department, task } of taskParser.push(chunk)) {
+                        if (department && isValidTask(task)) {
+                            sendTask(department, task);
+                        }
+                    }
+                }
+
+                return controller.signal.aborted
+                    ? null
+                    : parseContentWithRepair(provider, systemPrompt, userPrompt, content, controller.signal);
+            }, instructions, departments, controller.signal);
+            parsedData = result.data;
+            parser = result.parser;
+            if (parser !== provider.name) {
+                sendEvent({ type: 'reset' });
+                sendTasks(parsedData);
+            }
+        }
+
+        if (controller.signal.aborted) {
+            console.log('[Stream] Parse cancelled by the client');
+            return;
+        }
+
+        if (!cached && parser === provider.name) {
+            responseCache.set(cacheKey, parsedData);
+        }
+        sendEvent({ type: 'done', data: attachTaskSources(parsedData, instructions), meta: getParseMetadata(parser, prompt) });
+        res.end();
+
+    } catch (error) {
+        if (controller.signal.aborted) {
+            console.log('[Stream] Parse cancelled by the client');
+            return;
+        }
+        if (!res.headersSent) {
+            if (error instanceof ProviderError && error.status) {
+                return sendProviderError(res, error);
+            }
+            console.error('Error parsing instructions:', error);
+            return res.status(500).json({ 
+                error: error.message || 'An unexpected error occurred while parsing instructions.' 
+            });
+        }
+        console.error('Error streaming instructions:', error);
+        sendEvent({ type: 'error', error: error.message || 'An unexpected error occurred while parsing instructions.' });
+        res.end();
+    }
+});
+
+/**
+ * Error raised while reading an uploaded brief file, carrying the HTTP status to respond with
+ */
+class FileIngestionError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {number} status - HTTP status code
+     */
+    constructor(message, status) {
+        super(message);
+        this.name = 'FileIngestionError';
+        this.status = status;
+    }
+}
+
+/**
+ * Decodes the HTML entities that commonly appear in converted documents and emails
+ * @param {string} text - Text with HTML entities
+ * @returns {string} - Decoded text
+ */
+function decodeHtmlEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+        }
+        return named[code.toLowerCase()] ?? entity;
+    });
+}
+
+/**
+ * Tidies extracted text: normalizes line endings and bullet glyphs, trims lines
+ * and collapses runs of blank lines
+ * @param {string} text - Extracted text
+ * @returns {string} - Cleaned text
+ */
+function cleanExtractedText(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/^\uFEFF/, '')
+        .split('\n')
+        .map(line => line.replace(/\s+$/, '').replace(/^\s*[•●▪◦‣∙·]\s*/, '- '))
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Converts HTML (from Word documents or HTML emails) to plain text that keeps
+ * headings as "#" lines and list items as "-" bullets
+ * @param {string} html - HTML markup
+ * @returns {string} - Structured plain text
+ */
+function htmlToStructuredText(html) {
+    const text = html
+        .replace(/<(script|style|head)[\s\S]*?<\/\1>/gi, '')
+        .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, content) => `\n\n${'#'.repeat(Number(level))} ${content.trim()}\n\n`)
+        .replace(/<li[^>]*>/gi, '\n- ')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|ul|ol|table|tr|blockquote)>/gi, '\n\n')
+        .replace(/<\/t[dh]>/gi, ' ')
+        .replace(/<[^>]+>/g, '');
+
+    return cleanExtractedText(decodeHtmlEntities(text).replace(/[ \t]+/g, ' '));
+}
+
+/**
+ * Extracts the text of a PDF, marking page breaks so page references survive
+ * @param {Buffer} buffer - PDF file contents
+ * @returns {Promise<string>} - Extracted text
+ */
+async function extractPdfText(buffer) {
+    const { PDFParse } = require('pdf-parse');
+    const parser = new PDFParse({ data: new Uint8Array(buffer) });
+    try {
+        const result = await parser.getText();
+        const pages = result.pages && result.pages.length > 0
+            ? result.pages.map(page => `--- Page ${page.num} ---\n${page.text}`)
+            : [result.text];
+        return cleanExtractedText(pages.join('\n\n'));
+    } finally {
+        await parser.destroy();
+    }
+}
+
+/**
+ * Extracts the text of a Word document, keeping headings and bullet lists
+ * @param {Buffer} buffer - DOCX file contents
+ * @returns {Promise<string>} - Extracted text
+ */
+async function extractDocxText(buffer) {
+    const mammoth = require('mammoth');
+    const { value } = await mammoth.convertToHtml({ buffer });
+    return htmlToStructuredText(value);
+}
+
+/**
+ * Decodes RFC 2047 encoded words in an email header (e.g. "=?UTF-8?B?...?=")
+ * @param {string} value - Header value
+ * @returns {string} - Decoded header
+ */
+function decodeMimeHeader(value) {
+    return value.replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (match, charset, encoding, encoded) => {
+        const bytes = encoding.toLowerCase() === 'b'
+            ? Buffer.from(encoded, 'base64')
+            : decodeQuotedPrintable(encoded.replace(/_/g, ' '));
+        return decodeCharset(bytes, charset);
+    });
+}
+
+/**
+ * Decodes quoted-printable text to bytes
+ * @param {string} text - Quoted-printable text
+ * @returns {Buffer} - Decoded bytes
+ */
+function decodeQuotedPrintable(text) {
+    const binary = text
+        .replace(/=\r?\n/g, '')
+        .replace(/=([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    return Buffer.from(binary, 'latin1');
+}
+
+/**
+ * Decodes bytes in the given charset, falling back to UTF-8 for unknown charsets
+ * @param {Buffer} bytes - Encoded bytes
+ * @param {string} [charset] - Charset name from the email headers
+ * @returns {string} - Decoded text
+ */
+function decodeCharset(bytes, charset = 'utf-8') {
+    try {
+        return new TextDecoder(charset.trim().toLowerCase()).decode(bytes);
+    } catch (error) {
+        return new TextDecoder('utf-8').decode(bytes);
+    }
+}
+
+/**
+ * Splits a MIME entity into its unfolded headers and raw body
+ * @param {string} raw - Raw MIME entity (latin1, so bytes map one-to-one to characters)
+ * @returns {object} - { headers: { lowercase name: value }, body }
+ */
+function parseMimeEntity(raw) {
+    const separator = raw.search(/\r?\n\r?\n/);
+    const headerText = separator === -1 ? raw : raw.slice(0, separator);
+    const body = separator === -1 ? '' : raw.slice(separator).replace(/^\r?\n\r?\n/, '');
+
+    const headers = {};
+    headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+        const colon = line.indexOf(':');
+        if (colon > 0) {
+            headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+        }
+    });
+
+    return { headers, body };
+}
+
+/**
+ * Gets a parameter of a MIME header value (e.g. the boundary of a Content-Type)
+ * @param {string} value - Header value
+ * @param {string} name - Parameter name
+ * @returns {string|null} - Parameter value
+ */
+function getMimeParameter(value, name) {
+    const match = (value || '').match(new RegExp(`${name}\\s*=\\s*(?:"([^"]*)"|([^;\\s]*))`, 'i'));
+    return match ? (match[1] ?? match[2]) : null;
+}
+
+/**
+ * Finds the readable text of a MIME entity, preferring text/plain over text/html
+ * and skipping attachments
+ * @param {object} entity - Entity from parseMimeEntity
+ * @returns {string|null} - Body text, or null if the entity has none
+ */
+function findMimeText(entity) {
+    const contentType = (entity.headers['content-type'] || 'text/plain').toLowerCase();
+    const disposition = (entity.headers['content-disposition'] || '').toLowerCase();
+    if (disposition.startsWith('attachment')) {
+        return null;
+    }
+
+    if (contentType.startsWith('multipart/')) {
+        const boundary = getMimeParameter(entity.headers['content-type'], 'boundary');
+        if (!boundary) {
+            return null;
+        }
+        const parts = entity.body
+            .split(`--${boundary}`)
+            .slice(1)
+            .filter(part => !part.startsWith('--'))
+            .map(part => parseMimeEntity(part.replace(/^\r?\n/, '')));
+
+        // multipart/alternative offers the same content twice; plain text is preferred
+        const plain = parts.find(part => (part.headers['content-type'] || 'text/plain').toLowerCase().startsWith('text/plain'));
+        if (contentType.startsWith('multipart/alternative') && plain) {
+            return findMimeText(plain);
+        }
+        const texts = parts.map(findMimeText).filter(Boolean);
+        return texts.length > 0 ? texts.join('\n\n') : null;
+    }
+
+    if (!contentType.startsWith('text/plain') && !contentType.startsWith('text/html')) {
+        return null;
+    }
+
+    const encoding = (entity.headers['content-transfer-encoding'] || '').toLowerCase();
+    const bytes = encoding === 'base64'
+        ? Buffer.from(entity.body.replace(/\s+/g, ''), 'base64')
+        : encoding === 'quoted-printable'
+            ? decodeQuotedPrintable(entity.body)
+            : Buffer.from(entity.body, 'latin1');
+    const text = decodeCharset(bytes, getMimeParameter(contentType, 'charset') || 'utf-8');
+
+    return contentType.startsWith('text/html') ? htmlToStructuredText(text) : text;
+}
+
+/**
+ * Extracts the subject, sender, date and body text of an email (.eml)
+ * @param {Buffer} buffer - EML file contents
+ * @returns {string} - Extracted text
+ */
+function extractEmlText(buffer) {
+    const email = parseMimeEntity(buffer.toString('latin1'));
+    const headerLines = ['subject', 'from', 'to', 'date']
+        .filter(name => email.headers[name])
+        .map(name => `${name.charAt(0).toUpperCase()}${name.slice(1)}: ${decodeMimeHeader(email.headers[name])}`);
+
+    const body = findMimeText(email);
+    if (body === null) {
+        throw new FileIngestionError('The email has no readable text body.', 422);
+    }
+
+    return cleanExtractedText(`${headerLines.join('\n')}\n\n${body}`);
+}
+
+// Supported brief file formats: extensions, a description used in the prompt, and the text extractor
+const FILE_FORMATS = {
+    pdf: { extensions: ['.pdf'], description: 'PDF document', extract: extractPdfText },
+    docx: { extensions: ['.docx'], description: 'Word document', extract: extractDocxText },
+    eml: { extensions: ['.eml'], description: 'email', extract: extractEmlText },
+    md: { extensions: ['.md', '.markdown'], description: 'Markdown document', extract: buffer => cleanExtractedText(buffer.toString('utf8')) },
+    txt: { extensions: ['.txt'], description: 'text file', extract: buffer => cleanExtractedText(buffer.toString('utf8')) }
+};
+
+/**
+ * Extracts brief text from an uploaded file
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Original file name, used to detect the format
+ * @returns {Promise<object>} - { format, text }
+ * @throws {FileIngestionError} - If the format is unsupported or the file cannot be read
+ */
+async function extractBriefFromFile(buffer, filename) {
+    const extension = path.extname(filename).toLowerCase();
+    const format = Object.keys(FILE_FORMATS).find(key => FILE_FORMATS[key].extensions.includes(extension));
+    if (!format) {
+        const supported = Object.values(FILE_FORMATS).flatMap(fileFormat => fileFormat.extensions).join(', ');
+        throw new FileIngestionError(`Unsupported file type "${extension || filename}". Supported types: ${supported}.`, 415);
+    }
+
+    let text;
+    try {
+        text = await FILE_FORMATS[format].extract(buffer);
+    } catch (error) {
+        if (error instanceof FileIngestionError) {
+            throw error;
+        }
+        console.error(`[Files] Failed to extract text from ${filename}:`, error);
+        throw new FileIngestionError(`Could not read the ${FILE_FORMATS[format].description}: ${error.message}`, 422);
+    }
+
+    if (!text) {
+        // Scanned PDFs have no text layer
+        throw new FileIngestionError(`No text found in the ${FILE_FORMATS[format].description}.`, 422);
+    }
+
+    return { format, text };
+}
+
+// POST endpoint to parse a brief file. The raw file is the request body and its name is
+// passed as ?filename=; the response adds the extracted text, which task sources point into
+app.post('/api/parse-file', express.raw({ type: () => true, limit: FILE_UPLOAD_LIMIT }), async (req, res) => {
+    try {
+        const filename = path.basename(String(req.query.filename || ''));
+
+        if (!filename || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ 
+                error: 'Invalid request. Please upload a file and pass its name as the "filename" query parameter.' 
+            });
+        }
+
+        const { prompt, error: promptError } = readPromptOptions(req.query);
+        if (promptError) {
+            return res.status(400).json({ error: promptError });
+        }
+
+        const { format, text } = await extractBriefFromFile(req.body, filename);
+        console.log(`[Files] Extracted ${text.length} characters from ${filename} (${format})`);
+
+        const { data, metadata } = await parseWithCache(res, text, prompt, `${FILE_FORMATS[format].description} ("${filename}")`);
+
+        res.json({
+            filename,
+            format,
+            instructions: text,
+            data: attachTaskSources(data, text),
+            meta: metadata
+        });
+
+    } catch (error) {
+        if (error instanceof FileIngestionError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        if (error instanceof ProviderError && error.status) {
+            return sendProviderError(res, error);
+        }
+        console.error('Error parsing file:', error);
+        res.status(500).json({ 
+            error: error.message || 'An unexpected error occurred while parsing the file.' 
+        });
+    }
+});
+
+/**
+ * Reads a JSON file from disk
+ * @param {string} filePath - Absolute path of the JSON file
+ * @param {*} fallback - Value returned when the file does not exist yet
+ * @returns {*} - Parsed file contents or the fallback
+ */
+function readJsonFile(filePath, fallback) {
+    if (!fs.existsSync(filePath)) {
+        return fallback;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Writes a JSON file to disk, creating its directory if needed.
+ * Writes to a temporary file first so a crash never leaves a half-written store.
+ * @param {string} filePath - Absolute path of the JSON file
+ * @param {*} data - Data to serialize
+ */
+function writeJsonFile(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+}
+
+// Names that cannot be used as departments or checklist IDs: as object keys they would reach Object.prototype
+const RESERVED_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Checks that a department name is a non-empty string that can safely be used as an object key
+ * @param {*} department - Department name
+ * @returns {boolean} - True if the name can be used
+ */
+function isValidDepartmentName(department) {
+    return typeof department === 'string' && department.trim().length > 0 && !RESERVED_KEYS.includes(department);
+}
+
+/**
+ * Checks that a checklist ID is a non-empty string that can safely be used as a key of the checklist store
+ * @param {*} id - Checklist ID
+ * @returns {boolean} - True if the ID can be used
+ */
+function isValidChecklistId(id) {
+    return typeof id === 'string' && id.length > 0 && !RESERVED_KEYS.includes(id);
+}
+
+/**
+ * Reads a saved checklist from the store
+ * @param {object} store - Checklist store, keyed by checklist ID
+ * @param {string} id - Checklist ID
+ * @returns {object|null} - Saved record, or null if none exists
+ */
+function getStoredChecklist(store, id) {
+    return Object.prototype.hasOwnProperty.call(store, id) ? store[id] : null;
+}
+
+/**
+ * Validates a checklist record sent by the panel
+ * @param {object} record - Request body with brief text and department-grouped task objects
+ * @returns {object} - Validation result with isValid flag and error message
+ */
+function validateChecklistRecord(record) {
+    if (!record || typeof record !== 'object') {
+        return { isValid: false, error: 'Invalid checklist: expected an object.' };
+    }
+
+    if (record.brief !== undefined && typeof record.brief !== 'string') {
+        return { isValid: false, error: 'Invalid checklist: "brief" must be a string.' };
+    }
+
+    const { data } = record;
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { isValid: false, error: 'Invalid checklist: "data" must be an object with department keys.' };
+    }
+
+    for (const department in data) {
+        if (!isValidDepartmentName(department)) {
+            return { isValid: false, error: `Invalid checklist: "${department}" cannot be used as a department name.` };
+        }
+        if (!Array.isArray(data[department])) {
+            return { isValid: false, error: `Invalid checklist: department "${department}" should be an array.` };
+        }
+        const validTasks = data[department].every(task =>
+            task && typeof task === 'object' && typeof task.text === 'string'
+        );
+        if (!validTasks) {
+            return { isValid: false, error: `Invalid checklist: department "${department}" contains invalid tasks.` };
+        }
+    }
+
+    const { signOffs } = record;
+    if (signOffs !== undefined) {
+        if (!signOffs || typeof signOffs !== 'object' || Array.isArray(signOffs)) {
+            return { isValid: false, error: 'Invalid checklist: "signOffs" must be an object with department keys.' };
+        }
+        for (const department in signOffs) {
+            const signOffValidation = validateSignOff(department, signOffs[department]);
+            if (!signOffValidation.isValid) {
+                return signOffValidation;
+            }
+        }
+    }
+
+    return { isValid: true, error: null };
+}
+
+// Sign-off states of a department, in workflow order
+const SIGN_OFF_STATUSES = ['pending', 'changes-requested', 'approved'];
+
+/**
+ * Validates the sign-off record of a department
+ * @param {string} department - Department name
+ * @param {object} signOff - { status, by, at, note, history: [{ id, status, by, at, note, progress }] }
+ * @returns {object} - Validation result with isValid flag and error message
+ */
+function validateSignOff(department, signOff) {
+    const isEntry = entry => entry !== null && typeof entry === 'object' && SIGN_OFF_STATUSES.includes(entry.status) &&
+        (entry.by === null || entry.by === undefined || typeof entry.by === 'string') &&
+        (entry.at === null || entry.at === undefined || typeof entry.at === 'string') &&
+        (entry.note === null || entry.note === undefined || typeof entry.note === 'string');
+
+    if (!isValidDepartmentName(department)) {
+        return { isValid: false, error: 'Invalid sign-off: expected a department name.' };
+    }
+    if (!isEntry(signOff) || !(signOff.history === undefined || (Array.isArray(signOff.history) &&
+        signOff.history.every(entry => isEntry(entry) && typeof entry.id === 'string' && entry.id.length > 0)))) {
+        return {
+            isValid: false,
+            error: `Invalid sign-off for "${department}": expected a status (${SIGN_OFF_STATUSES.join(', ')}), approver, timestamp and history.`
+        };
+    }
+
+    return { isValid: true, error: null };
+}
+
+// GET endpoint to load the saved checklist for a document
+app.get('/api/checklists/:id', (req, res) => {
+    try {
+        if (!isValidChecklistId(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid checklist ID.' });
+        }
+
+        // A checklist that is open for collaboration is newer than its stored copy
+        const room = collaborationRooms.get(req.params.id);
+        const record = room && room.data
+            ? { id: room.id, brief: room.brief, data: room.data, signOffs: room.signOffs, updatedAt: new Date().toISOString() }
+            : getStoredChecklist(readJsonFile(CHECKLIST_STORE_PATH, {}), req.params.id);
+
+        if (!record) {
+            return res.status(404).json({ error: 'Checklist not found.' });
+        }
+
+        res.json(record);
+    } catch (error) {
+        console.error('Error loading checklist:', error);
+        res.status(500).json({ error: 'Failed to load checklist.' });
+    }
+});
+
+// PUT endpoint to save the checklist for a document
+app.put('/api/checklists/:id', (req, res) => {
+    try {
+        if (!isValidChecklistId(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid checklist ID.' });
+        }
+
+        const validation = validateChecklistRecord(req.body);
+        if (!validation.isValid) {
+            return res.status(400).json({ error: validation.error });
+        }
+
+        // A whole-record save would overwrite the edits of the panels sharing the checklist
+        if (collaborationRooms.has(req.params.id)) {
+            return res.status(409).json({ error: 'This checklist is open for collaboration. Send edits through the collaboration connection.' });
+        }
+
+        // Sign-offs only change through the sign-off endpoint, and approved departments are locked
+        const store = readJsonFile(CHECKLIST_STORE_PATH, {});
+        const current = getStoredChecklist(store, req.params.id);
+        const signOffs = current && current.signOffs ? current.signOffs : {};
+        const lockedDepartment = current && current.data
+            ? findChangedLockedDepartment(signOffs, current.data, req.body.data)
+            : null;
+        if (lockedDepartment) {
+            return res.status(409).json({ error: `${lockedDepartment} has been signed off. Reopen its sign-off to make changes.` });
+        }
+
+        const record = {
+            id: req.params.id,
+            brief: req.body.brief || '',
+            data: req.body.data,
+            signOffs,
+            updatedAt: new Date().toISOString()
+        };
+
+        store[record.id] = record;
+        writeJsonFile(CHECKLIST_STORE_PATH, store);
+
+        res.json(record);
+    } catch (error) {
+        console.error('Error saving checklist:', error);
+        res.status(500).json({ error: 'Failed to save checklist.' });
+    }
+});
+
+// PUT endpoint to record the sign-off of one department of a saved checklist
+app.put('/api/checklists/:id/sign-offs/:department', (req, res) => {
+    try {
+        const { id, department } = req.params;
+        if (!isValidChecklistId(id)) {
+            return res.status(400).json({ error: 'Invalid checklist ID.' });
+        }
+
+        const validation = validateSignOff(department, req.body);
+        if (!validation.isValid) {
+            return res.status(400).json({ error: validation.error });
+        }
+
+        const operation = { kind: 'signOff', department, signOff: req.body };
+        const hasDepartment = data => Boolean(data) && Object.prototype.hasOwnProperty.call(data, department);
+        const room = collaborationRooms.get(id);
+        if (room && room.data) {
+            if (!hasDepartment(room.data)) {
+                return res.status(404).json({ error: 'Department not found in this checklist.' });
+            }
+            // Panels collaborating on the document receive it like a sign-off made in a panel
+            applyChecklistOperation(room, operation);
+            room.revision++;
+            broadcastToRoom(room, { type: 'operation', revision: room.revision, clientId: null, operation });
+            saveCollaborationRoom(room);
+            return res.json(room.signOffs[department]);
+        }
+
+        const store = readJsonFile(CHECKLIST_STORE_PATH, {});
+        const record = getStoredChecklist(store, id);
+        if (!record) {
+            return res.status(404).json({ error: 'Checklist not found.' });
+        }
+        if (!hasDepartment(record.data)) {
+            return res.status(404).json({ error: 'Department not found in this checklist.' });
+        }
+        record.signOffs = record.signOffs || {};
+        applyChecklistOperation(record, operation);
+        record.updatedAt = new Date().toISOString();
+        writeJsonFile(CHECKLIST_STORE_PATH, store);
+
+        res.json(record.signOffs[department]);
+    } catch (error) {
+        console.error('Error saving sign-off:', error);
+        res.status(500).json({ error: 'Failed to save sign-off.' });
+    }
+});
+
+// Real-time collaboration: panels open on the same document join a room over a WebSocket at this path
+const COLLABORATION_PATH = '/api/collaborate';
+
+// How long a room waits after an edit before persisting the checklist to the store (ms)
+const COLLABORATION_SAVE_DELAY_MS = 500;
+
+// Interval of the heartbeat that drops panels whose connection died without closing (ms)
+const COLLABORATION_HEARTBEAT_MS = 30000;
+
+// Longest collaborator name shown to the other panels
+const MAX_COLLABORATOR_NAME_LENGTH = 40;
+
+// Colors assigned to collaborators in the order they join a room
+const COLLABORATOR_COLORS = ['#d946ef', '#0ea5e9', '#f59e0b', '#10b981', '#ef4444', '#6366f1', '#84cc16', '#14b8a6'];
+
+// Checklist operations a panel can send, see applyChecklistOperation
+const CHECKLIST_OPERATION_KINDS = ['replace', 'add', 'update', 'remove', 'order', 'comment', 'removeComment', 'signOff'];
+
+// Open rooms by checklist ID: { id, brief, data, revision, clients, fieldEdits, saveTimer }
+const collaborationRooms = new Map();
+
+/**
+ * Gives every task of a checklist a stable ID, so concurrent edits can address tasks whose index has changed
+ * @param {object} data - Department-grouped tasks (strings or objects)
+ * @returns {object} - The same data, with object tasks that all have an id
+ */
+function ensureTaskIds(data) {
+    for (const department in data) {
+        if (!Array.isArray(data[department])) {
+            data[department] = [];
+            continue;
+        }
+        data[department] = data[department].map(task => {
+            const taskObject = typeof task === 'string' ? { text: task, completed: false } : task;
+            return typeof taskObject.id === 'string' && taskObject.id ? taskObject : { ...taskObject, id: crypto.randomUUID() };
+        });
+    }
+    return data;
+}
+
+/**
+ * Finds a task by ID
+ * @param {object} data - Department-grouped task objects
+ * @param {string} taskId - Task ID
+ * @returns {object|null} - { department, index } of the task, or null if it does not exist
+ */
+function findTaskById(data, taskId) {
+    for (const department in data) {
+        const index = data[department].findIndex(task => task.id === taskId);
+        if (index !== -1) {
+            return { department, index };
+        }
+    }
+    return null;
+}
+
+/**
+ * Applies a checklist operation to a checklist state. The panel applies operations with the same rules, so
+ * every panel that applies the room's operations in the server's order ends with the same checklist.
+ * Operations address tasks by ID: an operation on a task that was deleted in the meantime does nothing, and
+ * the last update of a field wins.
+ * @param {object} state - Object with data, brief and signOffs, e.g. a room (modified in place)
+ * @param {object} operation - One of:
+ *   { kind: 'replace', data, brief } - replaces the tasks and brief (a new parse, an import, a department rename);
+ *     sign-offs are kept
+ *   { kind: 'add', department, index, task } - inserts a task
+ *   { kind: 'update', taskId, changes } - sets fields of a task
+ *   { kind: 'remove', taskId } - deletes a task
+ *   { kind: 'order', department, taskIds } - puts the listed tasks into the department in this order; tasks
+ *     of the department that are not listed (added concurrently) keep their relative order after them
+ *   { kind: 'comment', taskId, thread } - adds or updates a comment thread, keeping replies posted concurrently
+ *   { kind: 'removeComment', taskId, threadId } - deletes a comment thread
+ *   { kind: 'signOff', department, signOff } - sets the sign-off of a department, keeping history entries
+ *     recorded concurrently
+ * @returns {boolean} - True if the checklist changed
+ */
+function applyChecklistOperation(state, operation) {
+    const data = state.data;
+
+    switch (operation.kind) {
+        case 'replace':
+            state.data = JSON.parse(JSON.stringify(operation.data));
+            state.brief = operation.brief;
+            return true;
+        case 'add': {
+            // Tasks are only added to existing departments; a new set of departments is a replace
+            if (!data || !Object.prototype.hasOwnProperty.call(data, operation.department) || findTaskById(data, operation.task.id)) {
+                return false;
+            }
+            const tasks = data[operation.department];
+            const index = Math.max(0, Math.min(operation.index, tasks.length));
+            tasks.splice(index, 0, JSON.parse(JSON.stringify(operation.task)));
+            return true;
+        }
+        case 'update': {
+            const location = data && findTaskById(data, operation.taskId);
+            if (!location) {
+                return false;
+            }
+            const task = data[location.department][location.index];
+            Object.assign(task, JSON.parse(JSON.stringify(operation.changes)));
+            return true;
+        }
+        case 'remove': {
+            const location = data && findTaskById(data, operation.taskId);
+            if (!location) {
+                return false;
+            }
+            data[location.department].splice(location.index, 1);
+            return true;
+        }
+        case 'order': {
+            if (!data || !Object.prototype.hasOwnProperty.call(data, operation.department)) {
+                return false;
+            }
+            const ordered = [];
+            for (const taskId of operation.taskIds) {
+                const location = findTaskById(data, taskId);
+                if (location) {
+                    ordered.push(data[location.department].splice(location.index, 1)[0]);
+                }
+            }
+            data[operation.department] = ordered.concat(data[operation.department]);
+            return true;
+        }
+        case 'comment': {
+            const location = data && findTaskById(data, operation.taskId);
+            if (!location) {
+                return false;
+            }
+            const task = data[location.department][location.index];
+            const comments = task.comments || (task.comments = []);
+            const thread = JSON.parse(JSON.stringify(operation.thread));
+            const existing = comments.find(comment => comment.id === thread.id);
+            if (!existing) {
+                comments.push(thread);
+                return true;
+            }
+            const replies = existing.replies || [];
+            Object.assign(existing, thread, {
+                replies: replies.concat((thread.replies || []).filter(reply => !replies.some(known => known.id === reply.id)))
+            });
+            return true;
+        }
+        case 'removeComment': {
+            const location = data && findTaskById(data, operation.taskId);
+            if (!location) {
+                return false;
+            }
+            const task = data[location.department][location.index];
+            const comments = task.comments || [];
+            task.comments = comments.filter(comment => comment.id !== operation.threadId);
+            return task.comments.length !== comments.length;
+        }
+        case 'signOff': {
+            const signOffs = state.signOffs || (state.signOffs = {});
+            const history = signOffs[operation.department] ? signOffs[operation.department].history || [] : [];
+            const signOff = JSON.parse(JSON.stringify(operation.signOff));
+            signOffs[operation.department] = {
+                ...signOff,
+                history: history.concat((signOff.history || []).filter(entry => !history.some(known => known.id === entry.id)))
+            };
+            return true;
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * Validates a checklist operation sent by a panel
+ * @param {object} operation - Operation (see applyChecklistOperation)
+ * @param {object|null} data - Checklist of the room, whose departments add and order operations must name
+ * @returns {object} - Validation result with isValid flag and error message
+ */
+function validateChecklistOperation(operation, data) {
+    if (!operation || typeof operation !== 'object' || !CHECKLIST_OPERATION_KINDS.includes(operation.kind)) {
+        return { isValid: false, error: `Invalid operation: kind must be one of ${CHECKLIST_OPERATION_KINDS.join(', ')}.` };
+    }
+
+    const isId = value => typeof value === 'string' && value.length > 0;
+    const isDepartment = value => isValidDepartmentName(value) && Boolean(data) && Object.prototype.hasOwnProperty.call(data, value);
+
+    switch (operation.kind) {
+        case 'replace':
+            return validateChecklistRecord({ brief: operation.brief, data: operation.data });
+        case 'add':
+            if (!isDepartment(operation.department) || !Number.isInteger(operation.index) ||
+                !operation.task || typeof operation.task !== 'object' ||
+                typeof operation.task.text !== 'string' || !isId(operation.task.id)) {
+                return { isValid: false, error: 'Invalid add operation: expected an existing department, index and a task with id and text.' };
+            }
+            break;
+        case 'update':
+            if (!isId(operation.taskId) || !operation.changes || typeof operation.changes !== 'object' ||
+                Array.isArray(operation.changes) ||
+                Object.keys(operation.changes).some(field => field === 'id' || field === '__proto__') ||
+                ('text' in operation.changes && typeof operation.changes.text !== 'string')) {
+                return { isValid: false, error: 'Invalid update operation: expected taskId and the changed fields (not id).' };
+            }
+            break;
+        case 'remove':
+            if (!isId(operation.taskId)) {
+                return { isValid: false, error: 'Invalid remove operation: expected taskId.' };
+            }
+            break;
+        case 'order':
+            if (!isDepartment(operation.department) || !Array.isArray(operation.taskIds) || !operation.taskIds.every(isId)) {
+                return { isValid: false, error: 'Invalid order operation: expected an existing department and taskIds.' };
+            }
+            break;
+        case 'comment': {
+            // Threads are merged with Object.assign, which would treat an own __proto__ key as the prototype
+            const isComment = comment => comment !== null && typeof comment === 'object' && isId(comment.id) &&
+                typeof comment.author === 'string' && typeof comment.text === 'string' &&
+                !Object.prototype.hasOwnProperty.call(comment, '__proto__');
+            const thread = operation.thread;
+            if (!isId(operation.taskId) || !isComment(thread) ||
+                !(thread.replies === undefined || (Array.isArray(thread.replies) && thread.replies.every(isComment)))) {
+                return { isValid: false, error: 'Invalid comment operation: expected taskId and a thread with id, author, text and replies.' };
+            }
+            break;
+        }
+        case 'removeComment':
+            if (!isId(operation.taskId) || !isId(operation.threadId)) {
+                return { isValid: false, error: 'Invalid removeComment operation: expected taskId and threadId.' };
+            }
+            break;
+        case 'signOff':
+            if (!isDepartment(operation.department)) {
+                return { isValid: false, error: 'Invalid signOff operation: expected an existing department.' };
+            }
+            return validateSignOff(operation.department, operation.signOff);
+    }
+
+    return { isValid: true, error: null };
+}
+
+/**
+ * Checks whether a department is approved, which locks its tasks until the sign-off is reopened
+ * @param {object|null} signOffs - Sign-offs by department
+ * @param {string} department - Department name
+ * @returns {boolean} - True if the department is locked
+ */
+function isDepartmentLocked(signOffs, department) {
+    return Boolean(signOffs && Object.prototype.hasOwnProperty.call(signOffs, department) &&
+        signOffs[department].status === 'approved');
+}
+
+/**
+ * Describes the tasks of a department for comparison, leaving out comments (which stay open on approved
+ * departments), task IDs, and fields that are empty or unset, which panels and older records fill differently
+ * @param {Array} tasks - Tasks of a department
+ * @returns {string} - Comparable description
+ */
+function describeLockedTasks(tasks) {
+    return JSON.stringify(tasks.map(task => {
+        const taskObject = typeof task === 'string' ? { text: task } : task;
+        return Object.keys(taskObject)
+            .filter(field => field !== 'id' && field !== 'comments')
+            .filter(field => ![null, undefined, false, ''].includes(taskObject[field]) &&
+                !(Array.isArray(taskObject[field]) && taskObject[field].length === 0))
+            .sort()
+            .map(field => [field, taskObject[field]]);
+    }));
+}
+
+/**
+ * Finds an approved department whose tasks differ between two versions of a checklist, e.g. a saved
+ * checklist and one that would replace it
+ * @param {object} signOffs - Sign-offs by department
+ * @param {object} previousData - Department-grouped tasks now
+ * @param {object} data - Department-grouped tasks after the change
+ * @returns {string|null} - Name of the changed approved department, or null if none changed
+ */
+function findChangedLockedDepartment(signOffs, previousData, data) {
+    for (const department in signOffs) {
+        if (!isDepartmentLocked(signOffs, department) || !Object.prototype.hasOwnProperty.call(previousData, department)) {
+            continue;
+        }
+        if (!Object.prototype.hasOwnProperty.call(data, department) || !Array.isArray(data[department]) ||
+            describeLockedTasks(previousData[department]) !== describeLockedTasks(data[department])) {
+            return department;
+        }
+    }
+    return null;
+}
+
+/**
+ * Finds the approved department an operation would change. Approved departments are locked until their
+ * sign-off is reopened; comments stay open, since reviewers may still discuss an approved design.
+ * @param {object} room - Room
+ * @param {object} operation - Validated operation
+ * @returns {string|null} - Name of the locked department, or null if the operation may be applied
+ */
+function getLockedDepartment(room, operation) {
+    const isLocked = department => isDepartmentLocked(room.signOffs, department);
+    const locationOf = taskId => room.data && findTaskById(room.data, taskId);
+
+    switch (operation.kind) {
+        case 'add':
+            return isLocked(operation.department) ? operation.department : null;
+        case 'update':
+        case 'remove': {
+            const location = locationOf(operation.taskId);
+            return location && isLocked(location.department) ? location.department : null;
+        }
+        case 'order': {
+            if (isLocked(operation.department)) {
+                return operation.department;
+            }
+            const location = operation.taskIds.map(locationOf).find(found => found && isLocked(found.department));
+            return location ? location.department : null;
+        }
+        case 'replace':
+            return room.data ? findChangedLockedDepartment(room.signOffs, room.data, operation.data) : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Returns the open room of a checklist, opening it from the checklist store if needed
+ * @param {string} id - Checklist ID
+ * @returns {object} - Room
+ */
+function getCollaborationRoom(id) {
+    let room = collaborationRooms.get(id);
+    if (!room) {
+        const record = getStoredChecklist(readJsonFile(CHECKLIST_STORE_PATH, {}), id);
+        room = {
+            id,
+            brief: record ? record.brief || '' : '',
+            data: record && record.data ? ensureTaskIds(record.data) : null,
+            signOffs: record && record.signOffs ? record.signOffs : {},
+            revision: 0,
+            clients: new Set(),
+            // Last edit of each task field ("taskId:field" -> { revision, client }), to detect concurrent edits
+            fieldEdits: new Map(),
+            saveTimer: null
+        };
+        collaborationRooms.set(id, room);
+    }
+    return room;
+}
+
+/**
+ * Writes the checklist of a room to the checklist store
+ * @param {object} room - Room
+ */
+function saveCollaborationRoom(room) {
+    if (room.saveTimer) {
+        clearTimeout(room.saveTimer);
+        room.saveTimer = null;
+    }
+    if (!room.data) {
+        return;
+    }
+
+    try {
+        const store = readJsonFile(CHECKLIST_STORE_PATH, {});
+        store[room.id] = { id: room.id, brief: room.brief, data: room.data, signOffs: room.signOffs, updatedAt: new Date().toISOString() };
+        writeJsonFile(CHECKLIST_STORE_PATH, store);
+    } catch (error) {
+        console.error('Error saving shared checklist:', error);
+    }
+}
+
+/**
+ * Sends a message to one panel, if its connection is still open
+ * @param {WebSocket} socket - Panel connection
+ * @param {object} message - Message
+ */
+function sendCollaborationMessage(socket, message) {
+    if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Sends a message to every panel in a room
+ * @param {object} room - Room
+ * @param {object} message - Message
+ * @param {object} [except] - Client that should not receive it
+ */
+function broadcastToRoom(room, message, except) {
+    for (const client of room.clients) {
+        if (client !== except) {
+            sendCollaborationMessage(client.socket, message);
+        }
+    }
+}
+
+/**
+ * Tells every panel in a room who is connected and which department each collaborator is working on
+ * @param {object} room - Room
+ */
+function broadcastPresence(room) {
+    const collaborators = Array.from(room.clients, client => ({
+        id: client.id,
+        name: client.name,
+        color: client.color,
+        department: client.department
+    }));
+    broadcastToRoom(room, { type: 'presence', collaborators });
+}
+
+/**
+ * Cleans a collaborator name sent by a panel
+ * @param {*} name - Name
+ * @returns {string} - Trimmed name, or "Reviewer" if none was given
+ */
+function normalizeCollaboratorName(name) {
+    return typeof name === 'string' && name.trim() ? name.trim().slice(0, MAX_COLLABORATOR_NAME_LENGTH) : 'Reviewer';
+}
+
+/**
+ * Applies an operation sent by a panel, acknowledges it and relays it to the other panels in the room.
+ * When the operation overwrites a field another collaborator changed since the sender last synced, that
+ * collaborator is told their edit was replaced.
+ * @param {object} room - Room
+ * @param {object} client - Sending client
+ * @param {object} message - { type: 'operation', id, baseRevision, operation }
+ */
+function handleCollaborationOperation(room, client, message) {
+    const { id, operation } = message;
+    const validation = validateChecklistOperation(operation, room.data);
+    if (!validation.isValid) {
+        sendCollaborationMessage(client.socket, { type: 'error', id, error: validation.error });
+        return;
+    }
+    if (operation.kind === 'replace') {
+        ensureTaskIds(operation.data);
+        // Sign-offs only change through signOff operations
+        delete operation.signOffs;
+    }
+
+    const lockedDepartment = getLockedDepartment(room, operation);
+    if (lockedDepartment) {
+        sendCollaborationMessage(client.socket, {
+            type: 'error',
+            id,
+            error: `${lockedDepartment} has been signed off. Reopen its sign-off to make changes.`
+        });
+        return;
+    }
+
+    const baseRevision = Number.isInteger(message.baseRevision) ? message.baseRevision : room.revision;
+    const changed = applyChecklistOperation(room, operation);
+
+    if (!changed) {
+        sendCollaborationMessage(client.socket, { type: 'ack', id, revision: room.revision });
+        if (operation.kind === 'update' || operation.kind === 'comment') {
+            sendCollaborationMessage(client.socket, {
+                type: 'conflict',
+                taskId: operation.taskId,
+                message: 'A task you edited was deleted by another collaborator.'
+            });
+        }
+        return;
+    }
+
+    room.revision++;
+
+    if (operation.kind === 'update') {
+        for (const field of Object.keys(operation.changes)) {
+            const key = `${operation.taskId}:${field}`;
+            const previousEdit = room.fieldEdits.get(key);
+            if (previousEdit && previousEdit.revision > baseRevision && previousEdit.client !== client &&
+                room.clients.has(previousEdit.client)) {
+                sendCollaborationMessage(previousEdit.client.socket, {
+                    type: 'conflict',
+                    taskId: operation.taskId,
+                    field,
+                    message: `${client.name} edited the same task at the same time; their change was kept.`
+                });
+            }
+            room.fieldEdits.set(key, { revision: room.revision, client });
+        }
+    } else if (operation.kind === 'replace') {
+        room.fieldEdits.clear();
+    }
+
+    sendCollaborationMessage(client.socket, { type: 'ack', id, revision: room.revision });
+    broadcastToRoom(room, { type: 'operation', revision: room.revision, clientId: client.id, operation }, client);
+
+    if (!room.saveTimer) {
+        room.saveTimer = setTimeout(() => saveCollaborationRoom(room), COLLABORATION_SAVE_DELAY_MS);
+    }
+}
+
+/**
+ * Handles a message from a panel
+ * @param {object} room - Room
+ * @param {object} client - Sending client
+ * @param {string} raw - Raw message
+ */
+function handleCollaborationMessage(room, client, raw) {
+    let message;
+    try {
+        message = JSON.parse(raw);
+    } catch (error) {
+        sendCollaborationMessage(client.socket, { type: 'error', error: 'Messages must be JSON.' });
+        return;
+    }
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        sendCollaborationMessage(client.socket, { type: 'error', error: 'Messages must be JSON objects.' });
+        return;
+    }
+
+    // A message that cannot be handled is answered with an error rather than taking the server down
+    try {
+        if (message.type === 'operation') {
+            handleCollaborationOperation(room, client, message);
+        } else if (message.type === 'presence') {
+            if (message.name !== undefined) {
+                client.name = normalizeCollaboratorName(message.name);
+            }
+            client.department = typeof message.department === 'string' ? message.department : null;
+            broadcastPresence(room);
+        } else {
+            sendCollaborationMessage(client.socket, { type: 'error', error: 'Unknown message type.' });
+        }
+    } catch (error) {
+        console.error('Error handling collaboration message:', error);
+        sendCollaborationMessage(client.socket, { type: 'error', id: message.id, error: 'The message could not be processed.' });
+    }
+}
+
+/**
+ * Accepts collaboration connections on the HTTP server. A panel connects to
+ * /api/collaborate?checklist=<id>&name=<name>, receives the shared checklist in a "welcome" message and then
+ * exchanges operations and presence updates with the other panels open on the same document.
+ * @param {http.Server} server - HTTP server the Express app listens on
+ * @returns {WebSocketServer} - WebSocket server
+ */
+function attachCollaboration(server) {
+    const wss = new WebSocketServer({ server, path: COLLABORATION_PATH, maxPayload: 1024 * 1024 });
+
+    wss.on('connection', (socket, req) => {
+        const url = new URL(req.url, 'http://localhost');
+        const checklistId = url.searchParams.get('checklist');
+        if (!isValidChecklistId(checklistId)) {
+            socket.close(1008, 'A valid checklist ID is required.');
+            return;
+        }
+
+        const room = getCollaborationRoom(checklistId);
+        const usedColors = new Set(Array.from(room.clients, client => client.color));
+        const client = {
+            id: crypto.randomUUID(),
+            socket,
+            name: normalizeCollaboratorName(url.searchParams.get('name')),
+            color: COLLABORATOR_COLORS.find(color => !usedColors.has(color)) || COLLABORATOR_COLORS[room.clients.size % COLLABORATOR_COLORS.length],
+            department: null,
+            isAlive: true
+        };
+        room.clients.add(client);
+
+        sendCollaborationMessage(socket, {
+            type: 'welcome',
+            clientId: client.id,
+            color: client.color,
+            revision: room.revision,
+            brief: room.brief,
+            data: room.data,
+            signOffs: room.signOffs
+        });
+        broadcastPresence(room);
+
+        socket.on('pong', () => {
+            client.isAlive = true;
+        });
+        socket.on('message', raw => handleCollaborationMessage(room, client, raw.toString()));
+        socket.on('close', () => {
+            room.clients.delete(client);
+            if (room.clients.size === 0) {
+                // Nobody is left: persist now and reopen from the store on the next connection
+                saveCollaborationRoom(room);
+                collaborationRooms.delete(room.id);
+            } else {
+                broadcastPresence(room);
+            }
+        });
+    });
+
+    const heartbeat = setInterval(() => {
+        for (const room of collaborationRooms.values()) {
+            for (const client of room.clients) {
+                if (!client.isAlive) {
+                    client.socket.terminate();
+                    continue;
+                }
+                client.isAlive = false;
+                client.socket.ping();
+            }
+        }
+    }, COLLABORATION_HEARTBEAT_MS);
+    wss.on('close', () => clearInterval(heartbeat));
+
+    return wss;
+}
+
+// Longest task text accepted in a correction, and how many corrections one checklist may keep,
+// so a single checklist cannot push out the rest of the team's corrections
+const MAX_CORRECTION_TEXT_LENGTH = 500;
+const MAX_CORRECTIONS_PER_CHECKLIST = 50;
+
+/**
+ * Loads the stored corrections
+ * @returns {Array<object>} - Corrections as {id, checklistId, text, predictedDepartment, correctedDepartment, correctedText, count, createdAt, updatedAt}
+ */
+function loadCorrections() {
+    return readJsonFile(CORRECTIONS_PATH, { corrections: [] }).corrections;
+}
+
+/**
+ * Identifies a correction by the parsed task it corrects, so repeated corrections of the same task update one entry
+ * @param {string} text - Task text as parsed
+ * @param {string} predictedDepartment - Department the task was parsed into
+ * @returns {string} - Correction ID
+ */
+function getCorrectionId(text, predictedDepartment) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([normalizeTaskText(text), predictedDepartment]))
+        .digest('hex')
+        .slice(0, 16);
+}
+
+/**
+ * Validates a correction sent by the panel
+ * @param {object} correction - Request body
+ * @param {Array<object>} departments - Configured departments, the only ones a correction may name
+ * @returns {object} - Validation result with isValid flag and error message
+ */
+function validateCorrection(correction, departments) {
+    if (!correction || typeof correction !== 'object' || Array.isArray(correction)) {
+        return { isValid: false, error: 'Invalid correction: expected an object.' };
+    }
+
+    const { checklistId, text, predictedDepartment, correctedDepartment, correctedText } = correction;
+    const departmentNames = new Set(departments.map(department => department.name));
+    if (!isValidChecklistId(checklistId) || !checklistId.trim()) {
+        return { isValid: false, error: 'Invalid correction: "checklistId" is required.' };
+    }
+    if (typeof text !== 'string' || !text.trim() || text.length > MAX_CORRECTION_TEXT_LENGTH) {
+        return { isValid: false, error: `Invalid correction: "text" must be a non-empty string of at most ${MAX_CORRECTION_TEXT_LENGTH} characters.` };
+    }
+    if (typeof predictedDepartment !== 'string' || !departmentNames.has(predictedDepartment.trim())) {
+        return { isValid: false, error: 'Invalid correction: "predictedDepartment" must be a configured department.' };
+    }
+    if (typeof correctedDepartment !== 'string' || !departmentNames.has(correctedDepartment.trim())) {
+        return { isValid: false, error: 'Invalid correction: "correctedDepartment" must be a configured department.' };
+    }
+    if (correctedText !== undefined && correctedText !== null &&
+        (typeof correctedText !== 'string' || correctedText.length > MAX_CORRECTION_TEXT_LENGTH)) {
+        return { isValid: false, error: `Invalid correction: "correctedText" must be a string of at most ${MAX_CORRECTION_TEXT_LENGTH} characters.` };
+    }
+
+    return { isValid: true, error: null };
+}
+
+/**
+ * Stores a correction, replacing any earlier correction of the same parsed task. A correction that
+ * puts the task back as it was parsed removes the stored one.
+ * @param {object} correction - Validated correction {checklistId, text, predictedDepartment, correctedDepartment, correctedText}
+ * @returns {object} - { correction } with the stored entry, or { removed } when the task is back as parsed
+ */
+function saveCorrection(correction) {
+    const text = correction.text.trim();
+    const predictedDepartment = correction.predictedDepartment.trim();
+    const correctedDepartment = correction.correctedDepartment.trim();
+    const correctedText = correction.correctedText && correction.correctedText.trim() &&
+        normalizeTaskText(correction.correctedText) !== normalizeTaskText(text)
+        ? correction.correctedText.trim()
+        : null;
+
+    const id = getCorrectionId(text, predictedDepartment);
+    const corrections = loadCorrections();
+    const existing = corrections.find(entry => entry.id === id);
+    const remaining = corrections.filter(entry => entry.id !== id);
+
+    if (correctedDepartment === predictedDepartment && !correctedText) {
+        writeJsonFile(CORRECTIONS_PATH, { corrections: remaining });
+        return { removed: !!existing };
+    }
+
+    const now = new Date().toISOString();
+    const entry = {
+        id,
+        checklistId: correction.checklistId,
+        text,
+        predictedDepartment,
+        correctedDepartment,
+        correctedText,
+        count: existing ? existing.count + 1 : 1,
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now
+    };
+
+    // Most recently updated first; the oldest corrections are dropped beyond the limits
+    let fromChecklist = 1;
+    const kept = remaining.filter(other => other.checklistId !== entry.checklistId || ++fromChecklist <= MAX_CORRECTIONS_PER_CHECKLIST);
+    writeJsonFile(CORRECTIONS_PATH, { corrections: [entry, ...kept].slice(0, MAX_STORED_CORRECTIONS) });
+    return { correction: entry };
+}
+
+/**
+ * Picks the stored corrections most relevant to a brief: those whose words mostly appear in it,
+ * into a department that is still configured. Repeated and recent corrections win ties.
+ * @param {string} instructions - The unstructured design instructions from the user
+ * @param {Array<object>} departments - Department configuration to classify into
+ * @returns {Array<object>} - Up to CORRECTION_EXAMPLES corrections, most relevant first
+ */
+function findRelevantCorrections(instructions, departments) {
+    if (CORRECTION_EXAMPLES <= 0) {
+        return [];
+    }
+    const corrections = loadCorrections();
+    if (corrections.length === 0) {
+        return [];
+    }
+
+    const departmentNames = new Set(departments.map(department => department.name));
+    const briefWords = new Set(normalizeTaskText(instructions).split(' '));
+
+    return corrections
+        .filter(correction => departmentNames.has(correction.correctedDepartment))
+        .map(correction => {
+            // Short words ("the", "on") say little about whether a brief has a similar task
+            const words = [...new Set(normalizeTaskText(correction.text).split(' ').filter(word => word.length > 2))];
+            const shared = words.filter(word => briefWords.has(word)).length;
+            return { correction, relevance: words.length ? shared / words.length : 0 };
+        })
+        .filter(candidate => candidate.relevance >= CORRECTION_MIN_RELEVANCE)
+        .sort((a, b) => b.relevance - a.relevance ||
+            b.correction.count - a.correction.count ||
+            b.correction.updatedAt.localeCompare(a.correction.updatedAt))
+        .slice(0, CORRECTION_EXAMPLES)
+        .map(candidate => candidate.correction);
+}
+
+/**
+ * Formats a correction as an example line of the system prompt
+ * @param {object} correction - Stored correction
+ * @returns {string} - Example line
+ */
+function formatCorrectionExample(correction) {
+    const parts = [];
+    if (correction.correctedDepartment !== correction.predictedDepartment) {
+        parts.push(`belongs in ${correction.correctedDepartment}, not ${correction.predictedDepartment}`);
+    }
+    if (correction.correctedText) {
+        parts.push(`should be worded ${JSON.stringify(correction.correctedText)}` +
+            (parts.length ? '' : ` (${correction.correctedDepartment})`));
+    }
+    return `- ${JSON.stringify(correction.text)} ${parts.join(', and ')}`;
+}
+
+// POST endpoint to record a correction of a parsed task (moved to another department or reworded).
+// Corrections come from a saved or shared checklist, like the checklist routes.
+app.post('/api/corrections', (req, res) => {
+    try {
+        const validation = validateCorrection(req.body, loadDepartments());
+        if (!validation.isValid) {
+            return res.status(400).json({ error: validation.error });
+        }
+
+        const room = collaborationRooms.get(req.body.checklistId);
+        if (!(room && room.data) && !getStoredChecklist(readJsonFile(CHECKLIST_STORE_PATH, {}), req.body.checklistId)) {
+            return res.status(404).json({ error: 'Checklist not found.' });
+        }
+
+        const result = saveCorrection(req.body);
+        if (result.correction) {
+            // Task text stays out of the logs
+            console.log(`[Corrections] Saved ${result.correction.id} for checklist ${result.correction.checklistId}: ${result.correction.predictedDepartment} -> ${result.correction.correctedDepartment}`);
+            return res.status(201).json(result);
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Error saving correction:', error);
+        res.status(500).json({ error: 'Failed to save correction.' });
+    }
+});
+
+// GET endpoint to review the stored corrections, optionally for one corrected department
+app.get('/api/corrections', (req, res) => {
+    if (!isAdminRequest(req)) {
+        return res.status(401).json({ error: 'Admin token required.' });
+    }
+
+    try {
+        const { department } = req.query;
+        const corrections = loadCorrections()
+            .filter(correction => !department || correction.correctedDepartment === department);
+        res.json({ corrections });
+    } catch (error) {
+        console.error('Error loading corrections:', error);
+        res.status(500).json({ error: 'Failed to load corrections.' });
+    }
+});
+
+// DELETE endpoint to prune one correction
+app.delete('/api/corrections/:id', (req, res) => {
+    if (!isAdminRequest(req)) {
+        return res.status(401).json({ error: 'Admin token required.' });
+    }
+
+    try {
+        const corrections = loadCorrections();
+        const remaining = corrections.filter(correction => correction.id !== req.params.id);
+        if (remaining.length === corrections.length) {
+            return res.status(404).json({ error: 'Correction not found.' });
+        }
+
+        writeJsonFile(CORRECTIONS_PATH, { corrections: remaining });
+        res.json({ deleted: 1 });
+    } catch (error) {
+        console.error('Error deleting correction:', error);
+        res.status(500).json({ error: 'Failed to delete correction.' });
+    }
+});
+
+// DELETE endpoint to prune corrections in bulk: all of them, those into one department,
+// and/or those not updated for a number of days
+app.delete('/api/corrections', (req, res) => {
+    if (!isAdminRequest(req)) {
+        return res.status(401).json({ error: 'Admin token required.' });
+    }
+
+    try {
+        const { department } = req.query;
+        const olderThanDays = req.query.olderThanDays !== undefined ? Number(req.query.olderThanDays) : null;
+        if (olderThanDays !== null && !(olderThanDays >= 0)) {
+            return res.status(400).json({ error: 'olderThanDays must be a non-negative number.' });
+        }
+
+        const cutoff = olderThanDays !== null ? Date.now() - olderThanDays * 24 * 60 * 60 * 1000 : null;
+        const corrections = loadCorrections();
+        const remaining = corrections.filter(correction =>
+            (department && correction.correctedDepartment !== department) ||
+            (cutoff !== null && Date.parse(correction.updatedAt) >= cutoff)
+        );
+
+        writeJsonFile(CORRECTIONS_PATH, { corrections: remaining });
+        console.log(`[Corrections] Pruned ${corrections.length - remaining.length} corrections`);
+        res.json({ deleted: corrections.length - remaining.length });
+    } catch (error) {
+        console.error('Error pruning corrections:', error);
+        res.status(500).json({ error: 'Failed to prune corrections.' });
+    }
+});
+
+/**
+ * Validates a department configuration list
+ * @param {Array<object>} departments - Departments as {name, description, order, color}
+ * @returns {object} - Validation result with isValid flag and error message
+ */
+function validateDepartments(departments) {
+    if (!Array.isArray(departments) || departments.length === 0) {
+        return { isValid: false, error: 'Invalid departments: expected a non-empty array.' };
+    }
+
+    const names = new Set();
+    for (const department of departments) {
+        if (!department || typeof department !== 'object') {
+            return { isValid: false, error: 'Invalid departments: every entry must be an object.' };
+        }
+        if (typeof department.name !== 'string' || !department.name.trim()) {
+            return { isValid: false, error: 'Invalid departments: every department needs a name.' };
+        }
+        if (!isValidDepartmentName(department.name)) {
+            return { isValid: false, error: `Invalid departments: "${department.name}" cannot be used as a department name.` };
+        }
+        const key = department.name.trim().toLowerCase();
+        if (names.has(key)) {
+            return { isValid: false, error: `Invalid departments: "${department.name}" is listed more than once.` };
+        }
+        names.add(key);
+        if (typeof department.description !== 'string') {
+            return { isValid: false, error: `Invalid departments: "${department.name}" needs a description.` };
+        }
+        if (department.order !== undefined && typeof department.order !== 'number') {
+            return { isValid: false, error: `Invalid departments: "${department.name}" order must be a number.` };
+        }
+        if (department.color !== undefined && !/^#[0-9a-fA-F]{6}$/.test(department.color)) {
+            return { isValid: false, error: `Invalid departments: "${department.name}" color must be a hex color like #5258e4.` };
+        }
+    }
+
+    return { isValid: true, error: null };
+}
+
+/**
+ * Loads the department configuration: the team's saved copy if there is one, otherwise the shipped default
+ * @returns {Array<object>} - Departments as {name, description, order, color}, sorted by order
+ */
+function loadDepartments() {
+    const config = readJsonFile(DEPARTMENTS_PATH, null) || readJsonFile(DEFAULT_DEPARTMENTS_PATH, { departments: [] });
+
+    return config.departments
+        .map((department, index) => ({
+            name: department.name.trim(),
+            description: department.description || '',
+            order: typeof department.order === 'number' ? department.order : index + 1,
+            color: department.color || '#5258e4'
+        }))
+        .sort((a, b) => a.order - b.order);
+}
+
+// GET endpoint to list the configured departments
+app.get('/api/departments', (req, res) => {
+    try {
+        res.json({ departments: loadDepartments() });
+    } catch (error) {
+        console.error('Error loading departments:', error);
+        res.status(500).json({ error: 'Failed to load department configuration.' });
+    }
+});
+
+// PUT endpoint to replace the department configuration
+app.put('/api/departments', (req, res) => {
+    try {
+        const { departments } = req.body || {};
+        const validation = validateDepartments(departments);
+        if (!validation.isValid) {
+            return res.status(400).json({ error: validation.error });
+        }
+
+        writeJsonFile(DEPARTMENTS_PATH, {
+            departments: departments.map((department, index) => ({
+                name: department.name.trim(),
+                description: department.description,
+                order: typeof department.order === 'number' ? department.order : index + 1,
+                color: department.color || '#5258e4'
+            }))
+        });
+
+        res.json({ departments: loadDepartments() });
+    } catch (error) {
+        console.error('Error saving departments:', error);
+        res.status(500).json({ error: 'Failed to save department configuration.' });
+    }
+});
+
+// GET endpoint to list the prompt templates, with the placeholders they can use
+app.get('/api/prompts', (req, res) => {
+    try {
+        const { defaultVersion, houseStyle, prompts } = loadPromptTemplates();
+        res.json({
+            defaultVersion,
+            houseStyle,
+            placeholders: PROMPT_PLACEHOLDERS,
+            prompts: prompts.map(prompt => ({ ...prompt, isDefault: prompt.version === defaultVersion }))
+        });
+    } catch (error) {
+        console.error('Error loading prompts:', error);
+        res.status(500).json({ error: 'Failed to load prompt templates.' });
+    }
+});
+
+// PUT endpoint to change the default prompt version, e.g. to roll back a prompt without redeploying
+app.put('/api/prompts/default', (req, res) => {
+    if (!isAdminRequest(req)) {
+        return res.status(401).json({ error: 'Admin token required.' });
+    }
+
+    try {
+        const { version } = req.body || {};
+        if (typeof version !== 'string' || !resolvePrompt(version)) {
+            return res.status(400).json({ error: 'Please provide the version of an existing prompt template.' });
+        }
+
+        writeJsonFile(PROMPT_SETTINGS_PATH, { defaultVersion: version });
+        console.log(`[Prompts] Default prompt version set to ${version}`);
+        res.json({ defaultVersion: loadPromptTemplates().defaultVersion });
+    } catch (error) {
+        console.error('Error saving prompt settings:', error);
+        res.status(500).json({ error: 'Failed to save the default prompt version.' });
+    }
+});
+
+// GET endpoint to inspect the parse response cache
+app.get('/api/cache', (req, res) => {
+    if (!isAdminRequest(req)) {
+        return res.status(401).json({ error: 'Admin token required.' });
+    }
+    res.json(responseCache.stats());
+});
+
+// DELETE endpoint to purge the parse response cache
+app.delete('/api/cache', (req, res) => {
+    if (!isAdminRequest(req)) {
+        return res.status(401).json({ error: 'Admin token required.' });
+    }
+    const purged = responseCache.purge();
+    console.log(`[Cache] Purged ${purged} entries`);
+    res.json({ purged });
+});
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+    res.json({ status: 'ok', provider: provider.name, model: provider.model });
+});
+
+// Serve static files from dist directory (built add-on files)
+// Placed after API routes to ensure /api/* takes precedence over static file serving
+// This allows the Express server to serve both the UI and API in MCP deployment
+
+// For MCP deployment: Inject API_BASE_URL into index.html
+// Get the base URL from environment or use current request origin
+app.get('*.html', (req, res, next) => {
+    const filePath = path.join(__dirname, 'dist', req.path);
+    
+    if (fs.existsSync(filePath) && req.path.endsWith('index.html')) {
+        let html = fs.readFileSync(filePath, 'utf8');
+        
+        // Inject API_BASE_URL - use environment variable or derive from request
+        const apiBaseUrl = process.env.API_BASE_URL || 
+                          process.env.MCP_SERVER_URL || 
+                          `${req.protocol}://${req.get('host')}`;
+        
+        // Inject script before closing </head> or before first script tag
+        const injectionScript = `<script>window.API_BASE_URL = '${apiBaseUrl}';</script>`;
+        
+        // Insert before the first script tag or before </head>
+        if (html.includes('</head>')) {
+            html = html.replace('</head>', `  ${injectionScript}\n</head>`);
+        } else if (html.includes('<script')) {
+            html = html.replace('<script', `${injectionScript}\n<script`);
+        }
+        
+        res.send(html);
+    } else {
+        next();
+    }
+});
+
+// Serve other static files normally
+app.use(express.static(path.join(__dirname, 'dist')));
+
+// Start the server when run directly; the evaluation harness requires this file for its parse pipeline
+if (require.main === module) {
+    const server = app.listen(PORT, () => {
+        console.log(`Server running on port ${PORT}`);
+        console.log(`LLM provider: ${provider.name} (${provider.model})`);
+    });
+    attachCollaboration(server);
+}
+
+module.exports = {
+    app,
+    attachCollaboration,
+    PROVIDER_FACTORIES,
+    resolvePrompt,
+    createProvider,
+    parseInChunks,
+    attachTaskSources,
+    calculateTextSimilarity
+};
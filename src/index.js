@@ -9,6 +9,99 @@ let validationTimer = null;
 // Validation debounce delay (ms)
 const VALIDATION_DEBOUNCE_DELAY = 300;
 
+// Original brief text the current checklist was parsed from
+let currentBrief = '';
+
+// Storage key of the checklist (the Express document ID)
+let checklistId = null;
+
+// Debounce timer for saving
+let saveTimer = null;
+
+// Save debounce delay (ms)
+const SAVE_DEBOUNCE_DELAY = 800;
+
+// Prefix for checklist keys in the add-on's clientStorage
+const CHECKLIST_STORAGE_PREFIX = 'checklist:';
+
+// Word-overlap ratio at or above which two tasks are treated as duplicates
+const DUPLICATE_SIMILARITY_THRESHOLD = 0.8;
+
+// Allowed task priorities, highest first
+const TASK_PRIORITIES = ['high', 'medium', 'low'];
+
+// Fallback department configuration, used until /api/departments responds
+const DEFAULT_DEPARTMENTS = [
+    { name: 'Marketing', description: '', order: 1, color: '#5258e4' },
+    { name: 'Product', description: '', order: 2, color: '#0d8a72' },
+    { name: 'Legal', description: '', order: 3, color: '#c2410c' },
+    { name: 'Brand', description: '', order: 4, color: '#9333ea' },
+    { name: 'Other', description: '', order: 5, color: '#666666' }
+];
+
+// Department configuration (name, description, order, color), sorted by order
+let departmentConfig = DEFAULT_DEPARTMENTS;
+
+// Department select value for a consolidated report of all departments
+const ALL_DEPARTMENTS_VALUE = '__all__';
+
+// Maximum length of the brief summary on report cover pages
+const BRIEF_SUMMARY_MAX_LENGTH = 400;
+
+// Proxy to the APIs exposed by the document sandbox (sandbox/code.js), created on first use
+let sandboxProxyPromise = null;
+
+// Undo/redo history of checklist edits: commands with label, undo() and redo()
+let undoStack = [];
+let redoStack = [];
+
+// Maximum number of edits kept in the undo history
+const HISTORY_LIMIT = 100;
+
+// How long the "Undo" toast stays visible after a task is deleted (ms)
+const UNDO_TOAST_DURATION = 6000;
+
+// Hide timer of the undo toast, and the delete command it undoes
+let undoToastTimer = null;
+let undoToastCommand = null;
+
+// Task being dragged ({department, index}), while a drag is in progress
+let draggedTask = null;
+
+// Closes the open "Move to…" menu, if any
+let closeOpenMoveMenu = null;
+
+// Tasks whose comment threads are expanded (by task ID), and unsent comment drafts (by input), kept across re-renders
+const openCommentTasks = new Set();
+const commentDrafts = new Map();
+
+// Whether only tasks with unresolved comments are shown
+let showUnresolvedCommentsOnly = false;
+
+// Sign-off of each department: { status, by, at, note, history: [{ id, status, by, at, note, progress }] }
+let currentSignOffs = {};
+
+// Sign-off states of a department, with their labels
+const SIGN_OFF_STATUSES = ['pending', 'changes-requested', 'approved'];
+const SIGN_OFF_LABELS = {
+    'pending': 'Awaiting sign-off',
+    'changes-requested': 'Changes requested',
+    'approved': 'Approved'
+};
+
+// Real-time collaboration session on the document's checklist (see connectCollaboration), or null before it starts
+let collaboration = null;
+
+// Delay between a local edit and sending it to the other panels (ms)
+const COLLABORATION_SYNC_DELAY = 150;
+
+// Delay before reconnecting after the collaboration connection drops, doubled up to the maximum (ms)
+const COLLABORATION_RECONNECT_DELAY = 2000;
+const COLLABORATION_MAX_RECONNECT_DELAY = 30000;
+
+// clientStorage key of the name shown to other collaborators
+const COLLABORATOR_NAME_KEY = 'collaborator:name';
+
 // Dynamic API base URL: MCP injects window.API_BASE_URL, fallback to localhost for local dev
 // This allows the same code to work in both MCP deployment and local development
 const API_BASE_URL = (typeof window !== 'undefined' && window.API_BASE_URL) || 'http://localhost:3000';
@@ -35,6 +128,48 @@ function extractJsonFromResponse(text) {
 }
 
 
+/**
+ * Validates the optional details of a task object
+ * @param {object} task - Task object
+ * @returns {string|null} - Error description, or null if the details are valid
+ */
+function validateTaskFields(task) {
+    const isOptionalString = value => value === undefined || value === null || typeof value === 'string';
+
+    if (!isOptionalString(task.assignee)) {
+        return 'has a non-string assignee';
+    }
+    if (!isOptionalString(task.dueDate)) {
+        return 'has a non-string due date';
+    }
+    if (task.priority !== undefined && task.priority !== null && !TASK_PRIORITIES.includes(task.priority)) {
+        return `has an unknown priority (expected ${TASK_PRIORITIES.join(', ')})`;
+    }
+    if (task.page !== undefined && task.page !== null && !(Number.isInteger(task.page) && task.page > 0)) {
+        return 'has an invalid page number';
+    }
+    if (task.tags !== undefined && task.tags !== null &&
+        !(Array.isArray(task.tags) && task.tags.every(tag => typeof tag === 'string'))) {
+        return 'has tags that are not a list of strings';
+    }
+    if (task.comments !== undefined && task.comments !== null && !isValidCommentList(task.comments)) {
+        return 'has comments that are not a list of {author, text} threads';
+    }
+    return null;
+}
+
+/**
+ * Checks the comment threads of a task: comments with author and text, and optional replies of the same shape
+ * @param {*} comments - Comment threads
+ * @returns {boolean} - True if the threads are valid
+ */
+function isValidCommentList(comments) {
+    const isComment = comment => comment !== null && typeof comment === 'object' &&
+        typeof comment.author === 'string' && typeof comment.text === 'string';
+    return Array.isArray(comments) && comments.every(thread => isComment(thread) &&
+        (thread.replies === undefined || (Array.isArray(thread.replies) && thread.replies.every(isComment))));
+}
+
 /**
  * Validates the JSON structure matches expected format (accepts strings for backward compatibility)
  * @param {object} data - Parsed JSON object
@@ -58,12 +193,24 @@ function validateJsonStructure(data) {
             };
         }
         
-        // Check that all array items are strings (API returns strings, we convert to objects later)
-        if (!data[key].every(task => typeof task === 'string')) {
-            return {
-                isValid: false,
-                error: `Invalid structure: department "${key}" contains non-string items`
-            };
+        // Check that all array items are strings or task objects (we normalize to full objects later)
+        for (const task of data[key]) {
+            if (typeof task === 'string') {
+                continue;
+            }
+            if (!task || typeof task !== 'object' || typeof task.text !== 'string') {
+                return {
+                    isValid: false,
+                    error: `Invalid structure: department "${key}" contains invalid task items`
+                };
+            }
+            const fieldError = validateTaskFields(task);
+            if (fieldError) {
+                return {
+                    isValid: false,
+                    error: `Invalid structure: task "${task.text}" in department "${key}" ${fieldError}`
+                };
+            }
         }
     }
     
@@ -79,9 +226,82 @@ function validateJsonStructure(data) {
 }
 
 /**
- * Converts task data from API format (strings) to internal format (objects with text and completed)
- * @param {object} data - Data with string tasks
- * @returns {object} - Data with object tasks {text: string, completed: boolean}
+ * Normalizes a single task to the internal object format
+ * @param {string|object} task - Task string or object
+ * @returns {object} - Task object {id, text, completed, assignee, dueDate, priority, page, tags, comments, source?, verified?}
+ */
+function normalizeTask(task) {
+    // If already an object with text, preserve it (including source info)
+    if (typeof task === 'object' && task !== null && 'text' in task) {
+        return {
+            ...task,
+            id: typeof task.id === 'string' && task.id ? task.id : createTaskId(),
+            text: task.text || '',
+            completed: task.completed === true,
+            assignee: task.assignee || null,
+            dueDate: task.dueDate || null,
+            priority: TASK_PRIORITIES.includes(task.priority) ? task.priority : null,
+            page: Number.isInteger(task.page) && task.page > 0 ? task.page : null,
+            tags: Array.isArray(task.tags) ? task.tags : [],
+            comments: normalizeComments(task.comments)
+        };
+    }
+    // If string, convert to object
+    return {
+        id: createTaskId(),
+        text: typeof task === 'string' ? task : String(task),
+        completed: false,
+        assignee: null,
+        dueDate: null,
+        priority: null,
+        page: null,
+        tags: [],
+        comments: []
+    };
+}
+
+/**
+ * Normalizes the comment threads of a task
+ * @param {Array<object>} [comments] - Comment threads
+ * @returns {Array<object>} - Threads as {id, author, text, createdAt, resolved, replies: [{id, author, text, createdAt}]}
+ */
+function normalizeComments(comments) {
+    if (!Array.isArray(comments)) {
+        return [];
+    }
+    const normalizeComment = comment => ({
+        ...comment,
+        id: typeof comment.id === 'string' && comment.id ? comment.id : crypto.randomUUID(),
+        author: comment.author || 'Reviewer',
+        text: comment.text || '',
+        createdAt: comment.createdAt || null
+    });
+    return comments.map(thread => ({
+        ...normalizeComment(thread),
+        resolved: thread.resolved === true,
+        replies: Array.isArray(thread.replies) ? thread.replies.map(normalizeComment) : []
+    }));
+}
+
+/**
+ * Formats the details of a task (assignee, due date, priority, page, tags) as a single line
+ * @param {object} task - Task object
+ * @returns {string} - Details separated by " · ", or an empty string if there are none
+ */
+function formatTaskDetails(task) {
+    const details = [];
+    if (task.assignee) details.push(`Owner: ${task.assignee}`);
+    if (task.dueDate) details.push(`Due: ${task.dueDate}`);
+    if (task.priority) details.push(`Priority: ${task.priority.charAt(0).toUpperCase()}${task.priority.slice(1)}`);
+    if (task.page) details.push(`Page ${task.page}`);
+    if (task.tags && task.tags.length > 0) details.push(task.tags.map(tag => `#${tag}`).join(' '));
+    return details.join(' · ');
+}
+
+/**
+ * Converts task data from API format to internal format (objects with text and completed)
+ * @param {object} data - Data with string or object tasks
+ * @returns {object} - Data with object tasks {text: string, completed: boolean, source?, verified?}
  */
 function convertTasksToObjects(data) {
     if (!data || typeof data !== 'object') {
@@ -91,27 +311,7 @@ function convertTasksToObjects(data) {
     const converted = {};
     for (const department in data) {
         if (Array.isArray(data[department])) {
-            converted[department] = data[department].map(task => {
-                // If already an object with text/completed, preserve it
-                if (typeof task === 'object' && task !== null && 'text' in task) {
-                    return {
-                        text: task.text || '',
-                        completed: task.completed === true
-                    };
-                }
-                // If string, convert to object
-                if (typeof task === 'string') {
-                    return {
-                        text: task,
-                        completed: false
-                    };
-                }
-                // Fallback
-                return {
-                    text: String(task),
-                    completed: false
-                };
-            });
+            converted[department] = data[department].map(normalizeTask);
         } else {
             converted[department] = [];
         }
@@ -155,33 +355,44 @@ function parseAndValidateJson(responseData) {
     return parsedData;
 }
 
+/**
+ * Throws a user-facing error for a failed parse request
+ * @param {Response} response - Non-2xx fetch response
+ * @throws {Error} - Always
+ */
+async function throwParseResponseError(response) {
+    const errorData = await response.json().catch(() => ({}));
+    const errorMessage = errorData.error || `Request failed with status ${response.status}`;
+    
+    if (response.status === 401) {
+        throw new Error('Invalid API key. Please check server configuration.');
+    } else if (response.status === 429) {
+        throw new Error('Rate limit exceeded. Please try again later.');
+    } else if (response.status >= 500) {
+        throw new Error('Server error. Please try again later.');
+    } else {
+        throw new Error(errorMessage);
+    }
+}
+
 /**
  * Calls the local API endpoint to parse design instructions
  * @param {string} instructions - User's design instructions
+ * @param {AbortSignal} [signal] - Cancels the request
  * @returns {Promise<object>} - Parsed department-grouped tasks
  */
-async function parseInstructions(instructions) {
+async function parseInstructions(instructions, signal) {
     const response = await fetch(`${API_BASE_URL}/api/parse-instructions`, {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ instructions })
+        body: JSON.stringify({ instructions }),
+        signal
     });
 
     if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        const errorMessage = errorData.error || `Request failed with status ${response.status}`;
-        
-        if (response.status === 401) {
-            throw new Error('Invalid API key. Please check server configuration.');
-        } else if (response.status === 429) {
-            throw new Error('Rate limit exceeded. Please try again later.');
-        } else if (response.status >= 500) {
-            throw new Error('Server error. Please try again later.');
-        } else {
-            throw new Error(errorMessage);
-        }
+        await throwParseResponseError(response);
     }
 
     // Get response data (could be JSON or text)
@@ -213,1001 +424,5255 @@ async function parseInstructions(instructions) {
 }
 
 /**
- * Validates a single task text value
- * @param {string} text - Task text to validate
- * @returns {object} - Validation result with isValid flag and error message
+ * Uploads a brief file (PDF, DOCX, EML, Markdown or text) to be extracted and parsed on the server
+ * @param {File} file - Brief file
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<object>} - { instructions, data } with the extracted brief text and parsed tasks
  */
-function validateTaskText(text) {
-    if (typeof text !== 'string') {
-        return {
-            isValid: false,
-            error: 'Task text must be a string'
-        };
-    }
-    
-    const trimmed = text.trim();
-    if (trimmed.length === 0) {
-        return {
-            isValid: false,
-            error: 'Task cannot be empty'
-        };
+async function parseBriefFile(file, signal) {
+    const response = await fetch(`${API_BASE_URL}/api/parse-file?filename=${encodeURIComponent(file.name)}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/octet-stream'
+        },
+        body: file,
+        signal
+    });
+
+    if (response.status === 413) {
+        throw new Error('The file is too large to upload.');
     }
-    
-    if (trimmed.length > 1000) {
-        return {
-            isValid: false,
-            error: 'Task is too long (max 1000 characters)'
-        };
+    if (!response.ok) {
+        await throwParseResponseError(response);
     }
-    
-    return { isValid: true, error: null };
+
+    const result = await response.json();
+    return {
+        instructions: result.instructions,
+        data: convertTasksToObjects(parseAndValidateJson(result.data))
+    };
 }
 
 /**
- * Updates the task text in the data structure (preserves completion state)
- * @param {string} department - Department name
- * @param {number} index - Task index
- * @param {string} text - New task text
+ * Calls the streaming API endpoint, reporting each task as soon as the server extracts it
+ * @param {string} instructions - User's design instructions
+ * @param {object} [options] - Stream options
+ * @param {AbortSignal} [options.signal] - Cancels the request (and the upstream LLM call)
+ * @param {Function} [options.onTask] - Called with (department, task) for every streamed task
+ * @param {Function} [options.onReset] - Called when the server falls back to another parser and resends every task
+ * @returns {Promise<object>} - Final parsed department-grouped tasks
  */
-function updateTaskTextInData(department, index, text) {
-    if (!currentData || !currentData[department]) {
-        return;
+async function parseInstructionsStream(instructions, { signal, onTask, onReset } = {}) {
+    const response = await fetch(`${API_BASE_URL}/api/parse-instructions/stream`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ instructions }),
+        signal
+    });
+
+    if (!response.ok) {
+        await throwParseResponseError(response);
     }
-    
-    // Ensure the array exists and has enough elements
-    if (!Array.isArray(currentData[department])) {
-        currentData[department] = [];
+
+    let finalData = null;
+    const handleLine = (line) => {
+        if (!line.trim()) {
+            return;
+        }
+        const event = JSON.parse(line);
+        if (event.type === 'task' && onTask) {
+            onTask(event.department, normalizeTask(event.task));
+        } else if (event.type === 'reset' && onReset) {
+            onReset();
+        } else if (event.type === 'done') {
+            finalData = event.data;
+        } else if (event.type === 'error') {
+            throw new Error(event.error || 'An error occurred while parsing instructions.');
+        }
+    };
+
+    // Events are newline-delimited JSON
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) {
+            break;
+        }
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
     }
-    
-    // Ensure task is an object
-    if (!currentData[department][index] || typeof currentData[department][index] !== 'object') {
-        currentData[department][index] = { text: '', completed: false };
+    handleLine(buffer + decoder.decode());
+
+    if (!finalData) {
+        throw new Error('The connection closed before parsing finished. Please try again.');
     }
-    
-    // Update the task text, preserving completion state
-    currentData[department][index].text = text;
-    
-    // Validate the entire structure
-    validateDataStructure();
+
+    // The final payload is authoritative: it is validated as a whole, like parseInstructions
+    return convertTasksToObjects(parseAndValidateJson(finalData));
 }
 
 /**
- * Updates the task completion state
- * @param {string} department - Department name
- * @param {number} index - Task index
- * @param {boolean} completed - New completion state
+ * Resolves the storage key for the current Express document
+ * @returns {Promise<string>} - Document ID, or "default" if the document has none yet
  */
-function updateTaskCompletionInData(department, index, completed) {
-    if (!currentData || !currentData[department]) {
-        return;
-    }
-    
-    // Ensure the array exists and has enough elements
-    if (!Array.isArray(currentData[department])) {
-        currentData[department] = [];
-    }
-    
-    // Ensure task is an object
-    if (!currentData[department][index] || typeof currentData[department][index] !== 'object') {
-        currentData[department][index] = { text: currentData[department][index] || '', completed: false };
+async function resolveChecklistId() {
+    try {
+        const documentId = await addOnUISdk.app.document.id();
+        if (documentId) {
+            return documentId;
+        }
+    } catch (error) {
+        console.log('[Brief2Check] Could not read document ID:', error);
     }
-    
-    // Update the completion state
-    currentData[department][index].completed = completed === true;
-    
-    // Update progress indicator
-    updateProgressIndicator();
+    return 'default';
 }
 
 /**
- * Validates the entire currentData structure
+ * Builds the record that is persisted for the current checklist
+ * @returns {object} - Record with id, brief, data, signOffs and updatedAt (the server keeps its own
+ *   sign-offs, which change through saveSignOffToServer or signOff operations)
  */
-function validateDataStructure() {
-    if (!currentData) return;
-    
-    // Ensure all departments have arrays with proper task objects
-    for (const department in currentData) {
-        if (!Array.isArray(currentData[department])) {
-            currentData[department] = [];
-        } else {
-            // Ensure all tasks are objects
-            currentData[department] = currentData[department].map(task => {
-                if (typeof task === 'object' && task !== null && 'text' in task) {
-                    return {
-                        text: task.text || '',
-                        completed: task.completed === true
-                    };
-                }
-                // Convert string to object
-                return {
-                    text: typeof task === 'string' ? task : String(task),
-                    completed: false
-                };
-            });
-        }
-    }
+function buildChecklistRecord() {
+    return {
+        id: checklistId,
+        brief: currentBrief,
+        data: currentData,
+        signOffs: currentSignOffs,
+        updatedAt: new Date().toISOString()
+    };
 }
 
 /**
- * Calculates progress statistics
- * @returns {object} - Object with completed and total counts
+ * Saves a checklist record to the server store
+ * @param {object} record - Checklist record
+ * @returns {Promise<void>}
  */
-function calculateProgress() {
-    if (!currentData) {
-        return { completed: 0, total: 0 };
+async function saveChecklistToServer(record) {
+    const response = await fetch(`${API_BASE_URL}/api/checklists/${encodeURIComponent(record.id)}`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(record)
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `Request failed with status ${response.status}`);
     }
-    
-    let completed = 0;
-    let total = 0;
-    
-    for (const department in currentData) {
-        if (Array.isArray(currentData[department])) {
-            currentData[department].forEach(task => {
-                total++;
-                if (task && typeof task === 'object' && task.completed === true) {
-                    completed++;
-                }
-            });
-        }
+}
+
+/**
+ * Saves the sign-off of one department to the server store. Checklist saves do not change sign-offs, so
+ * they are saved on their own while the panel is not collaborating.
+ * @param {string} department - Department name
+ * @param {object} signOff - Sign-off with its history
+ * @returns {Promise<void>}
+ */
+async function saveSignOffToServer(department, signOff) {
+    const response = await fetch(`${API_BASE_URL}/api/checklists/${encodeURIComponent(checklistId)}/sign-offs/${encodeURIComponent(department)}`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(signOff)
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `Request failed with status ${response.status}`);
     }
-    
-    return { completed, total };
 }
 
 /**
- * Updates the progress indicator in the UI
+ * Remembers how the parser produced each task (its text and department), so later edits can be
+ * reported as corrections
+ * @param {object} data - Parsed department-grouped tasks
+ * @returns {object} - The same data
  */
-function updateProgressIndicator() {
-    const progressIndicator = document.getElementById('progressIndicator');
-    if (!progressIndicator) return;
-    
-    const { completed, total } = calculateProgress();
-    progressIndicator.textContent = `${completed} / ${total} tasks completed`;
+function markParsedTasks(data) {
+    for (const department in data) {
+        (data[department] || []).forEach(task => {
+            if (task && typeof task === 'object' && !task.origin) {
+                task.origin = { text: task.text, department };
+            }
+        });
+    }
+    return data;
 }
 
 /**
- * Removes a task from the data structure
- * @param {string} department - Department name
- * @param {number} index - Task index to remove
+ * Reports a correction of a parsed task to the server, which uses the team's corrections as
+ * examples when parsing future briefs. Tasks added by hand, or edited before the checklist has an ID,
+ * are not reported, and a task put back as it was parsed withdraws its correction. Failures are only logged.
+ * @param {object} task - Task object
+ * @param {string} department - Department the task is in now
  */
-function removeTask(department, index) {
-    if (!currentData || !currentData[department] || !Array.isArray(currentData[department])) {
+async function reportCorrection(task, department) {
+    if (!task || !task.origin || !checklistId) {
         return;
     }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/corrections`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                checklistId,
+                text: task.origin.text,
+                predictedDepartment: task.origin.department,
+                correctedDepartment: department,
+                correctedText: task.text
+            })
+        });
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || `Request failed with status ${response.status}`);
+        }
+    } catch (error) {
+        console.warn('[Brief2Check] Failed to report correction:', error);
+    }
+}
+
+/**
+ * Loads a checklist record from the server store
+ * @param {string} id - Checklist ID
+ * @returns {Promise<object|null>} - Saved record, or null if none exists
+ */
+async function loadChecklistFromServer(id) {
+    const response = await fetch(`${API_BASE_URL}/api/checklists/${encodeURIComponent(id)}`);
+
+    if (response.status === 404) {
+        return null;
+    }
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `Request failed with status ${response.status}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Saves the current checklist to clientStorage and the server.
+ * Failures are logged only, so the panel keeps working offline.
+ * @param {object} [options] - Save options
+ * @param {boolean} [options.sync=true] - False to keep the edit from collaborators for now
+ */
+async function saveChecklist({ sync = true } = {}) {
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+    }
+
+    if (!checklistId || !currentData) {
+        return;
+    }
+
+    const record = buildChecklistRecord();
+    if (sync) {
+        syncCollaboration();
+    }
+
+    try {
+        await addOnUISdk.instance.clientStorage.setItem(CHECKLIST_STORAGE_PREFIX + record.id, record);
+    } catch (error) {
+        console.error('[Brief2Check] Failed to save checklist locally:', error);
+    }
+
+    // Once the panel has joined the shared checklist, edits only go through the collaboration
+    // connection; edits made while it is down are sent when it reconnects
+    if (collaboration && collaboration.clientId) {
+        return;
+    }
+
+    try {
+        await saveChecklistToServer(record);
+    } catch (error) {
+        console.error('[Brief2Check] Failed to save checklist to server:', error);
+    }
+}
+
+/**
+ * Schedules a debounced save of the current checklist, and sends the edit to collaborators
+ * @param {object} [options] - Save options
+ * @param {boolean} [options.sync=true] - False to save without sending the edit, while a task text is being typed
+ */
+function scheduleSave({ sync = true } = {}) {
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+    }
+    saveTimer = setTimeout(() => saveChecklist({ sync }), SAVE_DEBOUNCE_DELAY);
+    if (sync) {
+        scheduleCollaborationSync();
+    }
+}
+
+/**
+ * Loads the saved checklist for the current document, preferring the most recently updated copy
+ * @returns {Promise<object|null>} - Saved record, or null if none exists
+ */
+async function loadChecklist() {
+    let localRecord = null;
+    let serverRecord = null;
+
+    try {
+        localRecord = await addOnUISdk.instance.clientStorage.getItem(CHECKLIST_STORAGE_PREFIX + checklistId);
+    } catch (error) {
+        console.error('[Brief2Check] Failed to load checklist locally:', error);
+    }
+
+    try {
+        serverRecord = await loadChecklistFromServer(checklistId);
+    } catch (error) {
+        console.error('[Brief2Check] Failed to load checklist from server:', error);
+    }
+
+    const records = [localRecord, serverRecord].filter(record =>
+        record && typeof record === 'object' &&
+        record.data && typeof record.data === 'object' && !Array.isArray(record.data)
+    );
+    if (records.length === 0) {
+        return null;
+    }
+
+    return records.reduce((newest, record) =>
+        new Date(record.updatedAt || 0) > new Date(newest.updatedAt || 0) ? record : newest
+    );
+}
+
+/**
+ * Creates a stable task ID, which lets collaborators address a task even after its index changed
+ * @returns {string} - Random UUID
+ */
+function createTaskId() {
+    return crypto.randomUUID();
+}
+
+/**
+ * Finds a task by ID
+ * @param {object} data - Department-grouped task objects
+ * @param {string} taskId - Task ID
+ * @returns {object|null} - { department, index } of the task, or null if it does not exist
+ */
+function findTaskById(data, taskId) {
+    for (const department in data) {
+        const index = data[department].findIndex(task => task.id === taskId);
+        if (index !== -1) {
+            return { department, index };
+        }
+    }
+    return null;
+}
+
+/**
+ * Applies a checklist operation to a checklist state, with the same rules as the server
+ * (applyChecklistOperation in server.js), so every panel ends with the server's checklist
+ * @param {object} state - { data, brief, signOffs } (modified in place)
+ * @param {object} operation - replace, add, update, remove, order, comment, removeComment or signOff operation
+ * @returns {boolean} - True if the checklist changed
+ */
+function applyChecklistOperation(state, operation) {
+    const data = state.data;
+
+    switch (operation.kind) {
+        case 'replace':
+            // Sign-offs are kept, like on the server
+            state.data = JSON.parse(JSON.stringify(operation.data));
+            state.brief = operation.brief;
+            return true;
+        case 'add': {
+            if (!data || !Object.prototype.hasOwnProperty.call(data, operation.department) || findTaskById(data, operation.task.id)) {
+                return false;
+            }
+            const tasks = data[operation.department];
+            const index = Math.max(0, Math.min(operation.index, tasks.length));
+            tasks.splice(index, 0, JSON.parse(JSON.stringify(operation.task)));
+            return true;
+        }
+        case 'update': {
+            const location = data && findTaskById(data, operation.taskId);
+            if (!location) {
+                return false;
+            }
+            const task = data[location.department][location.index];
+            Object.assign(task, JSON.parse(JSON.stringify(operation.changes)));
+            return true;
+        }
+        case 'remove': {
+            const location = data && findTaskById(data, operation.taskId);
+            if (!location) {
+                return false;
+            }
+            data[location.department].splice(location.index, 1);
+            return true;
+        }
+        case 'order': {
+            if (!data || !Object.prototype.hasOwnProperty.call(data, operation.department)) {
+                return false;
+            }
+            const ordered = [];
+            for (const taskId of operation.taskIds) {
+                const location = findTaskById(data, taskId);
+                if (location) {
+                    ordered.push(data[location.department].splice(location.index, 1)[0]);
+                }
+            }
+            data[operation.department] = ordered.concat(data[operation.department]);
+            return true;
+        }
+        case 'comment': {
+            const location = data && findTaskById(data, operation.taskId);
+            if (!location) {
+                return false;
+            }
+            const task = data[location.department][location.index];
+            const comments = task.comments || (task.comments = []);
+            const thread = JSON.parse(JSON.stringify(operation.thread));
+            const existing = comments.find(comment => comment.id === thread.id);
+            if (!existing) {
+                comments.push(thread);
+                return true;
+            }
+            // Replies posted concurrently by others are kept
+            const replies = existing.replies || [];
+            Object.assign(existing, thread, {
+                replies: replies.concat((thread.replies || []).filter(reply => !replies.some(known => known.id === reply.id)))
+            });
+            return true;
+        }
+        case 'removeComment': {
+            const location = data && findTaskById(data, operation.taskId);
+            if (!location) {
+                return false;
+            }
+            const task = data[location.department][location.index];
+            const comments = task.comments || [];
+            task.comments = comments.filter(comment => comment.id !== operation.threadId);
+            return task.comments.length !== comments.length;
+        }
+        case 'signOff': {
+            // History entries recorded concurrently by others are kept
+            const signOffs = state.signOffs || (state.signOffs = {});
+            const history = signOffs[operation.department] ? signOffs[operation.department].history || [] : [];
+            const signOff = JSON.parse(JSON.stringify(operation.signOff));
+            signOffs[operation.department] = {
+                ...signOff,
+                history: history.concat((signOff.history || []).filter(entry => !history.some(known => known.id === entry.id)))
+            };
+            return true;
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * Describes the local edits since the last sync as checklist operations. A new brief or a different
+ * set of departments (a new parse, an import, a department rename) replaces the whole checklist.
+ * @param {object} previous - { data, brief, signOffs } as last synced
+ * @param {object} current - { data, brief, signOffs } now
+ * @returns {Array<object>} - Operations that turn previous into current
+ */
+function diffChecklist(previous, current) {
+    if (!current.data) {
+        return [];
+    }
+
+    // Sign-offs go around the task edits: a reopened department is unlocked before it is edited, and an
+    // approved one is locked only after the edits made before approving it. Replacing the checklist keeps
+    // sign-offs, so they are always sent as signOff operations. Sign-offs of departments that were
+    // renamed or removed stay behind locally, but are not sent.
+    const signOffsBefore = previous.signOffs || {};
+    const signOffOperations = Object.keys(current.signOffs || {})
+        .filter(department => Object.prototype.hasOwnProperty.call(current.data, department))
+        .filter(department => JSON.stringify(signOffsBefore[department]) !== JSON.stringify(current.signOffs[department]))
+        .map(department => ({ kind: 'signOff', department, signOff: JSON.parse(JSON.stringify(current.signOffs[department])) }));
+    const unlockOperations = signOffOperations.filter(operation => operation.signOff.status !== 'approved');
+    const lockOperations = signOffOperations.filter(operation => operation.signOff.status === 'approved');
+
+    const departmentsKey = data => Object.keys(data).sort().join('\n');
+    if (!previous.data || previous.brief !== current.brief || departmentsKey(previous.data) !== departmentsKey(current.data)) {
+        // Sign-offs of departments the replace adds can only be sent after it
+        const existedBefore = operation => Boolean(previous.data) && Object.prototype.hasOwnProperty.call(previous.data, operation.department);
+        return [
+            ...unlockOperations.filter(existedBefore),
+            { kind: 'replace', data: JSON.parse(JSON.stringify(current.data)), brief: current.brief },
+            ...unlockOperations.filter(operation => !existedBefore(operation)),
+            ...lockOperations
+        ];
+    }
+
+    const indexTasks = (data) => {
+        const tasks = new Map();
+        for (const department in data) {
+            data[department].forEach((task, index) => tasks.set(task.id, { department, index, task }));
+        }
+        return tasks;
+    };
+    const previousTasks = indexTasks(previous.data);
+    const currentTasks = indexTasks(current.data);
+    const operations = [...unlockOperations];
+
+    for (const taskId of previousTasks.keys()) {
+        if (!currentTasks.has(taskId)) {
+            operations.push({ kind: 'remove', taskId });
+        }
+    }
+
+    for (const [taskId, { department, index, task }] of currentTasks) {
+        const before = previousTasks.get(taskId);
+        if (!before) {
+            operations.push({ kind: 'add', department, index, task: JSON.parse(JSON.stringify(task)) });
+            continue;
+        }
+        const changes = {};
+        for (const field of new Set([...Object.keys(before.task), ...Object.keys(task)])) {
+            if (field !== 'id' && field !== 'comments' && JSON.stringify(before.task[field]) !== JSON.stringify(task[field])) {
+                changes[field] = task[field] === undefined ? null : JSON.parse(JSON.stringify(task[field]));
+            }
+        }
+        if (Object.keys(changes).length > 0) {
+            operations.push({ kind: 'update', taskId, changes });
+        }
+
+        // Comment threads are synced one by one, so reviewers commenting at the same time do not overwrite each other
+        const threadsBefore = new Map((before.task.comments || []).map(thread => [thread.id, thread]));
+        for (const thread of task.comments || []) {
+            if (JSON.stringify(threadsBefore.get(thread.id)) !== JSON.stringify(thread)) {
+                operations.push({ kind: 'comment', taskId, thread: JSON.parse(JSON.stringify(thread)) });
+            }
+            threadsBefore.delete(thread.id);
+        }
+        for (const threadId of threadsBefore.keys()) {
+            operations.push({ kind: 'removeComment', taskId, threadId });
+        }
+    }
+
+    // Reorder the departments whose tasks are not in the right order once the other operations are applied
+    const result = JSON.parse(JSON.stringify(previous));
+    operations.forEach(operation => applyChecklistOperation(result, operation));
+    for (const department in current.data) {
+        const taskIds = current.data[department].map(task => task.id);
+        if ((result.data[department] || []).map(task => task.id).join('\n') !== taskIds.join('\n')) {
+            operations.push({ kind: 'order', department, taskIds });
+        }
+    }
+
+    return operations.concat(lockOperations);
+}
+
+/**
+ * Opens the collaboration connection for the document's checklist, reconnecting when it drops.
+ * While connected, the server keeps the shared checklist, so saves only go to clientStorage.
+ */
+async function connectCollaboration() {
+    if (!collaboration) {
+        let name = '';
+        try {
+            name = await addOnUISdk.instance.clientStorage.getItem(COLLABORATOR_NAME_KEY) || '';
+        } catch (error) {
+            console.log('[Brief2Check] Could not read collaborator name:', error);
+        }
+        collaboration = {
+            socket: null,
+            connected: false,
+            clientId: null,
+            name,
+            department: null,
+            revision: 0,
+            // Checklist as the server has it, and as last synced (the server's plus the pending operations)
+            server: { data: null, brief: '', signOffs: {} },
+            shadow: { data: null, brief: '', signOffs: {} },
+            // Operations sent but not acknowledged yet, as { id, operation }
+            pending: [],
+            nextOperationId: 1,
+            collaborators: [],
+            syncTimer: null,
+            held: false,
+            heldMessages: [],
+            reconnectDelay: COLLABORATION_RECONNECT_DELAY
+        };
+    }
+
+    const url = new URL(`${API_BASE_URL.replace(/^http/, 'ws')}/api/collaborate`);
+    url.searchParams.set('checklist', checklistId);
+    url.searchParams.set('name', collaboration.name);
+
+    const socket = new WebSocket(url);
+    collaboration.socket = socket;
+
+    socket.addEventListener('message', (event) => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (error) {
+            console.error('[Brief2Check] Invalid collaboration message:', error);
+            return;
+        }
+        if (collaboration.held) {
+            collaboration.heldMessages.push(message);
+        } else {
+            handleCollaborationMessage(message);
+        }
+    });
+
+    socket.addEventListener('close', () => {
+        collaboration.connected = false;
+        collaboration.collaborators = [];
+        renderCollaborators();
+        setTimeout(connectCollaboration, collaboration.reconnectDelay);
+        collaboration.reconnectDelay = Math.min(collaboration.reconnectDelay * 2, COLLABORATION_MAX_RECONNECT_DELAY);
+    });
+}
+
+/**
+ * Handles a message from the collaboration server
+ * @param {object} message - welcome, ack, error, operation, conflict or presence message
+ */
+function handleCollaborationMessage(message) {
+    switch (message.type) {
+        case 'welcome': {
+            const previousServerData = collaboration.server.data;
+            collaboration.connected = true;
+            collaboration.clientId = message.clientId;
+            collaboration.revision = message.revision;
+            collaboration.reconnectDelay = COLLABORATION_RECONNECT_DELAY;
+            collaboration.server = { data: message.data, brief: message.brief || '', signOffs: message.signOffs || {} };
+
+            // Edits that were not acknowledged before a reconnect are sent again, along with the edits
+            // made while the connection was down, which were never sent
+            const unsent = collaboration.pending.map(({ operation }) => operation);
+            if (collaboration.shadow.data && currentData) {
+                validateDataStructure();
+                unsent.push(...diffChecklist(collaboration.shadow, { data: currentData, brief: currentBrief, signOffs: currentSignOffs }));
+            }
+            collaboration.pending = [];
+            if (message.data) {
+                const state = JSON.parse(JSON.stringify(collaboration.server));
+                unsent.forEach(operation => applyChecklistOperation(state, operation));
+                collaboration.shadow = {
+                    data: convertTasksToObjects(message.data),
+                    brief: collaboration.server.brief,
+                    signOffs: JSON.parse(JSON.stringify(collaboration.server.signOffs))
+                };
+                // The undo history still applies if nobody else changed the checklist meanwhile
+                if (JSON.stringify(previousServerData) !== JSON.stringify(message.data)) {
+                    clearHistory();
+                }
+                showServerState(state);
+            } else {
+                // Nobody has shared a checklist for this document yet: share ours
+                collaboration.shadow = { data: null, brief: '', signOffs: {} };
+            }
+            syncCollaboration();
+            sendPresence();
+            break;
+        }
+        case 'ack':
+        case 'error': {
+            const index = collaboration.pending.findIndex(entry => entry.id === message.id);
+            const [entry] = index === -1 ? [] : collaboration.pending.splice(index, 1);
+            if (message.type === 'ack') {
+                collaboration.revision = message.revision;
+                if (entry) {
+                    applyChecklistOperation(collaboration.server, entry.operation);
+                }
+            } else {
+                console.error('[Brief2Check] Collaboration server rejected an edit:', message.error);
+                if (entry) {
+                    showError(message.error);
+                }
+                rebaseOnServerState();
+            }
+            break;
+        }
+        case 'operation':
+            collaboration.revision = message.revision;
+            applyChecklistOperation(collaboration.server, message.operation);
+            // Index-based undo steps no longer apply once someone else adds, removes or moves tasks
+            if (message.operation.kind !== 'update') {
+                clearHistory();
+            }
+            rebaseOnServerState();
+            break;
+        case 'conflict':
+            showNotice(message.message);
+            break;
+        case 'presence':
+            collaboration.collaborators = message.collaborators.filter(collaborator => collaborator.id !== collaboration.clientId);
+            renderCollaborators();
+            break;
+    }
+}
+
+/**
+ * Shows the server's checklist with this panel's unacknowledged edits applied on top. Unsent local
+ * edits are sent first, so they are part of the pending operations.
+ */
+function rebaseOnServerState() {
+    syncCollaboration();
+    const state = JSON.parse(JSON.stringify(collaboration.server));
+    collaboration.pending.forEach(({ operation }) => applyChecklistOperation(state, operation));
+    showServerState(state);
+    collaboration.shadow = JSON.parse(JSON.stringify({ data: currentData, brief: currentBrief, signOffs: currentSignOffs }));
+}
+
+/**
+ * Replaces the checklist with a synced state and re-renders it, keeping the focus and cursor of the
+ * task being edited
+ * @param {object} state - { data, brief, signOffs }
+ */
+function showServerState(state) {
+    if (!state.data) {
+        return;
+    }
+
+    const focus = captureTaskFocus();
+    currentData = convertTasksToObjects(state.data);
+    currentBrief = state.brief;
+    currentSignOffs = state.signOffs || {};
+    const instructionsInput = document.getElementById('instructionsInput');
+    if (instructionsInput && document.activeElement !== instructionsInput) {
+        instructionsInput.value = currentBrief;
+    }
+    renderDepartmentGroups(currentData);
+    document.getElementById('resultsSection').classList.add('active');
+    updateHistoryButtons();
+    scheduleSave();
+    restoreTaskFocus(focus);
+}
+
+/**
+ * Remembers the focused task text or comment input before the checklist is re-rendered
+ * @returns {object|null} - { taskId } or { draftKey }, with the selection, or null if neither has the focus
+ */
+function captureTaskFocus() {
+    const activeElement = document.activeElement;
+    if (!activeElement || !currentData) {
+        return null;
+    }
+    const selection = { selectionStart: activeElement.selectionStart, selectionEnd: activeElement.selectionEnd };
+
+    if (activeElement.dataset.commentDraft) {
+        return { draftKey: activeElement.dataset.commentDraft, ...selection };
+    }
+    if (activeElement.classList.contains('task-text-input')) {
+        const task = (currentData[activeElement.dataset.department] || [])[Number(activeElement.dataset.index)];
+        return task ? { taskId: task.id, ...selection } : null;
+    }
+    return null;
+}
+
+/**
+ * Puts the focus and selection back on the input remembered by captureTaskFocus, wherever its task is now
+ * @param {object|null} focus - Remembered focus
+ */
+function restoreTaskFocus(focus) {
+    if (!focus) {
+        return;
+    }
+
+    let input = null;
+    if (focus.draftKey) {
+        input = document.querySelector(`[data-comment-draft="${CSS.escape(focus.draftKey)}"]`);
+    } else {
+        const location = findTaskById(currentData, focus.taskId);
+        input = location && document.querySelector(
+            `.task-text-input[data-department="${CSS.escape(location.department)}"][data-index="${location.index}"]`
+        );
+    }
+    if (input) {
+        input.focus();
+        input.setSelectionRange(focus.selectionStart, focus.selectionEnd);
+    }
+}
+
+/**
+ * Sends the local edits since the last sync to the other panels
+ */
+function syncCollaboration() {
+    if (!collaboration) {
+        return;
+    }
+    if (collaboration.syncTimer) {
+        clearTimeout(collaboration.syncTimer);
+        collaboration.syncTimer = null;
+    }
+    if (!collaboration.connected || collaboration.held || !currentData) {
+        return;
+    }
+
+    // Gives tasks added since the last sync their IDs
+    validateDataStructure();
+    const current = { data: currentData, brief: currentBrief, signOffs: currentSignOffs };
+    for (const operation of diffChecklist(collaboration.shadow, current)) {
+        const id = collaboration.nextOperationId++;
+        collaboration.pending.push({ id, operation });
+        collaboration.socket.send(JSON.stringify({ type: 'operation', id, baseRevision: collaboration.revision, operation }));
+    }
+    collaboration.shadow = JSON.parse(JSON.stringify(current));
+}
+
+/**
+ * Sends the local edits to the other panels after a short pause, so typing is sent in batches
+ */
+function scheduleCollaborationSync() {
+    if (!collaboration) {
+        return;
+    }
+    if (collaboration.syncTimer) {
+        clearTimeout(collaboration.syncTimer);
+    }
+    collaboration.syncTimer = setTimeout(syncCollaboration, COLLABORATION_SYNC_DELAY);
+}
+
+/**
+ * Holds back sending and applying collaboration updates, while a streamed parse rebuilds the checklist
+ * @param {boolean} hold - True to hold, false to send the local changes and apply the held updates
+ */
+function holdCollaboration(hold) {
+    if (!collaboration) {
+        return;
+    }
+    collaboration.held = hold;
+    if (!hold) {
+        syncCollaboration();
+        const messages = collaboration.heldMessages;
+        collaboration.heldMessages = [];
+        messages.forEach(handleCollaborationMessage);
+    }
+}
+
+/**
+ * Tells the other panels this collaborator's name and the department they are working on
+ */
+function sendPresence() {
+    if (collaboration && collaboration.connected) {
+        collaboration.socket.send(JSON.stringify({
+            type: 'presence',
+            name: collaboration.name,
+            department: collaboration.department
+        }));
+    }
+}
+
+/**
+ * Updates the department this collaborator is working on
+ * @param {string|null} department - Department of the focused task, or null
+ */
+function setPresenceDepartment(department) {
+    if (collaboration && collaboration.department !== department) {
+        collaboration.department = department;
+        sendPresence();
+    }
+}
+
+/**
+ * Creates the colored initials badge of a collaborator
+ * @param {object} collaborator - { name, color, department }
+ * @returns {HTMLElement} - Badge element
+ */
+function createCollaboratorBadge(collaborator) {
+    const badge = document.createElement('span');
+    badge.className = 'collaborator-badge';
+    badge.style.backgroundColor = collaborator.color;
+    badge.textContent = collaborator.name.split(/\s+/).map(part => part.charAt(0)).join('').slice(0, 2).toUpperCase();
+    badge.title = collaborator.department ? `${collaborator.name} · ${collaborator.department}` : collaborator.name;
+    return badge;
+}
+
+/**
+ * Shows who else has the checklist open, and on each department who is working on it
+ */
+function renderCollaborators() {
+    const bar = document.getElementById('collaboratorsBar');
+    const list = document.getElementById('collaboratorList');
+    if (!bar || !list) {
+        return;
+    }
+
+    // The bar stays visible offline, since the name is also used for comments
+    const connected = collaboration && collaboration.connected;
+    const collaborators = connected ? collaboration.collaborators : [];
+    list.innerHTML = '';
+    collaborators.forEach(collaborator => list.appendChild(createCollaboratorBadge(collaborator)));
+    let label = 'Working offline';
+    if (connected) {
+        label = collaborators.length === 0
+            ? 'Only you are editing'
+            : `${collaborators.length} other ${collaborators.length === 1 ? 'reviewer' : 'reviewers'} editing`;
+    }
+    document.getElementById('collaboratorsLabel').textContent = label;
+
+    document.querySelectorAll('.department-group').forEach(group => {
+        const presence = group.querySelector('.department-presence');
+        presence.innerHTML = '';
+        collaborators
+            .filter(collaborator => collaborator.department === group.dataset.department)
+            .forEach(collaborator => presence.appendChild(createCollaboratorBadge(collaborator)));
+    });
+}
+
+/**
+ * Loads the department configuration from the server, keeping the defaults if it is unreachable
+ * @returns {Promise<Array<object>>} - Departments sorted by display order
+ */
+async function loadDepartmentConfig() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/departments`);
+        if (!response.ok) {
+            throw new Error(`Request failed with status ${response.status}`);
+        }
+        const { departments } = await response.json();
+        if (Array.isArray(departments) && departments.length > 0) {
+            departmentConfig = departments;
+        }
+    } catch (error) {
+        console.error('[Brief2Check] Failed to load department configuration:', error);
+    }
+    return departmentConfig;
+}
+
+/**
+ * Saves the department configuration to the server
+ * @param {Array<object>} departments - Departments as {name, description, order, color}
+ * @returns {Promise<Array<object>>} - Saved departments sorted by display order
+ */
+async function saveDepartmentConfig(departments) {
+    const response = await fetch(`${API_BASE_URL}/api/departments`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ departments })
+    });
+
+    const responseData = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(responseData.error || `Request failed with status ${response.status}`);
+    }
+
+    departmentConfig = responseData.departments;
+    return departmentConfig;
+}
+
+/**
+ * Sorts department names by the configured display order; unconfigured departments go last, alphabetically
+ * @param {Array<string>} departments - Department names
+ * @returns {Array<string>} - Sorted department names
+ */
+function sortDepartments(departments) {
+    const departmentOrder = departmentConfig.map(department => department.name);
+    return [...departments].sort((a, b) => {
+        const aIndex = departmentOrder.indexOf(a);
+        const bIndex = departmentOrder.indexOf(b);
+        if (aIndex === -1 && bIndex === -1) return a.localeCompare(b);
+        if (aIndex === -1) return 1;
+        if (bIndex === -1) return -1;
+        return aIndex - bIndex;
+    });
+}
+
+/**
+ * Gets the configured color of a department
+ * @param {string} department - Department name
+ * @returns {string} - Hex color
+ */
+function getDepartmentColor(department) {
+    const config = departmentConfig.find(item => item.name === department);
+    return config && config.color ? config.color : '#5258e4';
+}
+
+/**
+ * Validates a single task text value
+ * @param {string} text - Task text to validate
+ * @returns {object} - Validation result with isValid flag and error message
+ */
+function validateTaskText(text) {
+    if (typeof text !== 'string') {
+        return {
+            isValid: false,
+            error: 'Task text must be a string'
+        };
+    }
+    
+    const trimmed = text.trim();
+    if (trimmed.length === 0) {
+        return {
+            isValid: false,
+            error: 'Task cannot be empty'
+        };
+    }
+    
+    if (trimmed.length > 1000) {
+        return {
+            isValid: false,
+            error: 'Task is too long (max 1000 characters)'
+        };
+    }
+    
+    return { isValid: true, error: null };
+}
+
+/**
+ * Updates the task text in the data structure (preserves completion state). Typing is saved but
+ * not sent to collaborators; the text field sends the finished edit when it changes.
+ * @param {string} department - Department name
+ * @param {number} index - Task index
+ * @param {string} text - New task text
+ */
+function updateTaskTextInData(department, index, text) {
+    if (!currentData || !currentData[department]) {
+        return;
+    }
+    
+    // Ensure the array exists and has enough elements
+    if (!Array.isArray(currentData[department])) {
+        currentData[department] = [];
+    }
+    
+    // Ensure task is an object
+    if (!currentData[department][index] || typeof currentData[department][index] !== 'object') {
+        currentData[department][index] = { text: '', completed: false };
+    }
+    
+    // Update the task text, preserving completion state
+    currentData[department][index].text = text;
+    
+    // Validate the entire structure
+    validateDataStructure();
+    
+    scheduleSave({ sync: false });
+}
+
+/**
+ * Updates the task completion state
+ * @param {string} department - Department name
+ * @param {number} index - Task index
+ * @param {boolean} completed - New completion state
+ */
+function updateTaskCompletionInData(department, index, completed) {
+    if (!currentData || !currentData[department]) {
+        return;
+    }
+    
+    // Ensure the array exists and has enough elements
+    if (!Array.isArray(currentData[department])) {
+        currentData[department] = [];
+    }
+    
+    // Ensure task is an object
+    if (!currentData[department][index] || typeof currentData[department][index] !== 'object') {
+        currentData[department][index] = { text: currentData[department][index] || '', completed: false };
+    }
+    
+    // Update the completion state
+    const wasCompleted = currentData[department][index].completed === true;
+    currentData[department][index].completed = completed === true;
+    if (wasCompleted !== (completed === true)) {
+        recordCommand(createTaskUpdateCommand(
+            completed ? 'complete task' : 'uncheck task',
+            department,
+            index,
+            { completed: wasCompleted },
+            { completed: completed === true }
+        ));
+    }
+    
+    // Update progress indicator
+    updateProgressIndicator();
+    
+    scheduleSave();
+}
+
+/**
+ * Updates one detail field of a task (assignee, dueDate, priority, page or tags)
+ * @param {string} department - Department name
+ * @param {number} index - Task index
+ * @param {string} field - Field name
+ * @param {*} value - New value (null clears the field)
+ */
+function updateTaskFieldInData(department, index, field, value) {
+    if (!currentData || !Array.isArray(currentData[department]) || !currentData[department][index]) {
+        return;
+    }
+
+    const previousValue = normalizeTask(currentData[department][index])[field];
+    currentData[department][index] = normalizeTask({
+        ...currentData[department][index],
+        [field]: value
+    });
+    recordCommand(createTaskUpdateCommand('edit task details', department, index, { [field]: previousValue }, { [field]: value }));
+
+    scheduleSave();
+}
+
+/**
+ * Validates the entire currentData structure
+ */
+function validateDataStructure() {
+    if (!currentData) return;
+    
+    // Ensure all departments have arrays with proper task objects
+    for (const department in currentData) {
+        if (!Array.isArray(currentData[department])) {
+            currentData[department] = [];
+        } else {
+            // Ensure all tasks are objects
+            currentData[department] = currentData[department].map(normalizeTask);
+        }
+    }
+}
+
+/**
+ * Calculates progress statistics
+ * @param {Array<string>} [departments] - Departments to include (defaults to all)
+ * @returns {object} - Object with completed and total counts
+ */
+function calculateProgress(departments) {
+    if (!currentData) {
+        return { completed: 0, total: 0 };
+    }
+    
+    let completed = 0;
+    let total = 0;
+    
+    for (const department of departments || Object.keys(currentData)) {
+        if (Array.isArray(currentData[department])) {
+            currentData[department].forEach(task => {
+                total++;
+                if (task && typeof task === 'object' && task.completed === true) {
+                    completed++;
+                }
+            });
+        }
+    }
+    
+    return { completed, total };
+}
+
+/**
+ * Updates the progress indicator in the UI
+ */
+function updateProgressIndicator() {
+    const progressIndicator = document.getElementById('progressIndicator');
+    if (!progressIndicator) return;
+    
+    const { completed, total } = calculateProgress();
+    progressIndicator.textContent = `${completed} / ${total} tasks completed`;
+}
+
+/**
+ * Removes a task from the data structure
+ * @param {string} department - Department name
+ * @param {number} index - Task index to remove
+ */
+function removeTask(department, index) {
+    if (!currentData || !currentData[department] || !Array.isArray(currentData[department])) {
+        return;
+    }
+    
+    const [removedTask] = currentData[department].splice(index, 1);
+    if (removedTask === undefined) {
+        return;
+    }
+    const command = createRemoveTaskCommand(department, index, removedTask);
+    recordCommand(command);
+    showUndoToast('Task deleted.', command);
+    
+    // Update progress
+    updateProgressIndicator();
+    
+    // Re-render to update indices
+    renderDepartmentGroups(currentData);
+    
+    // Update export section
+    updateExportSection();
+    
+    scheduleSave();
+}
+
+/**
+ * Adds a new task to a department
+ * @param {string} department - Department name
+ */
+function addTask(department) {
+    if (!currentData) {
+        currentData = {};
+    }
+    
+    if (!currentData[department]) {
+        currentData[department] = [];
+    }
+    
+    if (!Array.isArray(currentData[department])) {
+        currentData[department] = [];
+    }
+    
+    // Add new task object (unchecked by default)
+    const newTask = {
+        text: '',
+        completed: false
+    };
+    currentData[department].push(newTask);
+    recordCommand(createInsertTaskCommand(department, currentData[department].length - 1, newTask));
+    
+    // Update progress
+    updateProgressIndicator();
+    
+    // Re-render to show new task
+    renderDepartmentGroups(currentData);
+    
+    // Update export section
+    updateExportSection();
+    
+    scheduleSave();
+    
+    // Focus on the new task input
+    setTimeout(() => {
+        const departmentGroups = document.getElementById("departmentGroups");
+        const departmentGroup = Array.from(departmentGroups.querySelectorAll('.department-group')).find(
+            group => group.querySelector('.department-header').textContent === department
+        );
+        
+        if (departmentGroup) {
+            const taskItems = departmentGroup.querySelectorAll('.task-item');
+            const lastTaskItem = taskItems[taskItems.length - 1];
+            if (lastTaskItem) {
+                const input = lastTaskItem.querySelector('input, textarea');
+                if (input) {
+                    input.focus();
+                    input.classList.add('editing');
+                }
+            }
+        }
+    }, 50);
+}
+
+/**
+ * Copies a task so history entries are not changed by later edits of the live task
+ * @param {object} task - Task object
+ * @returns {object} - Deep copy of the task
+ */
+function cloneTask(task) {
+    return JSON.parse(JSON.stringify(task));
+}
+
+/**
+ * Creates a command that changes properties of a task
+ * @param {string} label - Description of the edit, shown in the undo/redo button titles
+ * @param {string} department - Department name
+ * @param {number} index - Task index
+ * @param {object} before - Task properties before the edit
+ * @param {object} after - Task properties after the edit
+ * @returns {object} - Command with label, departments, undo() and redo()
+ */
+function createTaskUpdateCommand(label, department, index, before, after) {
+    const apply = (changes) => {
+        if (currentData && Array.isArray(currentData[department]) && currentData[department][index]) {
+            currentData[department][index] = normalizeTask({ ...currentData[department][index], ...changes });
+            if ('text' in changes) {
+                reportCorrection(currentData[department][index], department);
+            }
+        }
+    };
+    return {
+        label,
+        departments: [department],
+        undo: () => apply(before),
+        redo: () => apply(after)
+    };
+}
+
+/**
+ * Inserts a task into the current data
+ * @param {string} department - Department name
+ * @param {number} index - Position to insert at
+ * @param {object} task - Task object
+ */
+function insertTaskAt(department, index, task) {
+    if (!currentData) {
+        currentData = {};
+    }
+    if (!Array.isArray(currentData[department])) {
+        currentData[department] = [];
+    }
+    currentData[department].splice(index, 0, cloneTask(task));
+}
+
+/**
+ * Creates a command for a task that was added
+ * @param {string} department - Department name
+ * @param {number} index - Position of the new task
+ * @param {object} task - The new task
+ * @returns {object} - Command with label, departments, undo() and redo()
+ */
+function createInsertTaskCommand(department, index, task) {
+    const snapshot = cloneTask(task);
+    return {
+        label: 'add task',
+        departments: [department],
+        undo: () => currentData[department].splice(index, 1),
+        redo: () => insertTaskAt(department, index, snapshot)
+    };
+}
+
+/**
+ * Creates a command for a task that was deleted
+ * @param {string} department - Department name
+ * @param {number} index - Position the task was deleted from
+ * @param {object} task - The deleted task
+ * @returns {object} - Command with label, departments, undo() and redo()
+ */
+function createRemoveTaskCommand(department, index, task) {
+    const snapshot = cloneTask(task);
+    return {
+        label: 'delete task',
+        departments: [department],
+        undo: () => insertTaskAt(department, index, snapshot),
+        redo: () => currentData[department].splice(index, 1)
+    };
+}
+
+/**
+ * Creates a command for a task moved within or between departments
+ * @param {string} fromDepartment - Department the task was moved from
+ * @param {number} fromIndex - Position the task was moved from
+ * @param {string} toDepartment - Department the task was moved to
+ * @param {number} toIndex - Position of the task after the move
+ * @returns {object} - Command with label, departments, undo() and redo()
+ */
+function createMoveTaskCommand(fromDepartment, fromIndex, toDepartment, toIndex) {
+    const move = (sourceDepartment, sourceIndex, targetDepartment, targetIndex) => {
+        const [task] = currentData[sourceDepartment].splice(sourceIndex, 1);
+        insertTaskAt(targetDepartment, targetIndex, task);
+        if (sourceDepartment !== targetDepartment) {
+            reportCorrection(task, targetDepartment);
+        }
+    };
+    return {
+        label: fromDepartment === toDepartment ? 'reorder task' : `move task to ${toDepartment}`,
+        departments: [fromDepartment, toDepartment],
+        undo: () => move(toDepartment, toIndex, fromDepartment, fromIndex),
+        redo: () => move(fromDepartment, fromIndex, toDepartment, toIndex)
+    };
+}
+
+/**
+ * Moves a task within or between departments and records the move in the undo history
+ * @param {string} fromDepartment - Department of the task
+ * @param {number} fromIndex - Current position of the task
+ * @param {string} toDepartment - Department to move the task to
+ * @param {number} toIndex - Position of the task after the move
+ * @returns {boolean} - True if the task was moved
+ */
+function moveTaskInData(fromDepartment, fromIndex, toDepartment, toIndex) {
+    if (!currentData || !Array.isArray(currentData[fromDepartment]) || !currentData[fromDepartment][fromIndex]) {
+        return false;
+    }
+    if (fromDepartment === toDepartment && fromIndex === toIndex) {
+        return false;
+    }
+    if (isDepartmentLocked(fromDepartment) || isDepartmentLocked(toDepartment)) {
+        return false;
+    }
+
+    const command = createMoveTaskCommand(fromDepartment, fromIndex, toDepartment, toIndex);
+    command.redo();
+    recordCommand(command);
+    renderDepartmentGroups(currentData);
+    scheduleSave();
+    return true;
+}
+
+/**
+ * Creates a command that swaps the departments an edit changed, for edits that touch many tasks at once
+ * @param {string} label - Description of the edit
+ * @param {object} before - { data, brief, signOffs } before the edit
+ * @param {object} after - { data, brief, signOffs } after the edit
+ * @returns {object} - Command with label, departments, undo() and redo()
+ */
+function createSnapshotCommand(label, before, after) {
+    // Only the departments the edit changed are swapped back, so later edits to the others stay in place
+    const departments = [...new Set([...Object.keys(before.data || {}), ...Object.keys(after.data || {})])]
+        .filter(department => JSON.stringify((before.data || {})[department]) !== JSON.stringify((after.data || {})[department]));
+    const restore = (snapshot) => {
+        const data = { ...(currentData || {}) };
+        const signOffs = { ...currentSignOffs };
+        departments.forEach(department => {
+            if (snapshot.data && Array.isArray(snapshot.data[department])) {
+                data[department] = JSON.parse(JSON.stringify(snapshot.data[department]));
+            } else {
+                delete data[department];
+            }
+            if (snapshot.signOffs && snapshot.signOffs[department]) {
+                signOffs[department] = JSON.parse(JSON.stringify(snapshot.signOffs[department]));
+            } else {
+                delete signOffs[department];
+            }
+        });
+        currentData = data;
+        currentBrief = snapshot.brief;
+        currentSignOffs = signOffs;
+    };
+    return {
+        label,
+        departments,
+        undo: () => restore(before),
+        redo: () => restore(after)
+    };
+}
+
+/**
+ * Finds an approved department that an undo or redo would change
+ * @param {object} command - Command with departments
+ * @returns {string|null} - Locked department name, or null if the command can run
+ */
+function getLockedCommandDepartment(command) {
+    return (command.departments || []).find(isDepartmentLocked) || null;
+}
+
+/**
+ * Records an edit that has already been applied, so it can be undone
+ * @param {object} command - Command with label, undo() and redo()
+ */
+function recordCommand(command) {
+    undoStack.push(command);
+    if (undoStack.length > HISTORY_LIMIT) {
+        undoStack.shift();
+    }
+    redoStack = [];
+    updateHistoryButtons();
+}
+
+/**
+ * Clears the undo history, when the checklist is replaced by a new parse, an import or a reload
+ */
+function clearHistory() {
+    undoStack = [];
+    redoStack = [];
+    hideUndoToast();
+    updateHistoryButtons();
+}
+
+/**
+ * Re-renders and saves the checklist after an undo or redo
+ */
+function refreshAfterHistoryChange() {
+    validateDataStructure();
+    renderDepartmentGroups(currentData);
+    scheduleSave();
+    updateHistoryButtons();
+}
+
+/**
+ * Undoes the most recent checklist edit
+ * @returns {boolean} - True if there was an edit to undo
+ */
+function undoLastCommand() {
+    const command = undoStack[undoStack.length - 1];
+    if (!command) {
+        return false;
+    }
+    const lockedDepartment = getLockedCommandDepartment(command);
+    if (lockedDepartment) {
+        showNotice(`${lockedDepartment} has been signed off. Reopen its sign-off to undo this edit.`);
+        return true;
+    }
+    undoStack.pop();
+    command.undo();
+    redoStack.push(command);
+    hideUndoToast();
+    refreshAfterHistoryChange();
+    return true;
+}
+
+/**
+ * Redoes the most recently undone checklist edit
+ * @returns {boolean} - True if there was an edit to redo
+ */
+function redoLastCommand() {
+    const command = redoStack[redoStack.length - 1];
+    if (!command) {
+        return false;
+    }
+    const lockedDepartment = getLockedCommandDepartment(command);
+    if (lockedDepartment) {
+        showNotice(`${lockedDepartment} has been signed off. Reopen its sign-off to redo this edit.`);
+        return true;
+    }
+    redoStack.pop();
+    command.redo();
+    undoStack.push(command);
+    refreshAfterHistoryChange();
+    return true;
+}
+
+/**
+ * Enables the undo/redo buttons and names the edit they would undo or redo
+ */
+function updateHistoryButtons() {
+    const undoButton = document.getElementById("undoButton");
+    const redoButton = document.getElementById("redoButton");
+    if (!undoButton || !redoButton) {
+        return;
+    }
+
+    const nextUndo = undoStack[undoStack.length - 1];
+    const nextRedo = redoStack[redoStack.length - 1];
+    undoButton.disabled = !nextUndo;
+    redoButton.disabled = !nextRedo;
+    undoButton.title = nextUndo ? `Undo ${nextUndo.label} (Ctrl+Z)` : "Nothing to undo";
+    redoButton.title = nextRedo ? `Redo ${nextRedo.label} (Ctrl+Shift+Z)` : "Nothing to redo";
+}
+
+/**
+ * Shows a toast with an "Undo" button for an edit that is easy to make by accident
+ * @param {string} message - Toast message
+ * @param {object} command - The recorded command the button undoes
+ */
+function showUndoToast(message, command) {
+    const toast = document.getElementById("undoToast");
+    if (!toast) {
+        return;
+    }
+
+    document.getElementById("undoToastText").textContent = message;
+    undoToastCommand = command;
+    toast.classList.add("active");
+
+    if (undoToastTimer) {
+        clearTimeout(undoToastTimer);
+    }
+    undoToastTimer = setTimeout(hideUndoToast, UNDO_TOAST_DURATION);
+}
+
+/**
+ * Hides the undo toast
+ */
+function hideUndoToast() {
+    const toast = document.getElementById("undoToast");
+    if (toast) {
+        toast.classList.remove("active");
+    }
+    if (undoToastTimer) {
+        clearTimeout(undoToastTimer);
+        undoToastTimer = null;
+    }
+    undoToastCommand = null;
+}
+
+/**
+ * Creates a task checklist element with checkbox and editable text
+ * @param {string} department - Department name
+ * @param {number} index - Task index
+ * @param {object} task - Task object with {text, completed}
+ * @returns {HTMLElement} - Task item element
+ */
+function createTaskElement(department, index, task) {
+    // Ensure task is an object
+    const taskObj = normalizeTask(task);
+    
+    // Tasks of approved departments are read-only; comments stay open
+    const locked = isDepartmentLocked(department);
+    
+    const taskItem = document.createElement("div");
+    taskItem.className = "task-item";
+    if (taskObj.verified === false) {
+        taskItem.classList.add("task-unverified");
+    }
+    if (locked) {
+        taskItem.classList.add("task-locked");
+    }
+    taskItem.setAttribute("data-department", department);
+    taskItem.setAttribute("data-index", index);
+    
+    // Checkbox wrapper
+    const checkboxWrapper = document.createElement("div");
+    checkboxWrapper.className = "task-checkbox-wrapper";
+    
+    // Checkbox
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.className = "task-checkbox";
+    checkbox.checked = taskObj.completed === true;
+    checkbox.disabled = locked;
+    checkbox.setAttribute("aria-label", `Mark task ${index + 1} as ${taskObj.completed ? 'incomplete' : 'complete'}`);
+    
+    // Checkbox change handler
+    checkbox.addEventListener("change", () => {
+        updateTaskCompletionInData(department, index, checkbox.checked);
+        // Update visual state
+        if (checkbox.checked) {
+            taskItem.classList.add("task-completed");
+        } else {
+            taskItem.classList.remove("task-completed");
+        }
+    });
+    
+    // Set initial completed state
+    if (taskObj.completed) {
+        taskItem.classList.add("task-completed");
+    }
+    
+    checkboxWrapper.appendChild(checkbox);
+    
+    // Text input wrapper
+    const textWrapper = document.createElement("div");
+    textWrapper.className = "task-text-wrapper";
+    
+    // Use textarea for better text wrapping (always use textarea for proper wrapping)
+    const inputElement = document.createElement("textarea");
+    inputElement.value = taskObj.text;
+    inputElement.placeholder = `Task ${index + 1}`;
+    inputElement.className = "task-text-input";
+    inputElement.readOnly = locked;
+    inputElement.setAttribute("data-department", department);
+    inputElement.setAttribute("data-index", index);
+    inputElement.rows = 1; // Start with single row, will auto-resize
+    
+    // Auto-resize textarea
+    const autoResize = () => {
+        inputElement.style.height = 'auto';
+        inputElement.style.height = Math.max(24, inputElement.scrollHeight) + 'px';
+    };
+    
+    // Text when editing started; the whole edit is recorded as one undo step when it is committed
+    let textBeforeEdit = taskObj.text;
+    
+    // Validation message
+    const validationMessage = document.createElement("div");
+    validationMessage.className = "validation-message";
+    
+    // Task actions (delete icon)
+    const taskActions = document.createElement("div");
+    taskActions.className = "task-actions";
+    
+    const deleteIcon = document.createElement("button");
+    deleteIcon.className = "task-delete-icon";
+    deleteIcon.textContent = "×";
+    deleteIcon.setAttribute("aria-label", "Delete task");
+    deleteIcon.setAttribute("type", "button");
+    deleteIcon.addEventListener("click", (e) => {
+        e.stopPropagation();
+        removeTask(department, index);
+    });
+    
+    taskActions.appendChild(createTaskMoveMenu(department, index));
+    taskActions.appendChild(deleteIcon);
+    
+    // Drag handle: the task is only draggable from the handle, so text in the textarea can still be selected
+    const dragHandle = document.createElement("div");
+    dragHandle.className = "task-drag-handle";
+    dragHandle.textContent = "⋮⋮";
+    dragHandle.title = "Drag to reorder or move to another department";
+    dragHandle.setAttribute("aria-hidden", "true");
+    dragHandle.addEventListener("mousedown", () => {
+        taskItem.draggable = !locked;
+    });
+    dragHandle.addEventListener("mouseup", () => {
+        taskItem.draggable = false;
+    });
+    taskItem.addEventListener("dragstart", (e) => {
+        draggedTask = { department, index };
+        e.dataTransfer.effectAllowed = "move";
+        e.dataTransfer.setData("text/plain", taskObj.text);
+        taskItem.classList.add("dragging");
+    });
+    taskItem.addEventListener("dragend", () => {
+        draggedTask = null;
+        taskItem.draggable = false;
+        taskItem.classList.remove("dragging");
+        clearDropIndicators();
+    });
+    
+    // Flag tasks whose source passage could not be found in the brief
+    let unverifiedBadge = null;
+    if (taskObj.verified === false) {
+        unverifiedBadge = document.createElement("div");
+        unverifiedBadge.className = "task-unverified-badge";
+        unverifiedBadge.textContent = "⚠ Not found in brief";
+        unverifiedBadge.title = "This task could not be traced back to the brief. Check that it was not invented.";
+    }
+    
+    // Real-time validation on input
+    let validationTimeout = null;
+    inputElement.addEventListener("input", () => {
+        const value = inputElement.value;
+        
+        // Auto-resize
+        autoResize();
+        
+        // Mark as editing
+        inputElement.classList.add("editing");
+        
+        // Clear previous validation timeout
+        if (validationTimeout) {
+            clearTimeout(validationTimeout);
+        }
+        
+        // Debounced validation
+        validationTimeout = setTimeout(() => {
+            const validation = validateTaskText(value);
+            
+            if (validation.isValid) {
+                inputElement.classList.remove("invalid");
+                inputElement.classList.remove("editing");
+                validationMessage.classList.remove("show");
+                validationMessage.textContent = "";
+                
+                // Update data structure (preserves completion state)
+                updateTaskTextInData(department, index, value);
+            } else {
+                inputElement.classList.add("invalid");
+                inputElement.classList.remove("editing");
+                validationMessage.textContent = validation.error;
+                validationMessage.classList.add("show");
+            }
+        }, VALIDATION_DEBOUNCE_DELAY);
+        
+        // Update data immediately (even if invalid, for real-time editing)
+        updateTaskTextInData(department, index, value);
+    });
+    
+    // Validate on blur
+    inputElement.addEventListener("blur", () => {
+        inputElement.classList.remove("editing");
+        autoResize();
+        
+        // Clear any pending validation timeout and validate immediately
+        if (validationTimeout) {
+            clearTimeout(validationTimeout);
+        }
+        
+        const validation = validateTaskText(inputElement.value);
+        if (!validation.isValid) {
+            inputElement.classList.add("invalid");
+            validationMessage.textContent = validation.error;
+            validationMessage.classList.add("show");
+        } else {
+            inputElement.classList.remove("invalid");
+            validationMessage.classList.remove("show");
+            validationMessage.textContent = "";
+        }
+    });
+    
+    // Record the edit in the undo history once the textarea loses focus with a changed value
+    inputElement.addEventListener("change", () => {
+        if (inputElement.value !== textBeforeEdit) {
+            recordCommand(createTaskUpdateCommand('edit task', department, index, { text: textBeforeEdit }, { text: inputElement.value }));
+            textBeforeEdit = inputElement.value;
+            reportCorrection(currentData[department][index], department);
+            // Collaborators get the whole edit as one update
+            scheduleSave();
+        }
+    });
+    
+    // Focus event
+    inputElement.addEventListener("focus", () => {
+        textBeforeEdit = inputElement.value;
+        inputElement.classList.add("editing");
+        autoResize();
+        showTaskSource(taskObj);
+    });
+    
+    // Initial validation
+    const initialValidation = validateTaskText(taskObj.text);
+    if (!initialValidation.isValid && taskObj.text.trim().length > 0) {
+        inputElement.classList.add("invalid");
+        validationMessage.textContent = initialValidation.error;
+        validationMessage.classList.add("show");
+    }
+    
+    // Initial auto-resize
+    setTimeout(autoResize, 0);
+    
+    textWrapper.appendChild(inputElement);
+    if (unverifiedBadge) {
+        textWrapper.appendChild(unverifiedBadge);
+    }
+    textWrapper.appendChild(createTaskDetailsElement(department, index, taskObj));
+    const documentActions = createTaskDocumentActions(department, index, taskObj);
+    if (documentActions) {
+        textWrapper.appendChild(documentActions);
+    }
+    const checkResult = createTaskCheckElement(taskObj);
+    if (checkResult) {
+        textWrapper.appendChild(checkResult);
+    }
+    textWrapper.appendChild(createTaskCommentsElement(department, index, taskObj));
+    if (!locked) {
+        textWrapper.appendChild(taskActions);
+    }
+    
+    taskItem.appendChild(dragHandle);
+    taskItem.appendChild(checkboxWrapper);
+    taskItem.appendChild(textWrapper);
+    taskItem.appendChild(validationMessage);
+    
+    return taskItem;
+}
+
+/**
+ * Shows the brief in the source preview with the passage a task came from highlighted
+ * @param {object} task - Task object with optional source {quote, start, end}
+ */
+function showTaskSource(task) {
+    const sourcePreview = document.getElementById('sourcePreview');
+    const sourceText = document.getElementById('sourcePreviewText');
+    if (!sourcePreview || !sourceText) return;
+
+    sourceText.innerHTML = '';
+
+    const source = task && task.source;
+    const hasSpan = source && currentBrief &&
+        currentBrief.slice(source.start, source.end) === source.quote;
+
+    if (!hasSpan) {
+        sourceText.textContent = task && task.verified === false
+            ? 'No matching passage was found in the brief for this task.'
+            : 'No source passage is linked to this task.';
+        sourcePreview.classList.add('active');
+        return;
+    }
+
+    const mark = document.createElement('mark');
+    mark.textContent = currentBrief.slice(source.start, source.end);
+
+    sourceText.appendChild(document.createTextNode(currentBrief.slice(0, source.start)));
+    sourceText.appendChild(mark);
+    sourceText.appendChild(document.createTextNode(currentBrief.slice(source.end)));
+    sourcePreview.classList.add('active');
+
+    // Scroll the highlighted passage into view inside the preview box
+    sourceText.scrollTop = Math.max(0, mark.offsetTop - sourceText.clientHeight / 3);
+}
+
+/**
+ * Creates the details line of a task (owner, due date, priority, page, tags) with an inline editor
+ * @param {string} department - Department name
+ * @param {number} index - Task index
+ * @param {object} task - Normalized task object
+ * @returns {HTMLElement} - Task details element
+ */
+function createTaskDetailsElement(department, index, task) {
+    const details = {
+        assignee: task.assignee,
+        dueDate: task.dueDate,
+        priority: task.priority,
+        page: task.page,
+        tags: task.tags
+    };
+
+    const locked = isDepartmentLocked(department);
+
+    const container = document.createElement("div");
+    container.className = "task-details";
+
+    const summary = document.createElement("button");
+    summary.type = "button";
+    summary.className = "task-details-summary";
+
+    const updateSummary = () => {
+        const text = formatTaskDetails(details);
+        summary.textContent = text || "Add details";
+        summary.classList.toggle("empty", !text);
+        // Approved departments cannot get new details
+        container.hidden = locked && !text;
+    };
+
+    const editor = document.createElement("div");
+    editor.className = "task-details-editor";
+
+    const updateField = (field, value) => {
+        details[field] = value;
+        updateTaskFieldInData(department, index, field, value);
+        updateSummary();
+    };
+
+    const addField = (label, control) => {
+        const fieldLabel = document.createElement("label");
+        fieldLabel.className = "task-details-field";
+        const labelText = document.createElement("span");
+        labelText.textContent = label;
+        fieldLabel.appendChild(labelText);
+        fieldLabel.appendChild(control);
+        editor.appendChild(fieldLabel);
+    };
+
+    const assigneeInput = document.createElement("input");
+    assigneeInput.type = "text";
+    assigneeInput.value = details.assignee || "";
+    assigneeInput.placeholder = "Name or team";
+    assigneeInput.addEventListener("change", () => {
+        updateField("assignee", assigneeInput.value.trim() || null);
+    });
+    addField("Owner", assigneeInput);
+
+    const dueDateInput = document.createElement("input");
+    dueDateInput.type = "text";
+    dueDateInput.value = details.dueDate || "";
+    dueDateInput.placeholder = "e.g. March 18";
+    dueDateInput.addEventListener("change", () => {
+        updateField("dueDate", dueDateInput.value.trim() || null);
+    });
+    addField("Due", dueDateInput);
+
+    const prioritySelect = document.createElement("select");
+    [["", "—"], ...TASK_PRIORITIES.map(priority => [priority, priority.charAt(0).toUpperCase() + priority.slice(1)])]
+        .forEach(([value, label]) => {
+            const option = document.createElement("option");
+            option.value = value;
+            option.textContent = label;
+            prioritySelect.appendChild(option);
+        });
+    prioritySelect.value = details.priority || "";
+    prioritySelect.addEventListener("change", () => {
+        updateField("priority", prioritySelect.value || null);
+    });
+    addField("Priority", prioritySelect);
+
+    const pageInput = document.createElement("input");
+    pageInput.type = "number";
+    pageInput.min = "1";
+    pageInput.value = details.page || "";
+    pageInput.placeholder = "Slide / page";
+    pageInput.addEventListener("change", () => {
+        const page = parseInt(pageInput.value, 10);
+        updateField("page", page > 0 ? page : null);
+    });
+    addField("Page", pageInput);
+
+    const tagsInput = document.createElement("input");
+    tagsInput.type = "text";
+    tagsInput.value = details.tags.join(", ");
+    tagsInput.placeholder = "Comma-separated";
+    tagsInput.addEventListener("change", () => {
+        updateField("tags", tagsInput.value.split(",").map(tag => tag.trim()).filter(Boolean));
+    });
+    addField("Tags", tagsInput);
+
+    summary.addEventListener("click", () => {
+        container.classList.toggle("open");
+    });
+
+    editor.querySelectorAll("input, select").forEach(control => {
+        control.disabled = locked;
+    });
+    updateSummary();
+    container.appendChild(summary);
+    container.appendChild(editor);
+    return container;
+}
+
+/**
+ * Gets the name comments and sign-offs are recorded under: the name shown to collaborators, or "Reviewer"
+ * @returns {string} - Reviewer name
+ */
+function getReviewerName() {
+    const nameInput = document.getElementById('collaboratorNameInput');
+    return (nameInput && nameInput.value.trim()) || 'Reviewer';
+}
+
+/**
+ * Formats the time a comment was posted or a department was signed off
+ * @param {string|null} timestamp - ISO timestamp
+ * @returns {string} - Date and time, or an empty string if unknown
+ */
+function formatTimestamp(timestamp) {
+    const date = new Date(timestamp);
+    return timestamp && !isNaN(date) ? date.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' }) : '';
+}
+
+/**
+ * Checks whether a task has comment threads that are not resolved yet
+ * @param {object} task - Task object
+ * @returns {boolean} - True if at least one thread is unresolved
+ */
+function hasUnresolvedComments(task) {
+    return Array.isArray(task.comments) && task.comments.some(thread => !thread.resolved);
+}
+
+/**
+ * Formats the comment threads of a task as indented text lines for exports
+ * @param {object} task - Task object
+ * @returns {Array<string>} - One line per comment and reply
+ */
+function formatCommentLines(task) {
+    const lines = [];
+    normalizeComments(task.comments).forEach(thread => {
+        const date = formatTimestamp(thread.createdAt);
+        lines.push(`Comment by ${thread.author}${date ? `, ${date}` : ''}${thread.resolved ? ' (resolved)' : ''}: ${thread.text}`);
+        thread.replies.forEach(reply => {
+            const replyDate = formatTimestamp(reply.createdAt);
+            lines.push(`  Reply by ${reply.author}${replyDate ? `, ${replyDate}` : ''}: ${reply.text}`);
+        });
+    });
+    return lines;
+}
+
+/**
+ * Changes the comment threads of a task, then re-renders and saves. Comments are discussion rather than
+ * checklist edits, so they are not recorded in the undo history.
+ * @param {string} department - Department name
+ * @param {number} index - Task index
+ * @param {Function} update - Receives a copy of the threads and returns the new threads
+ */
+function updateTaskComments(department, index, update) {
+    const task = currentData && Array.isArray(currentData[department]) ? currentData[department][index] : null;
+    if (!task) {
+        return;
+    }
+
+    const threads = normalizeComments(task.comments).map(thread => ({ ...thread, replies: [...thread.replies] }));
+    task.comments = update(threads);
+
+    const focus = captureTaskFocus();
+    renderDepartmentGroups(currentData);
+    restoreTaskFocus(focus);
+    scheduleSave();
+}
+
+/**
+ * Starts a comment thread on a task
+ * @param {string} department - Department name
+ * @param {number} index - Task index
+ * @param {string} text - Comment text
+ */
+function addTaskComment(department, index, text) {
+    updateTaskComments(department, index, threads => [...threads, {
+        id: crypto.randomUUID(),
+        author: getReviewerName(),
+        text,
+        createdAt: new Date().toISOString(),
+        resolved: false,
+        replies: []
+    }]);
+}
+
+/**
+ * Replies to a comment thread
+ * @param {string} department - Department name
+ * @param {number} index - Task index
+ * @param {string} threadId - Thread ID
+ * @param {string} text - Reply text
+ */
+function replyToTaskComment(department, index, threadId, text) {
+    updateTaskComments(department, index, threads => threads.map(thread => thread.id !== threadId ? thread : {
+        ...thread,
+        replies: [...thread.replies, {
+            id: crypto.randomUUID(),
+            author: getReviewerName(),
+            text,
+            createdAt: new Date().toISOString()
+        }]
+    }));
+}
+
+/**
+ * Resolves or reopens a comment thread
+ * @param {string} department - Department name
+ * @param {number} index - Task index
+ * @param {string} threadId - Thread ID
+ * @param {boolean} resolved - New resolved state
+ */
+function setTaskCommentResolved(department, index, threadId, resolved) {
+    updateTaskComments(department, index, threads => threads.map(thread => thread.id !== threadId ? thread : {
+        ...thread,
+        resolved,
+        resolvedBy: resolved ? getReviewerName() : null
+    }));
+}
+
+/**
+ * Deletes a comment thread with its replies
+ * @param {string} department - Department name
+ * @param {number} index - Task index
+ * @param {string} threadId - Thread ID
+ */
+function removeTaskComment(department, index, threadId) {
+    updateTaskComments(department, index, threads => threads.filter(thread => thread.id !== threadId));
+}
+
+/**
+ * Creates a comment or reply form. Drafts survive re-renders, e.g. when a collaborator edits the checklist.
+ * @param {string} draftKey - Key the draft is kept under
+ * @param {string} placeholder - Input placeholder
+ * @param {string} buttonLabel - Submit button label
+ * @param {Function} onSubmit - Called with the trimmed text
+ * @returns {HTMLElement} - Form element
+ */
+function createCommentForm(draftKey, placeholder, buttonLabel, onSubmit) {
+    const form = document.createElement("div");
+    form.className = "comment-form";
+
+    const input = document.createElement("textarea");
+    input.className = "comment-input";
+    input.rows = 1;
+    input.placeholder = placeholder;
+    input.value = commentDrafts.get(draftKey) || "";
+    input.dataset.commentDraft = draftKey;
+    input.setAttribute("aria-label", placeholder);
+
+    const submitButton = document.createElement("button");
+    submitButton.type = "button";
+    submitButton.className = "comment-submit";
+    submitButton.textContent = buttonLabel;
+    submitButton.disabled = !input.value.trim();
+
+    const submit = () => {
+        const text = input.value.trim();
+        if (!text) {
+            return;
+        }
+        commentDrafts.delete(draftKey);
+        onSubmit(text);
+    };
+
+    input.addEventListener("input", () => {
+        commentDrafts.set(draftKey, input.value);
+        submitButton.disabled = !input.value.trim();
+    });
+    input.addEventListener("keydown", (e) => {
+        // Ctrl+Enter (Cmd+Enter) posts, Enter alone adds a line
+        if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            submit();
+        }
+    });
+    submitButton.addEventListener("click", submit);
+
+    form.appendChild(input);
+    form.appendChild(submitButton);
+    return form;
+}
+
+/**
+ * Creates the element showing one comment or reply
+ * @param {object} comment - Comment with author, text and createdAt
+ * @returns {HTMLElement} - Comment element
+ */
+function createCommentElement(comment) {
+    const element = document.createElement("div");
+    element.className = "comment";
+
+    const meta = document.createElement("div");
+    meta.className = "comment-meta";
+    const author = document.createElement("strong");
+    author.textContent = comment.author;
+    meta.appendChild(author);
+    const date = formatTimestamp(comment.createdAt);
+    if (date) {
+        meta.appendChild(document.createTextNode(` · ${date}`));
+    }
+
+    const text = document.createElement("div");
+    text.className = "comment-text";
+    text.textContent = comment.text;
+
+    element.appendChild(meta);
+    element.appendChild(text);
+    return element;
+}
+
+/**
+ * Creates the comments area of a task: a summary that expands into the threads, each with its
+ * replies, resolve/reopen and delete actions, and a form to start a new thread
+ * @param {string} department - Department name
+ * @param {number} index - Task index
+ * @param {object} task - Normalized task object
+ * @returns {HTMLElement} - Comments element
+ */
+function createTaskCommentsElement(department, index, task) {
+    const threads = task.comments;
+    const unresolved = threads.filter(thread => !thread.resolved).length;
+
+    const container = document.createElement("div");
+    container.className = "task-comments";
+    container.classList.toggle("open", openCommentTasks.has(task.id));
+
+    const summary = document.createElement("button");
+    summary.type = "button";
+    summary.className = "task-comments-summary";
+    summary.textContent = threads.length === 0
+        ? "Add comment"
+        : `💬 ${threads.length} ${threads.length === 1 ? 'comment' : 'comments'}${unresolved > 0 ? ` · ${unresolved} unresolved` : ''}`;
+    summary.classList.toggle("empty", threads.length === 0);
+    summary.classList.toggle("unresolved", unresolved > 0);
+    summary.setAttribute("aria-expanded", String(container.classList.contains("open")));
+    summary.addEventListener("click", () => {
+        const isOpen = container.classList.toggle("open");
+        summary.setAttribute("aria-expanded", String(isOpen));
+        if (isOpen) {
+            openCommentTasks.add(task.id);
+        } else {
+            openCommentTasks.delete(task.id);
+        }
+    });
+
+    const panel = document.createElement("div");
+    panel.className = "task-comments-panel";
+
+    threads.forEach(thread => {
+        const threadElement = document.createElement("div");
+        threadElement.className = "comment-thread";
+        threadElement.classList.toggle("resolved", thread.resolved);
+
+        threadElement.appendChild(createCommentElement(thread));
+        thread.replies.forEach(reply => {
+            const replyElement = createCommentElement(reply);
+            replyElement.classList.add("comment-reply");
+            threadElement.appendChild(replyElement);
+        });
+
+        const actions = document.createElement("div");
+        actions.className = "comment-thread-actions";
+        if (thread.resolved) {
+            const resolvedNote = document.createElement("span");
+            resolvedNote.className = "comment-resolved-note";
+            resolvedNote.textContent = thread.resolvedBy ? `Resolved by ${thread.resolvedBy}` : "Resolved";
+            actions.appendChild(resolvedNote);
+        }
+        const resolveButton = document.createElement("button");
+        resolveButton.type = "button";
+        resolveButton.className = "comment-action";
+        resolveButton.textContent = thread.resolved ? "Reopen" : "Resolve";
+        resolveButton.addEventListener("click", () => {
+            setTaskCommentResolved(department, index, thread.id, !thread.resolved);
+        });
+        const deleteButton = document.createElement("button");
+        deleteButton.type = "button";
+        deleteButton.className = "comment-action";
+        deleteButton.textContent = "Delete";
+        deleteButton.addEventListener("click", () => {
+            removeTaskComment(department, index, thread.id);
+        });
+        actions.appendChild(resolveButton);
+        actions.appendChild(deleteButton);
+        threadElement.appendChild(actions);
+
+        if (!thread.resolved) {
+            threadElement.appendChild(createCommentForm(`${task.id}:${thread.id}`, "Reply…", "Reply", text => {
+                replyToTaskComment(department, index, thread.id, text);
+            }));
+        }
+
+        panel.appendChild(threadElement);
+    });
+
+    panel.appendChild(createCommentForm(task.id, "Add a comment…", "Comment", text => {
+        addTaskComment(department, index, text);
+    }));
+
+    container.appendChild(summary);
+    container.appendChild(panel);
+    return container;
+}
+
+/**
+ * Updates the unresolved-comments filter button with the number of tasks it would show
+ */
+function updateCommentFilterButton() {
+    const filterButton = document.getElementById('commentFilterButton');
+    if (!filterButton) {
+        return;
+    }
+
+    let count = 0;
+    for (const department in currentData || {}) {
+        count += (currentData[department] || []).filter(hasUnresolvedComments).length;
+    }
+    filterButton.textContent = `💬 ${count}`;
+    filterButton.setAttribute('aria-pressed', String(showUnresolvedCommentsOnly));
+    filterButton.title = showUnresolvedCommentsOnly
+        ? 'Show all tasks'
+        : `Show only the ${count} ${count === 1 ? 'task' : 'tasks'} with unresolved comments`;
+}
+
+/**
+ * Gets the sign-off of a department
+ * @param {string} department - Department name
+ * @returns {object} - { status, by, at, note, history }, pending with no history if it was never signed off
+ */
+function getDepartmentSignOff(department) {
+    const signOff = Object.prototype.hasOwnProperty.call(currentSignOffs, department) ? currentSignOffs[department] : null;
+    return {
+        status: signOff && SIGN_OFF_STATUSES.includes(signOff.status) ? signOff.status : 'pending',
+        by: signOff ? signOff.by || null : null,
+        at: signOff ? signOff.at || null : null,
+        note: signOff ? signOff.note || null : null,
+        history: signOff && Array.isArray(signOff.history) ? signOff.history : []
+    };
+}
+
+/**
+ * Checks whether a department is approved, which locks its tasks until the sign-off is reopened
+ * @param {string} department - Department name
+ * @returns {boolean} - True if the department is locked
+ */
+function isDepartmentLocked(department) {
+    return getDepartmentSignOff(department).status === 'approved';
+}
+
+/**
+ * Lists the approved departments of the current checklist
+ * @returns {Array<string>} - Locked department names
+ */
+function getLockedDepartments() {
+    return Object.keys(currentData || {}).filter(isDepartmentLocked);
+}
+
+/**
+ * Describes a sign-off state, e.g. "Approved by Dana · Mar 3, 2026, 10:04 AM"
+ * @param {object} signOff - Sign-off or history entry with status, by and at
+ * @returns {string} - Status label with approver and time
+ */
+function formatSignOff(signOff) {
+    const date = formatTimestamp(signOff.at);
+    if (signOff.status === 'pending' && !signOff.by) {
+        return SIGN_OFF_LABELS.pending;
+    }
+    const label = signOff.status === 'pending' ? 'Reopened' : SIGN_OFF_LABELS[signOff.status];
+    return `${label}${signOff.by ? ` by ${signOff.by}` : ''}${date ? ` · ${date}` : ''}`;
+}
+
+/**
+ * Calculates the sign-off state of the checklist: it is ready to publish once every department with tasks is approved
+ * @param {Array<string>} [departments] - Departments to include (defaults to the departments with tasks)
+ * @returns {object} - { ready, total, approved, changesRequested, pending } with department names per state
+ */
+function calculateSignOffStatus(departments) {
+    const included = departments || getExportableDepartments();
+    const byStatus = status => included.filter(department => getDepartmentSignOff(department).status === status);
+    const approved = byStatus('approved');
+    return {
+        ready: included.length > 0 && approved.length === included.length,
+        total: included.length,
+        approved,
+        changesRequested: byStatus('changes-requested'),
+        pending: byStatus('pending')
+    };
+}
+
+/**
+ * Updates the publish status line under the progress indicator
+ */
+function updatePublishStatus() {
+    const publishStatus = document.getElementById('publishStatus');
+    if (!publishStatus) return;
+
+    const { ready, total, approved, changesRequested } = calculateSignOffStatus();
+    publishStatus.classList.toggle('ready', ready);
+    publishStatus.classList.toggle('changes-requested', changesRequested.length > 0);
+    if (ready) {
+        publishStatus.textContent = `✓ Ready to publish · all ${total} ${total === 1 ? 'department' : 'departments'} approved`;
+    } else {
+        publishStatus.textContent = `${approved.length} / ${total} departments approved` +
+            (changesRequested.length > 0 ? ` · Changes requested: ${changesRequested.join(', ')}` : '');
+    }
+}
+
+/**
+ * Records a sign-off decision for a department, with the reviewer's name, the time and the department's
+ * progress at that moment, then re-renders and saves. Like comments, sign-offs are not in the undo history.
+ * @param {string} department - Department name
+ * @param {string} status - New status (pending reopens an approved department)
+ * @param {string} [note] - Requested changes, or why the department was reopened
+ */
+function setDepartmentSignOff(department, status, note) {
+    const previous = getDepartmentSignOff(department);
+    const entry = {
+        id: crypto.randomUUID(),
+        status,
+        by: getReviewerName(),
+        at: new Date().toISOString(),
+        note: note || null,
+        progress: calculateProgress([department])
+    };
+    currentSignOffs = {
+        ...currentSignOffs,
+        [department]: { status, by: entry.by, at: entry.at, note: entry.note, history: [...previous.history, entry] }
+    };
+
+    // Recorded edits could otherwise change the department after it was approved
+    if (status === 'approved') {
+        clearHistory();
+    }
+
+    const focus = captureTaskFocus();
+    renderDepartmentGroups(currentData);
+    restoreTaskFocus(focus);
+
+    // While collaborating, the sign-off is sent with the next sync. Otherwise the edits made before it are
+    // saved first, since the server refuses changes to an approved department.
+    if (collaboration && collaboration.connected) {
+        scheduleSave();
+        return;
+    }
+    const signOff = currentSignOffs[department];
+    saveChecklist()
+        .then(() => checklistId && saveSignOffToServer(department, signOff))
+        .catch(error => {
+            console.error('[Brief2Check] Failed to save sign-off to server:', error);
+        });
+}
+
+/**
+ * Creates the sign-off bar of a department: its status with approver and time, the requested changes, and
+ * buttons to approve, request changes (with a note) or reopen an approved department
+ * @param {string} department - Department name
+ * @returns {HTMLElement} - Sign-off element
+ */
+function createDepartmentSignOffElement(department) {
+    const signOff = getDepartmentSignOff(department);
+    const draftKey = `signoff:${department}`;
+
+    const container = document.createElement("div");
+    container.className = `department-signoff signoff-${signOff.status}`;
+
+    const status = document.createElement("span");
+    status.className = "department-signoff-status";
+    status.textContent = formatSignOff(signOff);
+    container.appendChild(status);
+
+    const addAction = (label, onClick) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "comment-action";
+        button.textContent = label;
+        button.addEventListener("click", onClick);
+        container.appendChild(button);
+        return button;
+    };
+
+    if (signOff.status === 'approved') {
+        addAction("Reopen", () => setDepartmentSignOff(department, 'pending'));
+    } else {
+        const { completed, total } = calculateProgress([department]);
+        const approveButton = addAction("Approve", () => setDepartmentSignOff(department, 'approved'));
+        approveButton.title = completed < total
+            ? `${total - completed} of ${total} tasks are not checked yet`
+            : 'Approve this department and lock its tasks';
+        addAction("Request changes", () => {
+            commentDrafts.set(draftKey, commentDrafts.get(draftKey) || "");
+            const focus = captureTaskFocus();
+            renderDepartmentGroups(currentData);
+            restoreTaskFocus(focus);
+            const input = document.querySelector(`[data-comment-draft="${CSS.escape(draftKey)}"]`);
+            if (input) {
+                input.focus();
+            }
+        });
+    }
+
+    if (signOff.status === 'changes-requested' && signOff.note) {
+        const note = document.createElement("div");
+        note.className = "department-signoff-note";
+        note.textContent = signOff.note;
+        container.appendChild(note);
+    }
+
+    // The note form stays open across re-renders while it has a draft
+    if (signOff.status !== 'approved' && commentDrafts.has(draftKey)) {
+        const form = createCommentForm(draftKey, "What needs to change?", "Send", text => {
+            setDepartmentSignOff(department, 'changes-requested', text);
+        });
+        const cancelButton = document.createElement("button");
+        cancelButton.type = "button";
+        cancelButton.className = "comment-action";
+        cancelButton.textContent = "Cancel";
+        cancelButton.addEventListener("click", () => {
+            commentDrafts.delete(draftKey);
+            renderDepartmentGroups(currentData);
+        });
+        form.appendChild(cancelButton);
+        container.appendChild(form);
+    }
+
+    return container;
+}
+
+/**
+ * Gets the proxy to the document sandbox APIs
+ * @returns {Promise<object>} - Proxy with getPages, insertFooterOnAllPages and goToPage
+ */
+function getSandboxProxy() {
+    if (!sandboxProxyPromise) {
+        sandboxProxyPromise = addOnUISdk.instance.runtime.apiProxy("documentSandbox");
+    }
+    return sandboxProxyPromise;
+}
+
+/**
+ * Gets the page a task refers to, from its page field or a "slide N"/"page N" mention in its text
+ * @param {object} task - Task object
+ * @returns {number|null} - 1-based page number, or null if the task does not reference a page
+ */
+function getTaskPage(task) {
+    if (task.page) {
+        return task.page;
+    }
+    const match = String(task.text || '').match(/\b(?:slide|page)\s+(\d+)\b/i);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Shows a page of the Express document in the viewport
+ * @param {number} pageNumber - 1-based page number
+ */
+async function goToDocumentPage(pageNumber) {
+    try {
+        const sandboxProxy = await getSandboxProxy();
+        const found = await sandboxProxy.goToPage(pageNumber);
+        if (!found) {
+            showError(`Page ${pageNumber} does not exist in this document.`);
+        }
+    } catch (error) {
+        console.error('[Brief2Check] Failed to go to page:', error);
+        showError(`Could not open page ${pageNumber}: ${error.message || 'Unknown error'}`);
+    }
+}
+
+/**
+ * Shows the footer modal for inserting a footer text on every page of the document
+ * @param {string} department - Department name
+ * @param {number} index - Task index
+ * @param {object} task - Task object the footer is inserted for
+ */
+function showFooterModal(department, index, task) {
+    // Remove any existing modal
+    const existingModal = document.getElementById('footerModal');
+    if (existingModal) {
+        document.body.removeChild(existingModal);
+    }
+
+    const overlay = document.createElement('div');
+    overlay.id = 'footerModal';
+    overlay.className = 'modal-overlay';
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+
+    const header = document.createElement('div');
+    header.className = 'modal-header';
+
+    const title = document.createElement('h3');
+    title.className = 'modal-title';
+    title.textContent = 'Insert footer on every page';
+
+    const content = document.createElement('div');
+    content.className = 'modal-content';
+
+    const taskText = document.createElement('p');
+    taskText.className = 'modal-summary';
+    taskText.textContent = task.text;
+
+    // Pre-fill with quoted text from the task, e.g. Add footer "© 2024 Acme. Terms apply."
+    const quotedText = String(task.text || '').match(/["“]([^"”]+)["”]/);
+    const footerInput = document.createElement('textarea');
+    footerInput.value = quotedText ? quotedText[1] : '';
+    footerInput.placeholder = 'Footer text, e.g. your standard T&Cs';
+    footerInput.style.minHeight = '80px';
+
+    const completeLabel = document.createElement('label');
+    completeLabel.className = 'merge-task';
+    const completeCheckbox = document.createElement('input');
+    completeCheckbox.type = 'checkbox';
+    completeCheckbox.className = 'task-checkbox';
+    completeCheckbox.checked = true;
+    const completeText = document.createElement('span');
+    completeText.textContent = 'Mark task as completed';
+    completeLabel.appendChild(completeCheckbox);
+    completeLabel.appendChild(completeText);
+
+    const footer = document.createElement('div');
+    footer.className = 'modal-footer';
+
+    const insertButton = document.createElement('button');
+    insertButton.textContent = 'Insert footer';
+    insertButton.disabled = !footerInput.value.trim();
+    footerInput.addEventListener('input', () => {
+        insertButton.disabled = !footerInput.value.trim();
+    });
+
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = 'Cancel';
+    cancelButton.className = 'secondary-button';
+
+    const escapeHandler = (e) => {
+        if (e.key === 'Escape') {
+            closeModal();
+        }
+    };
+
+    const closeModal = () => {
+        document.removeEventListener('keydown', escapeHandler);
+        if (overlay.parentNode) {
+            document.body.removeChild(overlay);
+        }
+    };
+
+    insertButton.addEventListener('click', async () => {
+        insertButton.disabled = true;
+        try {
+            const sandboxProxy = await getSandboxProxy();
+            const result = await sandboxProxy.insertFooterOnAllPages(footerInput.value.trim());
+            closeModal();
+
+            if (completeCheckbox.checked && !isDepartmentLocked(department)) {
+                updateTaskCompletionInData(department, index, true);
+                renderDepartmentGroups(currentData);
+            }
+            showNotice(`Footer added to ${result.inserted + result.updated} artboard${result.inserted + result.updated === 1 ? '' : 's'} on ${result.pages} page${result.pages === 1 ? '' : 's'}.`);
+        } catch (error) {
+            console.error('[Brief2Check] Failed to insert footer:', error);
+            closeModal();
+            showError(`Failed to insert footer: ${error.message || 'Unknown error'}`);
+        }
+    });
+    cancelButton.addEventListener('click', closeModal);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+            closeModal();
+        }
+    });
+    document.addEventListener('keydown', escapeHandler);
+
+    header.appendChild(title);
+    content.appendChild(taskText);
+    content.appendChild(footerInput);
+    // Tasks of approved departments cannot be checked off
+    if (!isDepartmentLocked(department)) {
+        content.appendChild(completeLabel);
+    }
+    footer.appendChild(insertButton);
+    footer.appendChild(cancelButton);
+    modal.appendChild(header);
+    modal.appendChild(content);
+    modal.appendChild(footer);
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
+
+    setTimeout(() => {
+        footerInput.focus();
+    }, 100);
+}
+
+// Document actions offered on tasks, each applies when matches(task) is true
+const TASK_DOCUMENT_ACTIONS = [
+    {
+        label: () => 'Insert footer',
+        matches: task => /\bfooter\b/i.test(task.text),
+        run: (department, index, task) => showFooterModal(department, index, task)
+    },
+    {
+        label: task => `Go to page ${getTaskPage(task)}`,
+        matches: task => getTaskPage(task) !== null,
+        run: (department, index, task) => goToDocumentPage(getTaskPage(task))
+    }
+];
+
+/**
+ * Creates the document action buttons of a task (e.g. insert footer, go to page)
+ * @param {string} department - Department name
+ * @param {number} index - Task index
+ * @param {object} task - Normalized task object
+ * @returns {HTMLElement|null} - Actions element, or null if no action applies to the task
+ */
+function createTaskDocumentActions(department, index, task) {
+    const actions = TASK_DOCUMENT_ACTIONS.filter(action => action.matches(task));
+    if (actions.length === 0) {
+        return null;
+    }
+
+    const container = document.createElement("div");
+    container.className = "task-document-actions";
+
+    actions.forEach(action => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "task-document-action";
+        button.textContent = action.label(task);
+        button.addEventListener("click", () => {
+            // Use the latest task data, the element may have been rendered before an edit
+            const latestTask = normalizeTask(currentData[department][index]);
+            action.run(department, index, latestTask);
+        });
+        container.appendChild(button);
+    });
+
+    return container;
+}
+
+// Price-like strings: currency amounts, amounts with currency codes, and per-period pricing
+const PRICING_PATTERN = /[$€£¥]\s?\d[\d.,]*(?:\s?\/\s?(?:mo|month|yr|year)\b)?|\b\d+(?:[.,]\d+)?\s?(?:USD|EUR|GBP|dollars?|euros?)\b|\bper (?:month|year|user|seat)\b|\/(?:mo|month|yr|year)\b|\bpric(?:e|es|ing)\s*:/i;
+
+/**
+ * Extracts quoted terms from task text, e.g. 'Avoid "guaranteed" and "risk-free"' gives ["guaranteed", "risk-free"]
+ * @param {string} text - Task text
+ * @returns {Array<string>} - Quoted terms
+ */
+function extractQuotedTerms(text) {
+    const terms = [];
+    const doubleQuoted = /["“]([^"”]+)["”]/g;
+    // Single quotes only count at word boundaries, so apostrophes (don't) are ignored
+    const singleQuoted = /(?:^|[\s(])['‘]([^'’]{2,}?)['’](?=$|[\s).,;:!?])/g;
+
+    let match;
+    while ((match = doubleQuoted.exec(text)) !== null) {
+        terms.push(match[1].trim());
+    }
+    while ((match = singleQuoted.exec(text)) !== null) {
+        terms.push(match[1].trim());
+    }
+
+    return terms.filter(Boolean);
+}
+
+/**
+ * Derives an automated compliance rule from a task, if the task is mechanically checkable
+ * @param {object} task - Task object
+ * @returns {object|null} - Rule as { type: 'footer'|'prohibited'|'required'|'noPricing', terms }, or null
+ */
+function deriveComplianceRule(task) {
+    const text = String(task.text || '');
+    const terms = extractQuotedTerms(text);
+    const isNegative = /\b(?:avoid|remove|prohibited|forbidden|banned|exclude|never|no|not|don't|without)\b/i.test(text);
+
+    if (/\bfooter\b/i.test(text) && /\b(?:every|each|all)\b/i.test(text)) {
+        return { type: 'footer', terms };
+    }
+    if (/\b(?:pric(?:e|es|ing)|costs?)\b/i.test(text) && isNegative) {
+        return { type: 'noPricing', terms: [] };
+    }
+    if (terms.length > 0 && isNegative) {
+        return { type: 'prohibited', terms };
+    }
+    if (terms.length > 0 && /\b(?:use|include|add|set|phrase|mention|say|state|label|title|call|read)\b/i.test(text)) {
+        return { type: 'required', terms };
+    }
+    return null;
+}
+
+/**
+ * Checks whether text contains a term, case-insensitively and on word boundaries
+ * @param {string} text - Text to search
+ * @param {string} term - Term to find
+ * @returns {boolean} - True if the term occurs in the text
+ */
+function containsTerm(text, term) {
+    const normalize = value => value.replace(/[‘’]/g, "'").replace(/[“”]/g, '"').replace(/\s+/g, ' ');
+    const escaped = normalize(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const start = /^\w/.test(term) ? '\\b' : '';
+    const end = /\w$/.test(term) ? '\\b' : '';
+    return new RegExp(`${start}${escaped}${end}`, 'i').test(normalize(text));
+}
+
+/**
+ * Evaluates a compliance rule against the document text
+ * @param {object} rule - Rule from deriveComplianceRule
+ * @param {Array<object>} pages - Document text from the sandbox: [{ number, texts: [{ text, isFooter }] }]
+ * @returns {object} - { status: 'passed'|'failed', findings: [{ page, message }] }
+ */
+function evaluateComplianceRule(rule, pages) {
+    const findings = [];
+    const pageText = page => page.texts.map(item => item.text).join('\n');
+
+    if (rule.type === 'footer') {
+        pages.forEach(page => {
+            const footerText = page.texts.filter(item => item.isFooter).map(item => item.text).join('\n');
+            if (!footerText.trim()) {
+                findings.push({ page: page.number, message: `No footer text on page ${page.number}` });
+            } else {
+                rule.terms
+                    .filter(term => !containsTerm(footerText, term))
+                    .forEach(term => {
+                        findings.push({ page: page.number, message: `Footer on page ${page.number} is missing "${term}"` });
+                    });
+            }
+        });
+    } else if (rule.type === 'prohibited') {
+        pages.forEach(page => {
+            rule.terms
+                .filter(term => containsTerm(pageText(page), term))
+                .forEach(term => {
+                    findings.push({ page: page.number, message: `"${term}" found on page ${page.number}` });
+                });
+        });
+    } else if (rule.type === 'required') {
+        const documentText = pages.map(pageText).join('\n');
+        rule.terms
+            .filter(term => !containsTerm(documentText, term))
+            .forEach(term => {
+                findings.push({ page: null, message: `"${term}" not found in the document` });
+            });
+    } else if (rule.type === 'noPricing') {
+        pages.forEach(page => {
+            const match = pageText(page).match(PRICING_PATTERN);
+            if (match) {
+                findings.push({ page: page.number, message: `Pricing "${match[0].trim()}" found on page ${page.number}` });
+            }
+        });
+    }
+
+    return {
+        status: findings.length === 0 ? 'passed' : 'failed',
+        findings
+    };
+}
+
+/**
+ * Runs the automated compliance checks on every checkable task against the current document
+ * and stores the result on each task as task.autoCheck
+ */
+async function runComplianceChecks() {
+    if (!currentData) {
+        return;
+    }
+
+    let pages;
+    try {
+        const sandboxProxy = await getSandboxProxy();
+        pages = await sandboxProxy.getDocumentText();
+    } catch (error) {
+        console.error('[Brief2Check] Failed to read document text:', error);
+        showError(`Could not read the document: ${error.message || 'Unknown error'}`);
+        return;
+    }
+
+    const checkedAt = new Date().toISOString();
+    let passed = 0;
+    let failed = 0;
+
+    for (const department in currentData) {
+        // Approved departments keep the results they were signed off with
+        if (isDepartmentLocked(department)) {
+            continue;
+        }
+        currentData[department] = currentData[department].map(task => {
+            const rule = deriveComplianceRule(task);
+            if (!rule) {
+                return { ...task, autoCheck: null };
+            }
+
+            const result = evaluateComplianceRule(rule, pages);
+            if (result.status === 'passed') {
+                passed++;
+            } else {
+                failed++;
+            }
+            return { ...task, autoCheck: { rule: rule.type, ...result, checkedAt } };
+        });
+    }
+
+    renderDepartmentGroups(currentData);
+    scheduleSave();
+
+    if (passed + failed === 0) {
+        showNotice('No tasks could be checked automatically.');
+    } else {
+        showNotice(`Checked ${passed + failed} task${passed + failed === 1 ? '' : 's'} across ${pages.length} page${pages.length === 1 ? '' : 's'}: ${passed} passed, ${failed} failed.`);
+    }
+}
+
+/**
+ * Creates the automated check result of a task, with its page-level findings
+ * @param {object} task - Task object with autoCheck
+ * @returns {HTMLElement|null} - Check result element, or null if the task was not checked
+ */
+function createTaskCheckElement(task) {
+    if (!task.autoCheck) {
+        return null;
+    }
+
+    const { status, findings } = task.autoCheck;
+
+    const container = document.createElement("div");
+    container.className = `task-check task-check-${status}`;
+    container.title = `Checked ${new Date(task.autoCheck.checkedAt).toLocaleString()}`;
+
+    const summary = document.createElement("div");
+    summary.className = "task-check-summary";
+    summary.textContent = status === 'passed'
+        ? '✓ Auto-check passed'
+        : `✕ Auto-check failed (${findings.length} issue${findings.length === 1 ? '' : 's'})`;
+    container.appendChild(summary);
+
+    if (findings.length > 0) {
+        const list = document.createElement("ul");
+        list.className = "task-check-findings";
+        findings.forEach(finding => {
+            const item = document.createElement("li");
+            if (finding.page) {
+                const pageLink = document.createElement("button");
+                pageLink.type = "button";
+                pageLink.className = "task-check-page";
+                pageLink.textContent = finding.message;
+                pageLink.addEventListener("click", () => goToDocumentPage(finding.page));
+                item.appendChild(pageLink);
+            } else {
+                item.textContent = finding.message;
+            }
+            list.appendChild(item);
+        });
+        container.appendChild(list);
+    }
+
+    return container;
+}
+
+/**
+ * Moves a task to a position in a department, given as the index to insert before in the
+ * department's current list (what a drop indicator points at)
+ * @param {string} fromDepartment - Department of the task
+ * @param {number} fromIndex - Current position of the task
+ * @param {string} toDepartment - Department to move the task to
+ * @param {number} insertIndex - Index of the task to insert before, or the list length to append
+ * @returns {boolean} - True if the task was moved
+ */
+function moveTaskBefore(fromDepartment, fromIndex, toDepartment, insertIndex) {
+    // Removing the task first shifts later positions of the same department up by one
+    const toIndex = fromDepartment === toDepartment && insertIndex > fromIndex ? insertIndex - 1 : insertIndex;
+    return moveTaskInData(fromDepartment, fromIndex, toDepartment, toIndex);
+}
+
+/**
+ * Focuses the "Move to…" button of a task after it was re-rendered, so keyboard users keep their place
+ * @param {string} department - Department of the task
+ * @param {number} index - Position of the task
+ */
+function focusTaskMoveButton(department, index) {
+    const taskItem = document.querySelector(
+        `.task-item[data-department="${CSS.escape(department)}"][data-index="${index}"]`
+    );
+    const moveButton = taskItem && taskItem.querySelector(".task-move-button");
+    if (moveButton) {
+        moveButton.focus();
+    }
+}
+
+/**
+ * Creates the keyboard-accessible "Move to…" menu of a task: move up or down within the
+ * department, or to the end of another department
+ * @param {string} department - Department of the task
+ * @param {number} index - Task index
+ * @returns {HTMLElement} - Menu button with its (hidden) menu
+ */
+function createTaskMoveMenu(department, index) {
+    const container = document.createElement("div");
+    container.className = "task-move";
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "task-move-button";
+    button.textContent = "⇅";
+    button.title = "Move to…";
+    button.setAttribute("aria-label", "Move task to…");
+    button.setAttribute("aria-haspopup", "menu");
+    button.setAttribute("aria-expanded", "false");
+
+    const menu = document.createElement("div");
+    menu.className = "task-move-menu";
+    menu.setAttribute("role", "menu");
+
+    const closeMenu = (returnFocus) => {
+        menu.classList.remove("open");
+        button.setAttribute("aria-expanded", "false");
+        document.removeEventListener("click", outsideClickHandler);
+        window.removeEventListener("scroll", scrollHandler, true);
+        if (closeOpenMoveMenu === closeMenu) {
+            closeOpenMoveMenu = null;
+        }
+        if (returnFocus) {
+            button.focus();
+        }
+    };
+
+    const outsideClickHandler = (e) => {
+        if (!container.contains(e.target)) {
+            closeMenu(false);
+        }
+    };
+
+    // The menu is positioned against the viewport (task lists clip overflow), so it closes on scroll
+    const scrollHandler = () => closeMenu(false);
+
+    const getItems = () => Array.from(menu.querySelectorAll('[role="menuitem"]'));
+
+    const openMenu = () => {
+        if (closeOpenMoveMenu) {
+            closeOpenMoveMenu(false);
+        }
+
+        // Built on open so the options reflect the current departments and positions
+        menu.innerHTML = "";
+        const taskCount = Array.isArray(currentData[department]) ? currentData[department].length : 0;
+        const options = [];
+        if (index > 0) {
+            options.push({ label: "↑ Move up", move: () => moveTaskInData(department, index, department, index - 1), target: [department, index - 1] });
+        }
+        if (index < taskCount - 1) {
+            options.push({ label: "↓ Move down", move: () => moveTaskInData(department, index, department, index + 1), target: [department, index + 1] });
+        }
+        sortDepartments(Object.keys(currentData))
+            .filter(name => name !== department && !isDepartmentLocked(name))
+            .forEach(name => {
+                const targetIndex = Array.isArray(currentData[name]) ? currentData[name].length : 0;
+                options.push({
+                    label: `Move to ${name}`,
+                    move: () => moveTaskInData(department, index, name, targetIndex),
+                    target: [name, targetIndex],
+                    notice: `Task moved to ${name}.`
+                });
+            });
+
+        options.forEach(option => {
+            const item = document.createElement("button");
+            item.type = "button";
+            item.className = "task-move-item";
+            item.setAttribute("role", "menuitem");
+            item.tabIndex = -1;
+            item.textContent = option.label;
+            item.addEventListener("click", (e) => {
+                e.stopPropagation();
+                closeMenu(false);
+                if (option.move()) {
+                    focusTaskMoveButton(...option.target);
+                    if (option.notice) {
+                        showNotice(option.notice);
+                    }
+                }
+            });
+            menu.appendChild(item);
+        });
+
+        if (options.length === 0) {
+            return;
+        }
+
+        const rect = button.getBoundingClientRect();
+        menu.style.top = `${rect.bottom + 4}px`;
+        menu.style.right = `${Math.max(8, window.innerWidth - rect.right)}px`;
+        menu.classList.add("open");
+        button.setAttribute("aria-expanded", "true");
+        closeOpenMoveMenu = closeMenu;
+        document.addEventListener("click", outsideClickHandler);
+        window.addEventListener("scroll", scrollHandler, true);
+        getItems()[0].focus();
+    };
+
+    button.addEventListener("click", (e) => {
+        e.stopPropagation();
+        if (menu.classList.contains("open")) {
+            closeMenu(true);
+        } else {
+            openMenu();
+        }
+    });
+
+    // Arrow keys move between items, Escape closes and returns focus to the button
+    menu.addEventListener("keydown", (e) => {
+        const items = getItems();
+        const current = items.indexOf(document.activeElement);
+        if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+            e.preventDefault();
+            const step = e.key === "ArrowDown" ? 1 : -1;
+            items[(current + step + items.length) % items.length].focus();
+        } else if (e.key === "Home" || e.key === "End") {
+            e.preventDefault();
+            items[e.key === "Home" ? 0 : items.length - 1].focus();
+        } else if (e.key === "Escape") {
+            e.preventDefault();
+            e.stopPropagation();
+            closeMenu(true);
+        } else if (e.key === "Tab") {
+            closeMenu(false);
+        }
+    });
+
+    container.appendChild(button);
+    container.appendChild(menu);
+    return container;
+}
+
+/**
+ * Removes the drop position indicators shown while dragging a task
+ */
+function clearDropIndicators() {
+    document.querySelectorAll(".drop-before, .drop-at-end").forEach(element => {
+        element.classList.remove("drop-before", "drop-at-end");
+    });
+}
+
+/**
+ * Finds where a dragged task would be dropped in a department's task list
+ * @param {HTMLElement} tasksList - Task list of the department
+ * @param {number} clientY - Vertical pointer position
+ * @returns {object} - { index, element } with the index to insert before and the task element there (null at the end)
+ */
+function getDropPosition(tasksList, clientY) {
+    const taskItems = Array.from(tasksList.querySelectorAll(".task-item"));
+    for (let i = 0; i < taskItems.length; i++) {
+        const rect = taskItems[i].getBoundingClientRect();
+        if (clientY < rect.top + rect.height / 2) {
+            return { index: i, element: taskItems[i] };
+        }
+    }
+    return { index: taskItems.length, element: null };
+}
+
+/**
+ * Makes a department group a drop target for dragged tasks, including its header so tasks can be
+ * dropped on short or empty departments
+ * @param {HTMLElement} departmentGroup - Department group element
+ * @param {HTMLElement} tasksList - Task list of the department
+ * @param {string} department - Department name
+ */
+function enableTaskDrop(departmentGroup, tasksList, department) {
+    departmentGroup.addEventListener("dragover", (e) => {
+        // Approved departments do not accept tasks
+        if (!draggedTask || isDepartmentLocked(department)) {
+            return;
+        }
+        e.preventDefault();
+        e.dataTransfer.dropEffect = "move";
+
+        clearDropIndicators();
+        const { element } = getDropPosition(tasksList, e.clientY);
+        if (element) {
+            element.classList.add("drop-before");
+        } else {
+            tasksList.classList.add("drop-at-end");
+        }
+    });
+
+    departmentGroup.addEventListener("dragleave", (e) => {
+        if (!departmentGroup.contains(e.relatedTarget)) {
+            clearDropIndicators();
+        }
+    });
+
+    departmentGroup.addEventListener("drop", (e) => {
+        if (!draggedTask || isDepartmentLocked(department)) {
+            return;
+        }
+        e.preventDefault();
+        clearDropIndicators();
+
+        const { department: fromDepartment, index: fromIndex } = draggedTask;
+        draggedTask = null;
+        const { index } = getDropPosition(tasksList, e.clientY);
+        moveTaskBefore(fromDepartment, fromIndex, department, index);
+    });
+}
+
+// Function to render department groups with editable tasks
+function renderDepartmentGroups(data) {
+    const departmentGroups = document.getElementById("departmentGroups");
+    departmentGroups.innerHTML = "";
+
+    // Hide the source preview until a task is focused again
+    const sourcePreview = document.getElementById("sourcePreview");
+    if (sourcePreview) {
+        sourcePreview.classList.remove("active");
+    }
+
+    if (!data || Object.keys(data).length === 0) {
+        departmentGroups.innerHTML = '<div class="empty-state">No tasks found. Try parsing your instructions again.</div>';
+        return;
+    }
+
+    // Ensure data structure is valid
+    validateDataStructure();
+
+    // Department order comes from the department configuration; the comment filter hides departments without matches
+    const departments = sortDepartments(Object.keys(data)).filter(department =>
+        !showUnresolvedCommentsOnly || (data[department] || []).some(hasUnresolvedComments)
+    );
+    if (departments.length === 0) {
+        departmentGroups.innerHTML = '<div class="empty-state">No tasks have unresolved comments.</div>';
+    }
+
+    departments.forEach(department => {
+        const tasks = data[department];
+        
+        // Show department even if empty (allow adding tasks)
+        const departmentGroup = document.createElement("div");
+        departmentGroup.className = "department-group";
+        departmentGroup.dataset.department = department;
+
+        const header = document.createElement("h3");
+        header.className = "department-header";
+        header.textContent = department;
+        header.style.color = getDepartmentColor(department);
+        departmentGroup.appendChild(header);
+
+        // Collaborators working on this department (filled in by renderCollaborators)
+        const presence = document.createElement("div");
+        presence.className = "department-presence";
+        departmentGroup.appendChild(presence);
+
+        const locked = isDepartmentLocked(department);
+        departmentGroup.classList.toggle("department-locked", locked);
+        departmentGroup.appendChild(createDepartmentSignOffElement(department));
+
+        const tasksList = document.createElement("div");
+        tasksList.className = "tasks-list";
+        enableTaskDrop(departmentGroup, tasksList, department);
+
+        // Render existing tasks
+        if (tasks && Array.isArray(tasks) && tasks.length > 0) {
+            tasks.forEach((task, index) => {
+                if (showUnresolvedCommentsOnly && !hasUnresolvedComments(task)) {
+                    return;
+                }
+                const taskElement = createTaskElement(department, index, task);
+                tasksList.appendChild(taskElement);
+            });
+        }
+
+        // Add task control (compact inline)
+        const addTaskControl = document.createElement("div");
+        addTaskControl.className = "add-task-control";
+        
+        const addTaskIcon = document.createElement("span");
+        addTaskIcon.className = "add-task-icon";
+        addTaskIcon.textContent = "＋";
+        
+        const addTaskLabel = document.createElement("span");
+        addTaskLabel.className = "add-task-label";
+        addTaskLabel.textContent = "Add task";
+        
+        addTaskControl.appendChild(addTaskIcon);
+        addTaskControl.appendChild(addTaskLabel);
+        
+        addTaskControl.addEventListener("click", () => {
+            addTask(department);
+        });
+        
+        // New tasks have no comments, so they could not be shown while filtering
+        if (!showUnresolvedCommentsOnly && !locked) {
+            tasksList.appendChild(addTaskControl);
+        }
+        departmentGroup.appendChild(tasksList);
+        departmentGroups.appendChild(departmentGroup);
+    });
+    
+    // Update progress indicator after rendering
+    updateProgressIndicator();
+    updatePublishStatus();
+    
+    // Update export section visibility and department options
+    updateExportSection();
+
+    updateCommentFilterButton();
+    renderCollaborators();
+}
+
+/**
+ * Updates the export section visibility and populates department dropdown
+ */
+function updateExportSection() {
+    const exportSection = document.getElementById('exportSection');
+    const departmentSelect = document.getElementById('departmentSelect');
+    
+    if (!exportSection || !departmentSelect) return;
+    
+    // Show export section if there's data
+    if (currentData && Object.keys(currentData).length > 0) {
+        exportSection.style.display = 'flex';
+        
+        // Clear existing options except the first one
+        departmentSelect.innerHTML = '<option value="">Select department...</option>';
+        
+        // Add departments that have tasks
+        const departments = sortDepartments(Object.keys(currentData));
+        
+        // Offer a consolidated report when more than one department has tasks
+        if (getExportableDepartments().length > 1) {
+            const allOption = document.createElement('option');
+            allOption.value = ALL_DEPARTMENTS_VALUE;
+            allOption.textContent = 'All departments (full report)';
+            departmentSelect.appendChild(allOption);
+        }
+        
+        departments.forEach(dept => {
+            if (currentData[dept] && Array.isArray(currentData[dept]) && currentData[dept].length > 0) {
+                const option = document.createElement('option');
+                option.value = dept;
+                option.textContent = dept;
+                departmentSelect.appendChild(option);
+            }
+        });
+        
+        // Reset selection
+        departmentSelect.value = '';
+        updateExportButtonState();
+    } else {
+        exportSection.style.display = 'none';
+    }
+}
+
+/**
+ * Updates the export button enabled/disabled state
+ */
+function updateExportButtonState() {
+    const exportButton = document.getElementById('exportButton');
+    const departmentSelect = document.getElementById('departmentSelect');
+    
+    if (exportButton && departmentSelect) {
+        exportButton.disabled = !departmentSelect.value;
+    }
+}
+
+/**
+ * Gets the departments that have tasks, in display order
+ * @returns {Array<string>} - Department names
+ */
+function getExportableDepartments() {
+    if (!currentData) {
+        return [];
+    }
+    return sortDepartments(Object.keys(currentData)).filter(department =>
+        Array.isArray(currentData[department]) && currentData[department].length > 0
+    );
+}
+
+/**
+ * Shortens the brief to a summary for report cover pages
+ * @param {string} brief - Original brief text
+ * @returns {string} - First BRIEF_SUMMARY_MAX_LENGTH characters of the brief, cut at a word boundary
+ */
+function summarizeBrief(brief) {
+    const text = String(brief || '').replace(/\s+/g, ' ').trim();
+    if (text.length <= BRIEF_SUMMARY_MAX_LENGTH) {
+        return text;
+    }
+    const cut = text.slice(0, BRIEF_SUMMARY_MAX_LENGTH);
+    return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+}
+
+/**
+ * Formats progress as "completed / total tasks completed (percent%)"
+ * @param {object} progress - Object with completed and total counts
+ * @returns {string} - Formatted progress
+ */
+function formatProgress({ completed, total }) {
+    const percent = total === 0 ? 0 : Math.round((completed / total) * 100);
+    return `${completed} / ${total} tasks completed (${percent}%)`;
+}
+
+/**
+ * Generates the numbered task lines of a department for text exports
+ * @param {Array<object>} tasks - Department tasks
+ * @param {object} [options] - { includeComments } to add each task's comment threads
+ * @returns {string} - Formatted task lines
+ */
+function generateTaskLinesText(tasks, options = {}) {
+    let exportText = '';
+    
+    tasks.forEach((task, index) => {
+        const taskObj = typeof task === 'object' && task !== null && 'text' in task
+            ? task
+            : { text: typeof task === 'string' ? task : String(task), completed: false };
+        
+        const status = taskObj.completed === true ? '✔️ Completed' : '⏳ In progress';
+        const details = formatTaskDetails(normalizeTask(taskObj));
+        exportText += `${index + 1}. ${taskObj.text}\n`;
+        if (details) {
+            exportText += `   ${details}\n`;
+        }
+        exportText += `   Status: ${status}\n`;
+        if (options.includeComments) {
+            formatCommentLines(taskObj).forEach(line => {
+                exportText += `   ${line}\n`;
+            });
+        }
+        exportText += '\n';
+    });
+    
+    return exportText;
+}
+
+/**
+ * Generates export text for a specific department
+ * @param {string} department - Department name
+ * @param {object} [options] - { includeComments } to add each task's comment threads
+ * @returns {string} - Formatted export text
+ */
+function generateExportText(department, options = {}) {
+    if (!currentData || !currentData[department] || !Array.isArray(currentData[department])) {
+        return '';
+    }
+    
+    const tasks = currentData[department];
+    if (tasks.length === 0) {
+        return '';
+    }
+    
+    // Get current timestamp
+    const now = new Date();
+    const timeString = now.toLocaleTimeString('en-US', { 
+        hour: 'numeric', 
+        minute: '2-digit',
+        hour12: true 
+    });
+    
+    // Build export text
+    let exportText = `${department}\n`;
+    exportText += `Status as of ${timeString}\n\n`;
+    exportText += generateTaskLinesText(tasks, options);
+    
+    return exportText.trim();
+}
+
+/**
+ * Generates a consolidated report for several departments: a cover section with the brief
+ * summary and progress, then one section per department
+ * @param {Array<string>} departments - Department names, in report order
+ * @param {object} [options] - { includeComments } to add each task's comment threads
+ * @returns {string} - Formatted report text
+ */
+function generateReportText(departments, options = {}) {
+    if (!currentData || departments.length === 0) {
+        return '';
+    }
+    
+    const now = new Date();
+    const dateString = now.toLocaleString('en-US', {
+        dateStyle: 'medium',
+        timeStyle: 'short'
+    });
+    
+    // Cover section
+    let exportText = 'Brief2Check Report\n';
+    exportText += `Status as of ${dateString}\n\n`;
+    
+    const summary = summarizeBrief(currentBrief);
+    if (summary) {
+        exportText += `Brief summary:\n${summary}\n\n`;
+    }
+    
+    exportText += `Overall progress: ${formatProgress(calculateProgress(departments))}\n`;
+    departments.forEach(department => {
+        exportText += `- ${department}: ${formatProgress(calculateProgress([department]))}\n`;
+    });
+    
+    // One section per department, separated like page breaks
+    departments.forEach(department => {
+        exportText += `\n${'─'.repeat(40)}\n\n`;
+        exportText += `${department} (${formatProgress(calculateProgress([department]))})\n\n`;
+        exportText += generateTaskLinesText(currentData[department] || [], options);
+    });
+    
+    return exportText.trim();
+}
+
+/**
+ * Gets the tasks of a department in the canonical export shape
+ * @param {string} department - Department name
+ * @param {object} [options] - { includeComments } to add each task's comment threads
+ * @returns {Array<object>} - Tasks as { text, completed, assignee, dueDate, priority, page, tags, source, comments? }
+ */
+function getExportTasks(department, options = {}) {
+    return (currentData[department] || []).map(task => {
+        const taskObj = normalizeTask(task);
+        const exportTask = {
+            text: taskObj.text,
+            completed: taskObj.completed,
+            assignee: taskObj.assignee,
+            dueDate: taskObj.dueDate,
+            priority: taskObj.priority,
+            page: taskObj.page,
+            tags: taskObj.tags,
+            source: taskObj.source || null
+        };
+        if (options.includeComments) {
+            exportTask.comments = taskObj.comments;
+        }
+        return exportTask;
+    });
+}
+
+/**
+ * Generates a Markdown export using GitHub task-list syntax. Comments are quoted under their task,
+ * so they are skipped when the export is imported again.
+ * @param {Array<string>} departments - Department names
+ * @param {object} [options] - { includeComments } to add each task's comment threads
+ * @returns {string} - Markdown text
+ */
+function generateMarkdownExport(departments, options = {}) {
+    const isReport = departments.length > 1;
+    const dateString = new Date().toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+    let markdown = `# ${isReport ? 'Brief2Check Report' : departments[0]}\n\n`;
+    markdown += `_Status as of ${dateString}_\n\n`;
+
+    if (isReport) {
+        const summary = summarizeBrief(currentBrief);
+        if (summary) {
+            markdown += `> ${summary}\n\n`;
+        }
+        markdown += `**Overall progress:** ${formatProgress(calculateProgress(departments))}\n\n`;
+    }
+
+    departments.forEach(department => {
+        if (isReport) {
+            markdown += `## ${department}\n\n`;
+            markdown += `${formatProgress(calculateProgress([department]))}\n\n`;
+        }
+        getExportTasks(department, options).forEach(task => {
+            const details = formatTaskDetails(task);
+            // Keep each task on one line so the task list renders correctly
+            const text = task.text.replace(/\s*\n\s*/g, ' ');
+            markdown += `- [${task.completed ? 'x' : ' '}] ${text}${details ? ` _(${details})_` : ''}\n`;
+            if (options.includeComments) {
+                formatCommentLines(task).forEach(line => {
+                    markdown += `  > ${line.replace(/\s*\n\s*/g, ' ')}\n`;
+                });
+            }
+        });
+        markdown += '\n';
+    });
+
+    return markdown.trim() + '\n';
+}
+
+/**
+ * Escapes a value for a CSV cell, neutralizing spreadsheet formulas
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+function escapeCsvValue(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds CSV text from rows
+ * @param {Array<Array<*>>} rows - Rows of cells, the first row being the header
+ * @returns {string} - CSV text
+ */
+function buildCsv(rows) {
+    return rows.map(row => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Capitalizes a priority for display and tracker imports
+ * @param {string|null} priority - Priority value
+ * @returns {string} - Capitalized priority, or an empty string
+ */
+function formatPriority(priority) {
+    return priority ? priority.charAt(0).toUpperCase() + priority.slice(1) : '';
+}
+
+/**
+ * Generates a spreadsheet CSV export
+ * @param {Array<string>} departments - Department names
+ * @returns {string} - CSV text
+ */
+function generateCsvExport(departments) {
+    const rows = [['Department', 'Task', 'Status', 'Owner', 'Due date', 'Priority', 'Page', 'Tags']];
+    departments.forEach(department => {
+        getExportTasks(department).forEach(task => {
+            rows.push([
+                department,
+                task.text,
+                task.completed ? 'Completed' : 'In progress',
+                task.assignee,
+                task.dueDate,
+                formatPriority(task.priority),
+                task.page,
+                task.tags.join(', ')
+            ]);
+        });
+    });
+    return buildCsv(rows);
+}
+
+/**
+ * Generates the canonical JSON export, which can be imported back into the panel
+ * @param {Array<string>} departments - Department names
+ * @param {object} [options] - { includeComments } to add each task's comment threads
+ * @returns {string} - JSON text
+ */
+function generateJsonExport(departments, options = {}) {
+    const exportData = {
+        format: 'brief2check',
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        brief: currentBrief,
+        departments: {}
+    };
+    departments.forEach(department => {
+        exportData.departments[department] = getExportTasks(department, options);
+    });
+    return JSON.stringify(exportData, null, 2) + '\n';
+}
+
+/**
+ * Generates a CSV for Jira's external system import (one issue per task)
+ * @param {Array<string>} departments - Department names
+ * @returns {string} - CSV text
+ */
+function generateJiraCsvExport(departments) {
+    const tasks = [];
+    departments.forEach(department => {
+        getExportTasks(department).forEach(task => tasks.push({ department, task }));
+    });
+
+    // Jira maps repeated "Labels" columns to multiple labels
+    const labelColumns = Math.max(1, ...tasks.map(({ task }) => task.tags.length + 1));
+    const header = ['Summary', 'Issue Type', 'Status', 'Priority', 'Assignee', 'Due Date', 'Component', 'Description'];
+    const rows = [header.concat(Array(labelColumns).fill('Labels'))];
+
+    tasks.forEach(({ department, task }) => {
+        const labels = [department, ...task.tags].map(label => label.replace(/\s+/g, '-'));
+        const description = [
+            task.page ? `Page ${task.page}` : '',
+            task.source ? `From the brief: "${task.source.quote}"` : ''
+        ].filter(Boolean).join('\n');
+
+        rows.push([
+            task.text.length > 255 ? `${task.text.slice(0, 252)}...` : task.text,
+            'Task',
+            task.completed ? 'Done' : 'To Do',
+            formatPriority(task.priority),
+            task.assignee,
+            task.dueDate,
+            department,
+            description
+        ].concat(labels, Array(labelColumns - labels.length).fill('')));
+    });
+
+    return buildCsv(rows);
+}
+
+/**
+ * Generates a CSV for Asana's CSV importer (sections per department)
+ * @param {Array<string>} departments - Department names
+ * @returns {string} - CSV text
+ */
+function generateAsanaCsvExport(departments) {
+    const rows = [['Name', 'Section/Column', 'Assignee', 'Due Date', 'Completed', 'Priority', 'Tags', 'Description']];
+    departments.forEach(department => {
+        getExportTasks(department).forEach(task => {
+            rows.push([
+                task.text,
+                department,
+                task.assignee,
+                task.dueDate,
+                task.completed ? 'true' : 'false',
+                formatPriority(task.priority),
+                task.tags.join(','),
+                task.source ? `From the brief: "${task.source.quote}"` : ''
+            ]);
+        });
+    });
+    return buildCsv(rows);
+}
+
+// Export formats offered in the export preview modal
+const EXPORT_FORMATS = {
+    text: {
+        label: 'Plain text',
+        extension: 'txt',
+        mimeType: 'text/plain',
+        supportsComments: true,
+        generate: (departments, options) => departments.length === 1
+            ? generateExportText(departments[0], options)
+            : generateReportText(departments, options)
+    },
+    markdown: {
+        label: 'Markdown (task list)',
+        extension: 'md',
+        mimeType: 'text/markdown',
+        supportsComments: true,
+        generate: generateMarkdownExport
+    },
+    csv: {
+        label: 'CSV (spreadsheet)',
+        extension: 'csv',
+        mimeType: 'text/csv',
+        generate: generateCsvExport
+    },
+    json: {
+        label: 'JSON',
+        extension: 'json',
+        mimeType: 'application/json',
+        supportsComments: true,
+        generate: generateJsonExport
+    },
+    jira: {
+        label: 'Jira import (CSV)',
+        extension: 'csv',
+        mimeType: 'text/csv',
+        generate: generateJiraCsvExport
+    },
+    asana: {
+        label: 'Asana import (CSV)',
+        extension: 'csv',
+        mimeType: 'text/csv',
+        generate: generateAsanaCsvExport
+    }
+};
+
+/**
+ * Downloads text as a file
+ * @param {string} text - File contents
+ * @param {string} filename - File name
+ * @param {string} mimeType - MIME type
+ */
+function downloadTextFile(text, filename, mimeType) {
+    const blob = new Blob([text], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Fallback copy to clipboard method for restricted environments
+ * @param {string} text - Text to copy
+ * @returns {boolean} - True if successful
+ */
+function fallbackCopyToClipboard(text) {
+    const textArea = document.createElement('textarea');
+    textArea.value = text;
+    textArea.style.position = 'fixed';
+    textArea.style.left = '-999999px';
+    textArea.style.top = '-999999px';
+    document.body.appendChild(textArea);
+    textArea.focus();
+    textArea.select();
+    
+    try {
+        const successful = document.execCommand('copy');
+        document.body.removeChild(textArea);
+        return successful;
+    } catch (err) {
+        document.body.removeChild(textArea);
+        return false;
+    }
+}
+
+/**
+ * Shows export preview modal with checklist status
+ */
+function exportChecklistStatus() {
+    const departmentSelect = document.getElementById('departmentSelect');
+    if (!departmentSelect || !departmentSelect.value) {
+        return;
+    }
+    
+    const departments = departmentSelect.value === ALL_DEPARTMENTS_VALUE
+        ? getExportableDepartments()
+        : [departmentSelect.value];
+    
+    if (departments.length === 0 || !generateExportText(departments[0])) {
+        showError('No tasks found for this department.');
+        return;
+    }
+    
+    // Show preview modal
+    showExportPreviewModal(departments);
+}
+
+/**
+ * Copies text to clipboard with fallback methods
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} - True if successful
+ */
+async function copyToClipboardWithFallback(text) {
+    // Try modern Clipboard API first
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        try {
+            await navigator.clipboard.writeText(text);
+            return true;
+        } catch (error) {
+            console.log('Clipboard API failed, trying fallback:', error);
+        }
+    }
+    
+    // Use fallback method if Clipboard API failed or unavailable
+    return fallbackCopyToClipboard(text);
+}
+
+/**
+ * Shows export preview modal with checklist status
+ * @param {Array<string>} departments - Departments to export; with more than one, a consolidated
+ *   report is generated and the user can narrow it down to a subset
+ */
+function showExportPreviewModal(departments) {
+    // Departments currently included in the export, and the chosen format
+    const selectedDepartments = new Set(departments);
+    const getSelectedDepartments = () => departments.filter(department => selectedDepartments.has(department));
+    let exportFormat = 'text';
+    // Whether comment threads are included, in the formats that support them
+    let includeComments = false;
+    const getExportOptions = () => ({ includeComments: includeComments && EXPORT_FORMATS[exportFormat].supportsComments === true });
+    // Plain text matches exportToPDF: one department is a plain checklist, several make a report
+    const generateText = () => EXPORT_FORMATS[exportFormat].generate(getSelectedDepartments(), getExportOptions());
+    
+    // Remove any existing modal
+    const existingModal = document.getElementById('exportPreviewModal');
+    if (existingModal) {
+        document.body.removeChild(existingModal);
+    }
+    
+    // Create modal overlay
+    const overlay = document.createElement('div');
+    overlay.id = 'exportPreviewModal';
+    overlay.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        background: rgba(0, 0, 0, 0.5);
+        z-index: 10000;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        padding: 20px;
+    `;
+    
+    // Create modal content with fixed header, scrollable content, and fixed footer
+    const modal = document.createElement('div');
+    modal.style.cssText = `
+        background: white;
+        border-radius: 8px;
+        max-width: 600px;
+        max-height: 80vh;
+        width: 100%;
+        display: flex;
+        flex-direction: column;
+        box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+        overflow: hidden;
+    `;
+    
+    // Header (fixed)
+    const header = document.createElement('div');
+    header.style.cssText = `
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 20px;
+        border-bottom: 1px solid #e0e0e0;
+        flex-shrink: 0;
+        background: white;
+    `;
+    
+    const title = document.createElement('h3');
+    title.textContent = departments.length === 1 ? departments[0] : 'Full report';
+    title.style.cssText = 'margin: 0; font-size: 16px; font-weight: 600; color: rgb(82, 88, 228);';
+    
+    const closeButton = document.createElement('button');
+    closeButton.textContent = '×';
+    closeButton.setAttribute('aria-label', 'Close');
+    closeButton.style.cssText = `
+        background: none;
+        border: none;
+        font-size: 24px;
+        cursor: pointer;
+        color: #666;
+        padding: 0;
+        width: 30px;
+        height: 30px;
+        line-height: 1;
+        transition: color 0.2s;
+    `;
+    closeButton.addEventListener('mouseenter', () => {
+        closeButton.style.color = '#333';
+    });
+    closeButton.addEventListener('mouseleave', () => {
+        closeButton.style.color = '#666';
+    });
     
-    currentData[department].splice(index, 1);
-    
-    // Update progress
-    updateProgressIndicator();
+    // Scrollable content area
+    const contentWrapper = document.createElement('div');
+    contentWrapper.style.cssText = `
+        flex: 1;
+        overflow-y: auto;
+        padding: 20px;
+        min-height: 0;
+    `;
     
-    // Re-render to update indices
-    renderDepartmentGroups(currentData);
+    // Format picker
+    const formatSelect = document.createElement('select');
+    formatSelect.className = 'department-select export-format-select';
+    formatSelect.setAttribute('aria-label', 'Export format');
+    Object.entries(EXPORT_FORMATS).forEach(([value, format]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = format.label;
+        formatSelect.appendChild(option);
+    });
     
-    // Update export section
-    updateExportSection();
-}
-
-/**
- * Adds a new task to a department
- * @param {string} department - Department name
- */
-function addTask(department) {
-    if (!currentData) {
-        currentData = {};
-    }
+    // Comments option
+    const commentsLabel = document.createElement('label');
+    commentsLabel.className = 'export-comments-option';
+    const commentsCheckbox = document.createElement('input');
+    commentsCheckbox.type = 'checkbox';
+    commentsCheckbox.className = 'task-checkbox';
+    commentsLabel.appendChild(commentsCheckbox);
+    commentsLabel.appendChild(document.createTextNode('Include comments'));
     
-    if (!currentData[department]) {
-        currentData[department] = [];
-    }
+    // Preview content (read-only textarea)
+    const preview = document.createElement('textarea');
+    preview.value = generateText();
+    preview.readOnly = true;
+    preview.style.cssText = `
+        width: 100%;
+        min-height: 200px;
+        padding: 12px;
+        border: 1px solid #ddd;
+        border-radius: 4px;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 13px;
+        line-height: 1.6;
+        box-sizing: border-box;
+        background-color: #f8f9fa;
+        color: #333;
+        resize: none;
+    `;
     
-    if (!Array.isArray(currentData[department])) {
-        currentData[department] = [];
+    // Footer (fixed, always visible)
+    const footer = document.createElement('div');
+    footer.style.cssText = `
+        display: flex;
+        gap: 8px;
+        justify-content: flex-end;
+        padding: 16px 20px;
+        border-top: 1px solid #e0e0e0;
+        flex-shrink: 0;
+        background: white;
+    `;
+    
+    const exportPdfButton = document.createElement('button');
+    exportPdfButton.textContent = 'Export to PDF';
+    exportPdfButton.style.cssText = `
+        background-color: rgb(82, 88, 228);
+        border-color: rgb(82, 88, 228);
+        color: rgb(255, 255, 255);
+        font-size: 13px;
+        padding: 8px 16px;
+        height: auto;
+        min-height: 36px;
+        border-radius: 8px;
+        border-style: solid;
+        font-weight: 600;
+        cursor: pointer;
+        transition: background-color 0.2s;
+    `;
+    exportPdfButton.addEventListener('mouseenter', () => {
+        exportPdfButton.style.backgroundColor = 'rgb(64, 70, 202)';
+    });
+    exportPdfButton.addEventListener('mouseleave', () => {
+        exportPdfButton.style.backgroundColor = 'rgb(82, 88, 228)';
+    });
+    
+    const closeBtn = document.createElement('button');
+    closeBtn.textContent = 'Close';
+    closeBtn.className = 'secondary-button';
+    closeBtn.style.cssText = `
+        font-size: 13px;
+        padding: 8px 16px;
+        height: auto;
+        min-height: 36px;
+    `;
+    
+    const copyButton = document.createElement('button');
+    copyButton.textContent = 'Copy to clipboard';
+    copyButton.className = 'secondary-button';
+    copyButton.style.cssText = closeBtn.style.cssText;
+    
+    const downloadButton = document.createElement('button');
+    downloadButton.textContent = 'Download';
+    downloadButton.className = 'secondary-button';
+    downloadButton.style.cssText = closeBtn.style.cssText;
+    downloadButton.style.display = 'none';
+    
+    commentsCheckbox.addEventListener('change', () => {
+        includeComments = commentsCheckbox.checked;
+        preview.value = generateText();
+    });
+    
+    // Live preview when the format changes; PDF is only offered for plain text
+    formatSelect.addEventListener('change', () => {
+        exportFormat = formatSelect.value;
+        commentsCheckbox.disabled = !EXPORT_FORMATS[exportFormat].supportsComments;
+        commentsLabel.title = commentsCheckbox.disabled ? 'This format has no place for comments' : '';
+        preview.value = generateText();
+        const isText = exportFormat === 'text';
+        exportPdfButton.style.display = isText ? '' : 'none';
+        downloadButton.style.display = isText ? 'none' : '';
+        preview.style.fontFamily = isText
+            ? "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif"
+            : "ui-monospace, SFMono-Regular, Menlo, Consolas, monospace";
+    });
+    
+    // Department picker for consolidated reports
+    let departmentPicker = null;
+    if (departments.length > 1) {
+        departmentPicker = document.createElement('div');
+        departmentPicker.className = 'export-department-picker';
+        
+        departments.forEach(department => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'task-checkbox';
+            checkbox.checked = true;
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    selectedDepartments.add(department);
+                } else {
+                    selectedDepartments.delete(department);
+                }
+                preview.value = generateText();
+                exportPdfButton.disabled = selectedDepartments.size === 0;
+                copyButton.disabled = selectedDepartments.size === 0;
+                downloadButton.disabled = selectedDepartments.size === 0;
+            });
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(department));
+            departmentPicker.appendChild(label);
+        });
     }
     
-    // Add new task object (unchecked by default)
-    currentData[department].push({
-        text: '',
-        completed: false
+    // Export to PDF button handler
+    exportPdfButton.addEventListener('click', () => {
+        exportToPDF(getSelectedDepartments(), getExportOptions());
     });
     
-    // Update progress
-    updateProgressIndicator();
+    // Download button handler
+    downloadButton.addEventListener('click', () => {
+        const format = EXPORT_FORMATS[exportFormat];
+        const selected = getSelectedDepartments();
+        const dateStr = new Date().toISOString().split('T')[0];
+        const baseName = selected.length === 1 ? `${selected[0]}_Checklist` : 'Brief2Check_Report';
+        downloadTextFile(preview.value, `${baseName}_${dateStr}.${format.extension}`, format.mimeType);
+    });
     
-    // Re-render to show new task
-    renderDepartmentGroups(currentData);
+    // Copy button handler
+    copyButton.addEventListener('click', async () => {
+        const copied = await copyToClipboardWithFallback(preview.value);
+        copyButton.textContent = copied ? 'Copied!' : 'Copy failed';
+        setTimeout(() => {
+            copyButton.textContent = 'Copy to clipboard';
+        }, 2000);
+    });
     
-    // Update export section
-    updateExportSection();
+    // Close handlers
+    const closeModal = () => {
+        document.body.removeChild(overlay);
+    };
     
-    // Focus on the new task input
+    closeButton.addEventListener('click', closeModal);
+    closeBtn.addEventListener('click', closeModal);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+            closeModal();
+        }
+    });
+    
+    // Close on Escape key
+    const escapeHandler = (e) => {
+        if (e.key === 'Escape') {
+            closeModal();
+            document.removeEventListener('keydown', escapeHandler);
+        }
+    };
+    document.addEventListener('keydown', escapeHandler);
+    
+    // Assemble modal
+    header.appendChild(title);
+    header.appendChild(closeButton);
+    contentWrapper.appendChild(formatSelect);
+    contentWrapper.appendChild(commentsLabel);
+    if (departmentPicker) {
+        contentWrapper.appendChild(departmentPicker);
+    }
+    contentWrapper.appendChild(preview);
+    footer.appendChild(exportPdfButton);
+    footer.appendChild(downloadButton);
+    footer.appendChild(copyButton);
+    footer.appendChild(closeBtn);
+    
+    modal.appendChild(header);
+    modal.appendChild(contentWrapper);
+    modal.appendChild(footer);
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
+    
+    // Focus preview for easy selection
     setTimeout(() => {
-        const departmentGroups = document.getElementById("departmentGroups");
-        const departmentGroup = Array.from(departmentGroups.querySelectorAll('.department-group')).find(
-            group => group.querySelector('.department-header').textContent === department
-        );
+        preview.focus();
+    }, 100);
+}
+
+/**
+ * Gets the jsPDF constructor, waiting for it to load if necessary
+ * @returns {Promise<Function>} - The jsPDF constructor
+ */
+function getJsPDF() {
+    return new Promise((resolve, reject) => {
+        // Check if already available
+        let jsPDF;
+        if (window.jspdf && window.jspdf.jsPDF) {
+            jsPDF = window.jspdf.jsPDF;
+        } else if (window.jsPDF) {
+            jsPDF = window.jsPDF;
+        } else if (window.jspdf && typeof window.jspdf === 'function') {
+            jsPDF = window.jspdf;
+        }
         
-        if (departmentGroup) {
-            const taskItems = departmentGroup.querySelectorAll('.task-item');
-            const lastTaskItem = taskItems[taskItems.length - 1];
-            if (lastTaskItem) {
-                const input = lastTaskItem.querySelector('input, textarea');
-                if (input) {
-                    input.focus();
-                    input.classList.add('editing');
-                }
-            }
+        if (jsPDF) {
+            resolve(jsPDF);
+            return;
         }
-    }, 50);
+        
+        // Wait for script to load (max 5 seconds)
+        let attempts = 0;
+        const maxAttempts = 50; // 50 attempts * 100ms = 5 seconds
+        const checkInterval = setInterval(() => {
+            attempts++;
+            if (window.jspdf && window.jspdf.jsPDF) {
+                clearInterval(checkInterval);
+                resolve(window.jspdf.jsPDF);
+            } else if (window.jsPDF) {
+                clearInterval(checkInterval);
+                resolve(window.jsPDF);
+            } else if (window.jspdf && typeof window.jspdf === 'function') {
+                clearInterval(checkInterval);
+                resolve(window.jspdf);
+            } else if (attempts >= maxAttempts) {
+                clearInterval(checkInterval);
+                reject(new Error('jsPDF library failed to load after 5 seconds'));
+            }
+        }, 100);
+    });
 }
 
 /**
- * Creates a task checklist element with checkbox and editable text
+ * Writes one department's checklist to the current PDF page, adding pages as needed
+ * @param {object} doc - jsPDF document
  * @param {string} department - Department name
- * @param {number} index - Task index
- * @param {object} task - Task object with {text, completed}
- * @returns {HTMLElement} - Task item element
+ * @param {string} subtitle - Gray line under the department name
+ * @param {object} [options] - { includeComments } to add each task's comment threads
  */
-function createTaskElement(department, index, task) {
-    // Ensure task is an object
-    const taskObj = typeof task === 'object' && task !== null && 'text' in task
-        ? task
-        : { text: typeof task === 'string' ? task : String(task), completed: false };
+function writeDepartmentToPDF(doc, department, subtitle, options = {}) {
+    // Set font and margins
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = 20;
+    const maxWidth = pageWidth - (margin * 2);
+    let yPosition = margin;
     
-    const taskItem = document.createElement("div");
-    taskItem.className = "task-item";
-    taskItem.setAttribute("data-department", department);
-    taskItem.setAttribute("data-index", index);
+    // Department name (header)
+    doc.setFontSize(16);
+    doc.setFont(undefined, 'bold');
+    doc.text(department, margin, yPosition);
+    yPosition += 10;
     
-    // Checkbox wrapper
-    const checkboxWrapper = document.createElement("div");
-    checkboxWrapper.className = "task-checkbox-wrapper";
+    doc.setFontSize(10);
+    doc.setFont(undefined, 'normal');
+    doc.setTextColor(100, 100, 100);
+    doc.text(subtitle, margin, yPosition);
+    yPosition += 15;
     
-    // Checkbox
-    const checkbox = document.createElement("input");
-    checkbox.type = "checkbox";
-    checkbox.className = "task-checkbox";
-    checkbox.checked = taskObj.completed === true;
-    checkbox.setAttribute("aria-label", `Mark task ${index + 1} as ${taskObj.completed ? 'incomplete' : 'complete'}`);
+    // Reset text color and font
+    doc.setTextColor(0, 0, 0);
+    doc.setFontSize(11);
+    doc.setFont(undefined, 'normal');
     
-    // Checkbox change handler
-    checkbox.addEventListener("change", () => {
-        updateTaskCompletionInData(department, index, checkbox.checked);
-        // Update visual state
-        if (checkbox.checked) {
-            taskItem.classList.add("task-completed");
-        } else {
-            taskItem.classList.remove("task-completed");
+    // Get tasks directly from currentData
+    const tasks = currentData[department];
+    
+    if (!tasks || tasks.length === 0) {
+        doc.setFontSize(11);
+        doc.text('No tasks available for this department.', margin, yPosition);
+        return;
+    }
+    
+    // Add tasks to PDF
+    for (const task of tasks) {
+        const taskObj = normalizeTask(task);
+        
+        // Check if we need a new page
+        if (yPosition > pageHeight - 40) {
+            doc.addPage();
+            yPosition = margin;
+        }
+        
+        // Task text with icon
+        const statusIcon = taskObj.completed === true ? '✓' : '○';
+        const taskLine = `${statusIcon} ${taskObj.text || '(empty task)'}`;
+        const taskLines = doc.splitTextToSize(taskLine, maxWidth);
+        
+        doc.text(taskLines, margin, yPosition);
+        yPosition += taskLines.length * 6;
+        
+        // Status line (indented, smaller, gray)
+        doc.setFontSize(9);
+        doc.setTextColor(100, 100, 100);
+        const status = taskObj.completed === true ? 'Completed' : 'In progress';
+        const details = formatTaskDetails(taskObj);
+        const statusText = details ? `  Status: ${status} · ${details}` : `  Status: ${status}`;
+        const statusLines = doc.splitTextToSize(statusText, maxWidth);
+        doc.text(statusLines, margin, yPosition);
+        yPosition += statusLines.length * 5 + 3;
+        
+        // Comment threads (indented under the status line)
+        if (options.includeComments) {
+            for (const line of formatCommentLines(taskObj)) {
+                const commentLines = doc.splitTextToSize(line, maxWidth - 4);
+                if (yPosition + commentLines.length * 5 > pageHeight - margin) {
+                    doc.addPage();
+                    yPosition = margin;
+                }
+                doc.text(commentLines, margin + 4, yPosition);
+                yPosition += commentLines.length * 5;
+            }
         }
-    });
-    
-    // Set initial completed state
-    if (taskObj.completed) {
-        taskItem.classList.add("task-completed");
+        
+        // Reset for next task
+        doc.setFontSize(11);
+        doc.setTextColor(0, 0, 0);
+        yPosition += 3; // Spacing between tasks
     }
+}
+
+/**
+ * Writes the cover page of a consolidated report: brief summary, overall and per-department progress
+ * @param {object} doc - jsPDF document
+ * @param {Array<string>} departments - Departments in the report
+ * @param {string} dateString - Report date
+ */
+function writeReportCoverToPDF(doc, departments, dateString) {
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const margin = 20;
+    const maxWidth = pageWidth - (margin * 2);
+    let yPosition = margin;
     
-    checkboxWrapper.appendChild(checkbox);
-    
-    // Text input wrapper
-    const textWrapper = document.createElement("div");
-    textWrapper.className = "task-text-wrapper";
+    doc.setFontSize(20);
+    doc.setFont(undefined, 'bold');
+    doc.text('Brief2Check Report', margin, yPosition);
+    yPosition += 10;
     
-    // Use textarea for better text wrapping (always use textarea for proper wrapping)
-    const inputElement = document.createElement("textarea");
-    inputElement.value = taskObj.text;
-    inputElement.placeholder = `Task ${index + 1}`;
-    inputElement.className = "task-text-input";
-    inputElement.setAttribute("data-department", department);
-    inputElement.setAttribute("data-index", index);
-    inputElement.rows = 1; // Start with single row, will auto-resize
+    doc.setFontSize(10);
+    doc.setFont(undefined, 'normal');
+    doc.setTextColor(100, 100, 100);
+    doc.text(`Status as of ${dateString}`, margin, yPosition);
+    yPosition += 15;
     
-    // Auto-resize textarea
-    const autoResize = () => {
-        inputElement.style.height = 'auto';
-        inputElement.style.height = Math.max(24, inputElement.scrollHeight) + 'px';
-    };
+    const summary = summarizeBrief(currentBrief);
+    if (summary) {
+        doc.setTextColor(0, 0, 0);
+        doc.setFontSize(12);
+        doc.setFont(undefined, 'bold');
+        doc.text('Brief summary', margin, yPosition);
+        yPosition += 7;
+        
+        doc.setFontSize(10);
+        doc.setFont(undefined, 'normal');
+        const summaryLines = doc.splitTextToSize(summary, maxWidth);
+        doc.text(summaryLines, margin, yPosition);
+        yPosition += summaryLines.length * 5 + 10;
+    }
     
-    // Validation message
-    const validationMessage = document.createElement("div");
-    validationMessage.className = "validation-message";
+    doc.setTextColor(0, 0, 0);
+    doc.setFontSize(12);
+    doc.setFont(undefined, 'bold');
+    doc.text('Progress', margin, yPosition);
+    yPosition += 7;
     
-    // Task actions (delete icon)
-    const taskActions = document.createElement("div");
-    taskActions.className = "task-actions";
+    doc.setFontSize(11);
+    doc.text(`Overall: ${formatProgress(calculateProgress(departments))}`, margin, yPosition);
+    yPosition += 8;
     
-    const deleteIcon = document.createElement("button");
-    deleteIcon.className = "task-delete-icon";
-    deleteIcon.textContent = "×";
-    deleteIcon.setAttribute("aria-label", "Delete task");
-    deleteIcon.setAttribute("type", "button");
-    deleteIcon.addEventListener("click", (e) => {
-        e.stopPropagation();
-        removeTask(department, index);
+    doc.setFont(undefined, 'normal');
+    doc.setFontSize(10);
+    departments.forEach(department => {
+        doc.text(`${department}: ${formatProgress(calculateProgress([department]))}`, margin + 4, yPosition);
+        yPosition += 6;
     });
+}
+
+/**
+ * Writes the sign-off audit page: whether the checklist is ready to publish, each department's current
+ * sign-off, and every sign-off decision in order with the progress at that moment
+ * @param {object} doc - jsPDF document
+ * @param {Array<string>} departments - Departments in the export
+ */
+function writeSignOffAuditToPDF(doc, departments) {
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = 20;
+    const maxWidth = pageWidth - (margin * 2);
+    let yPosition = margin;
+
+    // Writes wrapped lines, continuing on a new page when they do not fit
+    const writeLines = (text, x, lineHeight) => {
+        const lines = doc.splitTextToSize(text, maxWidth - (x - margin));
+        if (yPosition + lines.length * lineHeight > pageHeight - margin) {
+            doc.addPage();
+            yPosition = margin;
+        }
+        doc.text(lines, x, yPosition);
+        yPosition += lines.length * lineHeight;
+    };
+
+    doc.setFontSize(16);
+    doc.setFont(undefined, 'bold');
+    doc.text('Sign-off record', margin, yPosition);
+    yPosition += 10;
+
+    const { ready, total, approved } = calculateSignOffStatus(departments);
+    doc.setFontSize(10);
+    doc.setFont(undefined, 'normal');
+    doc.setTextColor(100, 100, 100);
+    writeLines(ready
+        ? `Ready to publish: all ${total} ${total === 1 ? 'department' : 'departments'} approved`
+        : `Not ready to publish: ${approved.length} / ${total} departments approved`, margin, 5);
+    yPosition += 10;
+
+    departments.forEach(department => {
+        const signOff = getDepartmentSignOff(department);
+
+        doc.setTextColor(0, 0, 0);
+        doc.setFontSize(12);
+        doc.setFont(undefined, 'bold');
+        writeLines(department, margin, 6);
+
+        doc.setFontSize(10);
+        doc.setFont(undefined, 'normal');
+        writeLines(formatSignOff(signOff), margin + 4, 5);
+
+        doc.setFontSize(9);
+        doc.setTextColor(100, 100, 100);
+        if (signOff.history.length === 0) {
+            writeLines('No sign-off decisions yet.', margin + 4, 5);
+        }
+        signOff.history.forEach(entry => {
+            const progress = entry.progress ? ` · ${formatProgress(entry.progress)}` : '';
+            writeLines(`${formatSignOff(entry)}${progress}${entry.note ? `: ${entry.note}` : ''}`, margin + 8, 5);
+        });
+        yPosition += 6;
+    });
+}
+
+/**
+ * Exports checklist status to PDF. A single department is exported as a checklist; several
+ * departments become a report with a cover page and one page break per department.
+ * Both end with the sign-off audit page.
+ * @param {Array<string>} departments - Department names, in export order
+ * @param {object} [options] - { includeComments } to add each task's comment threads
+ */
+async function exportToPDF(departments, options = {}) {
+    const validDepartments = (departments || []).filter(department =>
+        currentData && Array.isArray(currentData[department])
+    );
+    if (validDepartments.length === 0) {
+        showError('No tasks found for this department.');
+        return;
+    }
     
-    taskActions.appendChild(deleteIcon);
-    
-    // Real-time validation on input
-    let validationTimeout = null;
-    inputElement.addEventListener("input", () => {
-        const value = inputElement.value;
+    try {
+        // Get jsPDF constructor (wait for it to load if necessary)
+        const jsPDF = await getJsPDF();
+        console.log('jsPDF loaded successfully, creating PDF...');
         
-        // Auto-resize
-        autoResize();
+        // Create new PDF document
+        const doc = new jsPDF();
         
-        // Mark as editing
-        inputElement.classList.add("editing");
+        // Timestamp
+        const now = new Date();
+        const timeString = now.toLocaleTimeString('en-US', { 
+            hour: 'numeric', 
+            minute: '2-digit',
+            hour12: true 
+        });
+        const isReport = validDepartments.length > 1;
         
-        // Clear previous validation timeout
-        if (validationTimeout) {
-            clearTimeout(validationTimeout);
+        if (isReport) {
+            writeReportCoverToPDF(doc, validDepartments, now.toLocaleString('en-US', {
+                dateStyle: 'medium',
+                timeStyle: 'short'
+            }));
         }
         
-        // Debounced validation
-        validationTimeout = setTimeout(() => {
-            const validation = validateTaskText(value);
-            
-            if (validation.isValid) {
-                inputElement.classList.remove("invalid");
-                inputElement.classList.remove("editing");
-                validationMessage.classList.remove("show");
-                validationMessage.textContent = "";
-                
-                // Update data structure (preserves completion state)
-                updateTaskTextInData(department, index, value);
-            } else {
-                inputElement.classList.add("invalid");
-                inputElement.classList.remove("editing");
-                validationMessage.textContent = validation.error;
-                validationMessage.classList.add("show");
+        validDepartments.forEach((department, index) => {
+            // Each report section starts on its own page
+            if (isReport || index > 0) {
+                doc.addPage();
             }
-        }, VALIDATION_DEBOUNCE_DELAY);
+            const subtitle = isReport
+                ? formatProgress(calculateProgress([department]))
+                : `Status as of ${timeString}`;
+            writeDepartmentToPDF(doc, department, subtitle, options);
+        });
         
-        // Update data immediately (even if invalid, for real-time editing)
-        updateTaskTextInData(department, index, value);
-    });
-    
-    // Validate on blur
-    inputElement.addEventListener("blur", () => {
-        inputElement.classList.remove("editing");
-        autoResize();
+        doc.addPage();
+        writeSignOffAuditToPDF(doc, validDepartments);
         
-        // Clear any pending validation timeout and validate immediately
-        if (validationTimeout) {
-            clearTimeout(validationTimeout);
-        }
+        // Generate filename with timestamp
+        const dateStr = now.toISOString().split('T')[0];
+        const filename = isReport
+            ? `Brief2Check_Report_${dateStr}.pdf`
+            : `${validDepartments[0]}_Checklist_${dateStr}.pdf`;
         
-        const validation = validateTaskText(inputElement.value);
-        if (!validation.isValid) {
-            inputElement.classList.add("invalid");
-            validationMessage.textContent = validation.error;
-            validationMessage.classList.add("show");
+        // Download PDF
+        doc.save(filename);
+        
+        console.log(`PDF exported successfully: ${filename}`);
+    } catch (error) {
+        console.error('Error generating PDF:', error);
+        const errorMsg = error.message || 'Unknown error';
+        if (errorMsg.includes('failed to load')) {
+            showError('PDF library is still loading. Please wait a moment and try again.');
         } else {
-            inputElement.classList.remove("invalid");
-            validationMessage.classList.remove("show");
-            validationMessage.textContent = "";
+            showError(`Failed to generate PDF: ${errorMsg}`);
+        }
+    }
+}
+
+/**
+ * Normalizes task text for duplicate comparison
+ * @param {string} text - Task text
+ * @returns {string} - Lowercased text with punctuation and extra whitespace removed
+ */
+function normalizeTaskText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Calculates word-overlap similarity between two task texts (Jaccard index)
+ * @param {string} a - First task text
+ * @param {string} b - Second task text
+ * @returns {number} - Similarity between 0 and 1
+ */
+function calculateTextSimilarity(a, b) {
+    const normalizedA = normalizeTaskText(a);
+    const normalizedB = normalizeTaskText(b);
+    if (normalizedA === normalizedB) {
+        return 1;
+    }
+
+    const wordsA = new Set(normalizedA.split(' ').filter(Boolean));
+    const wordsB = new Set(normalizedB.split(' ').filter(Boolean));
+    if (wordsA.size === 0 || wordsB.size === 0) {
+        return 0;
+    }
+
+    let shared = 0;
+    wordsA.forEach(word => {
+        if (wordsB.has(word)) {
+            shared++;
+        }
+    });
+
+    return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Finds an existing task that duplicates the given text
+ * @param {string} text - Candidate task text
+ * @param {Array<object>} candidates - Tasks to compare against ({text, department})
+ * @returns {object|null} - The best matching candidate, or null if none is similar enough
+ */
+function findDuplicateTask(text, candidates) {
+    let bestMatch = null;
+    let bestScore = 0;
+
+    candidates.forEach(candidate => {
+        const score = calculateTextSimilarity(text, candidate.text);
+        if (score >= DUPLICATE_SIMILARITY_THRESHOLD && score > bestScore) {
+            bestMatch = candidate;
+            bestScore = score;
+        }
+    });
+
+    return bestMatch;
+}
+
+/**
+ * Compares a freshly parsed brief against the current checklist
+ * @param {object} existingData - Current department-grouped task objects
+ * @param {object} incomingData - Newly parsed department-grouped task objects
+ * @returns {object} - Per-department plan: { [department]: { added: [task], duplicates: [{task, match}] } }
+ */
+function buildMergePlan(existingData, incomingData) {
+    const candidates = [];
+    for (const department in existingData) {
+        (existingData[department] || []).forEach(task => {
+            candidates.push({ text: task.text, department });
+        });
+    }
+
+    const plan = {};
+    for (const department in incomingData) {
+        plan[department] = { added: [], duplicates: [] };
+
+        (incomingData[department] || []).forEach(task => {
+            const match = findDuplicateTask(task.text, candidates);
+            if (match) {
+                plan[department].duplicates.push({ task, match });
+            } else {
+                plan[department].added.push(task);
+                // Also catch duplicates within the follow-up brief itself
+                candidates.push({ text: task.text, department });
+            }
+        });
+    }
+
+    return plan;
+}
+
+/**
+ * Appends the accepted new tasks to the current checklist, keeping existing tasks and completion states.
+ * Approved departments are locked, so their new tasks are left out.
+ * @param {object} plan - Merge plan from buildMergePlan
+ * @param {Set<object>} acceptedTasks - Tasks from plan.added the user chose to keep
+ * @param {number} sourceOffset - Position of the follow-up brief within the combined brief text
+ * @returns {Array<string>} - Approved departments whose accepted tasks were left out
+ */
+function applyMergePlan(plan, acceptedTasks, sourceOffset) {
+    if (!currentData) {
+        currentData = {};
+    }
+
+    const skippedDepartments = [];
+    for (const department in plan) {
+        const newTasks = plan[department].added.filter(task => acceptedTasks.has(task));
+        if (isDepartmentLocked(department)) {
+            if (newTasks.length > 0) {
+                skippedDepartments.push(department);
+            }
+            continue;
+        }
+        if (!Array.isArray(currentData[department])) {
+            currentData[department] = [];
+        }
+        newTasks.forEach(task => {
+            const source = task.source
+                ? { ...task.source, start: task.source.start + sourceOffset, end: task.source.end + sourceOffset }
+                : task.source;
+            currentData[department].push({ ...task, source, completed: false });
+        });
+    }
+
+    return skippedDepartments;
+}
+
+/**
+ * Shows the merge review modal listing new and duplicate tasks from a follow-up brief
+ * @param {object} plan - Merge plan from buildMergePlan
+ * @param {Function} onAccept - Called with the Set of accepted tasks when the user confirms
+ */
+function showMergeReviewModal(plan, onAccept) {
+    // Remove any existing modal
+    const existingModal = document.getElementById('mergeReviewModal');
+    if (existingModal) {
+        document.body.removeChild(existingModal);
+    }
+
+    const overlay = document.createElement('div');
+    overlay.id = 'mergeReviewModal';
+    overlay.className = 'modal-overlay';
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+
+    const header = document.createElement('div');
+    header.className = 'modal-header';
+
+    const title = document.createElement('h3');
+    title.className = 'modal-title';
+    title.textContent = 'Review new tasks';
+
+    const content = document.createElement('div');
+    content.className = 'modal-content';
+
+    const acceptedTasks = new Set();
+    let addedCount = 0;
+    let duplicateCount = 0;
+
+    for (const department in plan) {
+        const { added, duplicates } = plan[department];
+        if (added.length === 0 && duplicates.length === 0) {
+            continue;
+        }
+
+        const departmentHeader = document.createElement('h4');
+        departmentHeader.className = 'department-header';
+        departmentHeader.textContent = department;
+        content.appendChild(departmentHeader);
+
+        added.forEach(task => {
+            addedCount++;
+            acceptedTasks.add(task);
+
+            const row = document.createElement('label');
+            row.className = 'merge-task merge-task-new';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'task-checkbox';
+            checkbox.checked = true;
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    acceptedTasks.add(task);
+                } else {
+                    acceptedTasks.delete(task);
+                }
+                acceptButton.disabled = acceptedTasks.size === 0;
+            });
+
+            const text = document.createElement('span');
+            text.textContent = task.text;
+
+            const badge = document.createElement('span');
+            badge.className = 'merge-badge';
+            badge.textContent = 'New';
+
+            row.appendChild(checkbox);
+            row.appendChild(text);
+            row.appendChild(badge);
+            content.appendChild(row);
+        });
+
+        duplicates.forEach(({ task, match }) => {
+            duplicateCount++;
+
+            const row = document.createElement('div');
+            row.className = 'merge-task merge-task-duplicate';
+            row.title = `Matches "${match.text}" in ${match.department}`;
+
+            const text = document.createElement('span');
+            text.textContent = task.text;
+
+            const badge = document.createElement('span');
+            badge.className = 'merge-badge';
+            badge.textContent = 'Duplicate';
+
+            row.appendChild(text);
+            row.appendChild(badge);
+            content.appendChild(row);
+        });
+    }
+
+    const summary = document.createElement('p');
+    summary.className = 'modal-summary';
+    summary.textContent = `${addedCount} new task${addedCount === 1 ? '' : 's'}, ${duplicateCount} duplicate${duplicateCount === 1 ? '' : 's'} skipped.`;
+    content.insertBefore(summary, content.firstChild);
+
+    const footer = document.createElement('div');
+    footer.className = 'modal-footer';
+
+    const acceptButton = document.createElement('button');
+    acceptButton.textContent = 'Add to checklist';
+    acceptButton.disabled = addedCount === 0;
+
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = 'Cancel';
+    cancelButton.className = 'secondary-button';
+
+    const escapeHandler = (e) => {
+        if (e.key === 'Escape') {
+            closeModal();
+        }
+    };
+
+    const closeModal = () => {
+        document.removeEventListener('keydown', escapeHandler);
+        if (overlay.parentNode) {
+            document.body.removeChild(overlay);
         }
+    };
+
+    acceptButton.addEventListener('click', () => {
+        closeModal();
+        onAccept(acceptedTasks);
     });
-    
-    // Focus event
-    inputElement.addEventListener("focus", () => {
-        inputElement.classList.add("editing");
-        autoResize();
+    cancelButton.addEventListener('click', closeModal);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+            closeModal();
+        }
     });
-    
-    // Initial validation
-    const initialValidation = validateTaskText(taskObj.text);
-    if (!initialValidation.isValid && taskObj.text.trim().length > 0) {
-        inputElement.classList.add("invalid");
-        validationMessage.textContent = initialValidation.error;
-        validationMessage.classList.add("show");
-    }
-    
-    // Initial auto-resize
-    setTimeout(autoResize, 0);
-    
-    textWrapper.appendChild(inputElement);
-    textWrapper.appendChild(taskActions);
-    
-    taskItem.appendChild(checkboxWrapper);
-    taskItem.appendChild(textWrapper);
-    taskItem.appendChild(validationMessage);
-    
-    return taskItem;
+    document.addEventListener('keydown', escapeHandler);
+
+    header.appendChild(title);
+    footer.appendChild(acceptButton);
+    footer.appendChild(cancelButton);
+    modal.appendChild(header);
+    modal.appendChild(content);
+    modal.appendChild(footer);
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
 }
 
-// Function to render department groups with editable tasks
-function renderDepartmentGroups(data) {
-    const departmentGroups = document.getElementById("departmentGroups");
-    departmentGroups.innerHTML = "";
+/**
+ * Gets the 1-based line number of a character offset in a text
+ * @param {string} text - Text
+ * @param {number} offset - Character offset
+ * @returns {number} - Line number
+ */
+function getLineNumber(text, offset) {
+    return text.slice(0, offset).split('\n').length;
+}
 
-    if (!data || Object.keys(data).length === 0) {
-        departmentGroups.innerHTML = '<div class="empty-state">No tasks found. Try parsing your instructions again.</div>';
-        return;
+/**
+ * Parses the details suffix of a Markdown task, as written by formatTaskDetails
+ * @param {string} detailsText - Details separated by " · "
+ * @returns {object} - Task details, with an error description if a detail is not recognized
+ */
+function parseMarkdownTaskDetails(detailsText) {
+    const details = {};
+    for (const part of detailsText.split(' · ').map(item => item.trim()).filter(Boolean)) {
+        let match;
+        if ((match = part.match(/^Owner:\s*(.+)$/i))) {
+            details.assignee = match[1];
+        } else if ((match = part.match(/^Due:\s*(.+)$/i))) {
+            details.dueDate = match[1];
+        } else if ((match = part.match(/^Priority:\s*(.+)$/i))) {
+            details.priority = match[1].toLowerCase();
+        } else if ((match = part.match(/^Page\s+(\d+)$/i))) {
+            details.page = parseInt(match[1], 10);
+        } else if (/^#\S+(\s+#\S+)*$/.test(part)) {
+            details.tags = part.split(/\s+/).map(tag => tag.slice(1));
+        } else {
+            return { error: `unrecognized task detail "${part}"` };
+        }
     }
+    return details;
+}
 
-    // Ensure data structure is valid
-    validateDataStructure();
+/**
+ * Parses a Markdown task list (as exported by the panel) into department-grouped tasks
+ * "## Department" headings start a department; a lone "# Department" heading is used when there are none
+ * @param {string} text - Markdown text
+ * @returns {object} - { data, errors } where errors are per-line messages
+ */
+function parseMarkdownChecklist(text) {
+    const lines = text.split(/\r?\n/);
+    const hasSubheadings = lines.some(line => /^##\s+\S/.test(line));
+    const data = {};
+    const errors = [];
+    let department = null;
 
-    // Department order (can be customized)
-    const departmentOrder = ["Marketing", "Product", "Legal", "Brand", "Other"];
-    const departments = Object.keys(data).sort((a, b) => {
-        const aIndex = departmentOrder.indexOf(a);
-        const bIndex = departmentOrder.indexOf(b);
-        if (aIndex === -1 && bIndex === -1) return a.localeCompare(b);
-        if (aIndex === -1) return 1;
-        if (bIndex === -1) return -1;
-        return aIndex - bIndex;
-    });
+    lines.forEach((line, index) => {
+        const lineNumber = index + 1;
+        const trimmed = line.trim();
+        const heading = trimmed.match(/^(#{1,6})\s+(.+?)\s*#*$/);
 
-    departments.forEach(department => {
-        const tasks = data[department];
-        
-        // Show department even if empty (allow adding tasks)
-        const departmentGroup = document.createElement("div");
-        departmentGroup.className = "department-group";
+        if (heading) {
+            // Department headings are "##" in reports and "#" in single-department exports
+            if (heading[1].length === (hasSubheadings ? 2 : 1)) {
+                department = heading[2];
+                data[department] = data[department] || [];
+            }
+            return;
+        }
 
-        const header = document.createElement("h3");
-        header.className = "department-header";
-        header.textContent = department;
-        departmentGroup.appendChild(header);
+        if (!/^[-*+]\s/.test(trimmed)) {
+            // Status, summary and progress lines carry no tasks
+            return;
+        }
 
-        const tasksList = document.createElement("div");
-        tasksList.className = "tasks-list";
+        const item = trimmed.match(/^[-*+]\s+\[([ xX])\]\s*(.*)$/);
+        if (!item) {
+            errors.push(`Line ${lineNumber}: expected a task-list item like "- [ ] Task" or "- [x] Task"`);
+            return;
+        }
+        if (!department) {
+            errors.push(`Line ${lineNumber}: task appears before any department heading`);
+            return;
+        }
 
-        // Render existing tasks
-        if (tasks && Array.isArray(tasks) && tasks.length > 0) {
-            tasks.forEach((task, index) => {
-                const taskElement = createTaskElement(department, index, task);
-                tasksList.appendChild(taskElement);
-            });
+        let taskText = item[2].trim();
+        let details = {};
+        const detailsMatch = taskText.match(/^(.*?)\s*_\((.+)\)_$/);
+        if (detailsMatch) {
+            taskText = detailsMatch[1];
+            details = parseMarkdownTaskDetails(detailsMatch[2]);
+            if (details.error) {
+                errors.push(`Line ${lineNumber}: ${details.error}`);
+                return;
+            }
+        }
+        if (!taskText) {
+            errors.push(`Line ${lineNumber}: task text is empty`);
+            return;
         }
 
-        // Add task control (compact inline)
-        const addTaskControl = document.createElement("div");
-        addTaskControl.className = "add-task-control";
-        
-        const addTaskIcon = document.createElement("span");
-        addTaskIcon.className = "add-task-icon";
-        addTaskIcon.textContent = "＋";
-        
-        const addTaskLabel = document.createElement("span");
-        addTaskLabel.className = "add-task-label";
-        addTaskLabel.textContent = "Add task";
-        
-        addTaskControl.appendChild(addTaskIcon);
-        addTaskControl.appendChild(addTaskLabel);
-        
-        addTaskControl.addEventListener("click", () => {
-            addTask(department);
-        });
-        
-        tasksList.appendChild(addTaskControl);
-        departmentGroup.appendChild(tasksList);
-        departmentGroups.appendChild(departmentGroup);
+        const task = { text: taskText, completed: item[1] !== ' ', ...details };
+        const fieldError = validateTaskFields(task);
+        if (fieldError) {
+            errors.push(`Line ${lineNumber}: task ${fieldError}`);
+            return;
+        }
+        data[department].push(task);
     });
-    
-    // Update progress indicator after rendering
-    updateProgressIndicator();
-    
-    // Update export section visibility and department options
-    updateExportSection();
+
+    if (errors.length === 0 && Object.keys(data).length === 0) {
+        errors.push('No department headings or tasks found');
+    }
+
+    return { data, errors };
 }
 
 /**
- * Updates the export section visibility and populates department dropdown
+ * Parses an exported checklist (canonical JSON or Markdown task list) so work can be resumed
+ * @param {string} text - Imported file contents or pasted text
+ * @returns {object} - { data, brief, errors } where data is null if there are errors
  */
-function updateExportSection() {
-    const exportSection = document.getElementById('exportSection');
-    const departmentSelect = document.getElementById('departmentSelect');
-    
-    if (!exportSection || !departmentSelect) return;
-    
-    // Show export section if there's data
-    if (currentData && Object.keys(currentData).length > 0) {
-        exportSection.style.display = 'flex';
-        
-        // Clear existing options except the first one
-        departmentSelect.innerHTML = '<option value="">Select department...</option>';
-        
-        // Add departments that have tasks
-        const departmentOrder = ["Marketing", "Product", "Legal", "Brand", "Other"];
-        const departments = Object.keys(currentData).sort((a, b) => {
-            const aIndex = departmentOrder.indexOf(a);
-            const bIndex = departmentOrder.indexOf(b);
-            if (aIndex === -1 && bIndex === -1) return a.localeCompare(b);
-            if (aIndex === -1) return 1;
-            if (bIndex === -1) return -1;
-            return aIndex - bIndex;
-        });
-        
-        departments.forEach(dept => {
-            if (currentData[dept] && Array.isArray(currentData[dept]) && currentData[dept].length > 0) {
-                const option = document.createElement('option');
-                option.value = dept;
-                option.textContent = dept;
-                departmentSelect.appendChild(option);
+function parseChecklistImport(text) {
+    const trimmed = text.trim();
+    if (!trimmed) {
+        return { data: null, brief: '', errors: ['Nothing to import'] };
+    }
+
+    let departments;
+    let brief = '';
+
+    if (trimmed.startsWith('{')) {
+        let parsed;
+        try {
+            parsed = JSON.parse(trimmed);
+        } catch (parseError) {
+            const position = parseError.message.match(/position (\d+)/);
+            const location = position ? `Line ${getLineNumber(trimmed, parseInt(position[1], 10))}: ` : '';
+            return { data: null, brief: '', errors: [`${location}invalid JSON (${parseError.message})`] };
+        }
+
+        // Canonical exports wrap the departments; a bare department map is accepted too
+        if (parsed && parsed.format === 'brief2check') {
+            if (parsed.version !== 1) {
+                return { data: null, brief: '', errors: [`Unsupported export version ${parsed.version}`] };
             }
-        });
-        
-        // Reset selection
-        departmentSelect.value = '';
-        updateExportButtonState();
+            departments = parsed.departments;
+            brief = typeof parsed.brief === 'string' ? parsed.brief : '';
+        } else {
+            departments = parsed;
+        }
     } else {
-        exportSection.style.display = 'none';
+        const markdown = parseMarkdownChecklist(trimmed);
+        if (markdown.errors.length > 0) {
+            return { data: null, brief: '', errors: markdown.errors };
+        }
+        departments = markdown.data;
     }
-}
 
-/**
- * Updates the export button enabled/disabled state
- */
-function updateExportButtonState() {
-    const exportButton = document.getElementById('exportButton');
-    const departmentSelect = document.getElementById('departmentSelect');
-    
-    if (exportButton && departmentSelect) {
-        exportButton.disabled = !departmentSelect.value;
+    try {
+        return { data: convertTasksToObjects(parseAndValidateJson(departments)), brief, errors: [] };
+    } catch (error) {
+        return { data: null, brief: '', errors: [error.message] };
     }
 }
 
 /**
- * Generates export text for a specific department
- * @param {string} department - Department name
- * @returns {string} - Formatted export text
+ * Shows the import modal for loading an exported checklist from a file or pasted text
+ * @param {Function} onImport - Called with { data, brief } once the input is valid
  */
-function generateExportText(department) {
-    if (!currentData || !currentData[department] || !Array.isArray(currentData[department])) {
-        return '';
-    }
-    
-    const tasks = currentData[department];
-    if (tasks.length === 0) {
-        return '';
+function showImportModal(onImport) {
+    // Remove any existing modal
+    const existingModal = document.getElementById('importModal');
+    if (existingModal) {
+        document.body.removeChild(existingModal);
     }
-    
-    // Get current timestamp
-    const now = new Date();
-    const timeString = now.toLocaleTimeString('en-US', { 
-        hour: 'numeric', 
-        minute: '2-digit',
-        hour12: true 
+
+    const overlay = document.createElement('div');
+    overlay.id = 'importModal';
+    overlay.className = 'modal-overlay';
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+
+    const header = document.createElement('div');
+    header.className = 'modal-header';
+
+    const title = document.createElement('h3');
+    title.className = 'modal-title';
+    title.textContent = 'Import checklist';
+
+    const content = document.createElement('div');
+    content.className = 'modal-content';
+
+    const summary = document.createElement('p');
+    summary.className = 'modal-summary';
+    summary.textContent = currentData
+        ? 'Choose or paste a JSON or Markdown export. It replaces the current checklist.'
+        : 'Choose or paste a JSON or Markdown export.';
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,.md,.markdown,.txt,application/json,text/markdown,text/plain';
+    fileInput.className = 'import-file-input';
+
+    const textInput = document.createElement('textarea');
+    textInput.className = 'import-textarea';
+    textInput.placeholder = '- [ ] Task…';
+    textInput.setAttribute('aria-label', 'Checklist to import');
+
+    const errorList = document.createElement('ul');
+    errorList.className = 'import-errors';
+
+    const footer = document.createElement('div');
+    footer.className = 'modal-footer';
+
+    const importButton = document.createElement('button');
+    importButton.textContent = 'Import';
+    importButton.disabled = true;
+
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = 'Cancel';
+    cancelButton.className = 'secondary-button';
+
+    const showImportErrors = (errors) => {
+        errorList.innerHTML = '';
+        errors.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            errorList.appendChild(item);
+        });
+    };
+
+    const escapeHandler = (e) => {
+        if (e.key === 'Escape') {
+            closeModal();
+        }
+    };
+
+    const closeModal = () => {
+        document.removeEventListener('keydown', escapeHandler);
+        if (overlay.parentNode) {
+            document.body.removeChild(overlay);
+        }
+    };
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) {
+            return;
+        }
+        try {
+            textInput.value = await file.text();
+            showImportErrors([]);
+        } catch (error) {
+            showImportErrors([`Could not read ${file.name}: ${error.message}`]);
+        }
+        importButton.disabled = !textInput.value.trim();
     });
-    
-    // Build export text
-    let exportText = `${department}\n`;
-    exportText += `Status as of ${timeString}\n\n`;
-    
-    tasks.forEach((task, index) => {
-        const taskObj = typeof task === 'object' && task !== null && 'text' in task
-            ? task
-            : { text: typeof task === 'string' ? task : String(task), completed: false };
-        
-        const status = taskObj.completed === true ? '✔️ Completed' : '⏳ In progress';
-        exportText += `${index + 1}. ${taskObj.text}\n`;
-        exportText += `   Status: ${status}\n\n`;
+    textInput.addEventListener('input', () => {
+        importButton.disabled = !textInput.value.trim();
+    });
+    importButton.addEventListener('click', () => {
+        const result = parseChecklistImport(textInput.value);
+        if (result.errors.length > 0) {
+            showImportErrors(result.errors);
+            return;
+        }
+        closeModal();
+        onImport({ data: result.data, brief: result.brief });
     });
-    
-    return exportText.trim();
-}
+    cancelButton.addEventListener('click', closeModal);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+            closeModal();
+        }
+    });
+    document.addEventListener('keydown', escapeHandler);
 
-/**
- * Fallback copy to clipboard method for restricted environments
- * @param {string} text - Text to copy
- * @returns {boolean} - True if successful
- */
-function fallbackCopyToClipboard(text) {
-    const textArea = document.createElement('textarea');
-    textArea.value = text;
-    textArea.style.position = 'fixed';
-    textArea.style.left = '-999999px';
-    textArea.style.top = '-999999px';
-    document.body.appendChild(textArea);
-    textArea.focus();
-    textArea.select();
-    
-    try {
-        const successful = document.execCommand('copy');
-        document.body.removeChild(textArea);
-        return successful;
-    } catch (err) {
-        document.body.removeChild(textArea);
-        return false;
-    }
+    header.appendChild(title);
+    content.appendChild(summary);
+    content.appendChild(fileInput);
+    content.appendChild(textInput);
+    content.appendChild(errorList);
+    footer.appendChild(importButton);
+    footer.appendChild(cancelButton);
+    modal.appendChild(header);
+    modal.appendChild(content);
+    modal.appendChild(footer);
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
 }
 
 /**
- * Shows export preview modal with checklist status
+ * Applies department renames to the current checklist and adds empty groups for new departments
+ * @param {object} renames - Map of old department name to new department name
  */
-function exportChecklistStatus() {
-    const departmentSelect = document.getElementById('departmentSelect');
-    if (!departmentSelect || !departmentSelect.value) {
+function applyDepartmentChanges(renames) {
+    if (!currentData) {
         return;
     }
-    
-    const department = departmentSelect.value;
-    const exportText = generateExportText(department);
-    
-    if (!exportText) {
-        showError('No tasks found for this department.');
-        return;
+
+    const updated = {};
+    for (const department in currentData) {
+        const name = renames[department] || department;
+        updated[name] = (updated[name] || []).concat(currentData[department]);
     }
-    
-    // Show preview modal
-    showExportPreviewModal(department, exportText);
-}
 
-/**
- * Copies text to clipboard with fallback methods
- * @param {string} text - Text to copy
- * @returns {Promise<boolean>} - True if successful
- */
-async function copyToClipboardWithFallback(text) {
-    // Try modern Clipboard API first
-    if (navigator.clipboard && navigator.clipboard.writeText) {
-        try {
-            await navigator.clipboard.writeText(text);
-            return true;
-        } catch (error) {
-            console.log('Clipboard API failed, trying fallback:', error);
+    // Sign-offs follow their department to its new name
+    const signOffs = {};
+    for (const department in currentSignOffs) {
+        const name = renames[department] || department;
+        if (!signOffs[name]) {
+            signOffs[name] = currentSignOffs[department];
         }
     }
-    
-    // Use fallback method if Clipboard API failed or unavailable
-    return fallbackCopyToClipboard(text);
+    currentSignOffs = signOffs;
+
+    // Tasks of deleted departments are kept; new departments start empty
+    departmentConfig.forEach(department => {
+        if (!updated[department.name]) {
+            updated[department.name] = [];
+        }
+    });
+
+    currentData = updated;
+    // Recorded edits refer to the old department names
+    clearHistory();
+    renderDepartmentGroups(currentData);
+    scheduleSave();
 }
 
 /**
- * Shows export preview modal with checklist status
- * @param {string} department - Department name
- * @param {string} exportText - Generated export text
+ * Shows the department settings modal for adding, renaming, reordering, recoloring and deleting departments
  */
-function showExportPreviewModal(department, exportText) {
+function showDepartmentSettingsModal() {
     // Remove any existing modal
-    const existingModal = document.getElementById('exportPreviewModal');
+    const existingModal = document.getElementById('departmentSettingsModal');
     if (existingModal) {
         document.body.removeChild(existingModal);
     }
-    
-    // Create modal overlay
+
+    // Working copy, remembering each department's saved name to detect renames
+    const draft = departmentConfig.map(department => ({ ...department, originalName: department.name }));
+
     const overlay = document.createElement('div');
-    overlay.id = 'exportPreviewModal';
-    overlay.style.cssText = `
-        position: fixed;
-        top: 0;
-        left: 0;
-        right: 0;
-        bottom: 0;
-        background: rgba(0, 0, 0, 0.5);
-        z-index: 10000;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        padding: 20px;
-    `;
-    
-    // Create modal content with fixed header, scrollable content, and fixed footer
+    overlay.id = 'departmentSettingsModal';
+    overlay.className = 'modal-overlay';
+
     const modal = document.createElement('div');
-    modal.style.cssText = `
-        background: white;
-        border-radius: 8px;
-        max-width: 600px;
-        max-height: 80vh;
-        width: 100%;
-        display: flex;
-        flex-direction: column;
-        box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
-        overflow: hidden;
-    `;
-    
-    // Header (fixed)
+    modal.className = 'modal';
+
     const header = document.createElement('div');
-    header.style.cssText = `
-        display: flex;
-        justify-content: space-between;
-        align-items: center;
-        padding: 20px;
-        border-bottom: 1px solid #e0e0e0;
-        flex-shrink: 0;
-        background: white;
-    `;
-    
+    header.className = 'modal-header';
+
     const title = document.createElement('h3');
-    title.textContent = department;
-    title.style.cssText = 'margin: 0; font-size: 16px; font-weight: 600; color: rgb(82, 88, 228);';
-    
-    const closeButton = document.createElement('button');
-    closeButton.textContent = '×';
-    closeButton.setAttribute('aria-label', 'Close');
-    closeButton.style.cssText = `
-        background: none;
-        border: none;
-        font-size: 24px;
-        cursor: pointer;
-        color: #666;
-        padding: 0;
-        width: 30px;
-        height: 30px;
-        line-height: 1;
-        transition: color 0.2s;
-    `;
-    closeButton.addEventListener('mouseenter', () => {
-        closeButton.style.color = '#333';
-    });
-    closeButton.addEventListener('mouseleave', () => {
-        closeButton.style.color = '#666';
-    });
-    
-    // Scrollable content area
-    const contentWrapper = document.createElement('div');
-    contentWrapper.style.cssText = `
-        flex: 1;
-        overflow-y: auto;
-        padding: 20px;
-        min-height: 0;
-    `;
-    
-    // Preview content (read-only textarea)
-    const preview = document.createElement('textarea');
-    preview.value = exportText;
-    preview.readOnly = true;
-    preview.style.cssText = `
-        width: 100%;
-        min-height: 200px;
-        padding: 12px;
-        border: 1px solid #ddd;
-        border-radius: 4px;
-        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-        font-size: 13px;
-        line-height: 1.6;
-        box-sizing: border-box;
-        background-color: #f8f9fa;
-        color: #333;
-        resize: none;
-    `;
-    
-    // Footer (fixed, always visible)
-    const footer = document.createElement('div');
-    footer.style.cssText = `
-        display: flex;
-        gap: 8px;
-        justify-content: flex-end;
-        padding: 16px 20px;
-        border-top: 1px solid #e0e0e0;
-        flex-shrink: 0;
-        background: white;
-    `;
-    
-    const exportPdfButton = document.createElement('button');
-    exportPdfButton.textContent = 'Export to PDF';
-    exportPdfButton.style.cssText = `
-        background-color: rgb(82, 88, 228);
-        border-color: rgb(82, 88, 228);
-        color: rgb(255, 255, 255);
-        font-size: 13px;
-        padding: 8px 16px;
-        height: auto;
-        min-height: 36px;
-        border-radius: 8px;
-        border-style: solid;
-        font-weight: 600;
-        cursor: pointer;
-        transition: background-color 0.2s;
-    `;
-    exportPdfButton.addEventListener('mouseenter', () => {
-        exportPdfButton.style.backgroundColor = 'rgb(64, 70, 202)';
-    });
-    exportPdfButton.addEventListener('mouseleave', () => {
-        exportPdfButton.style.backgroundColor = 'rgb(82, 88, 228)';
-    });
-    
-    const closeBtn = document.createElement('button');
-    closeBtn.textContent = 'Close';
-    closeBtn.className = 'secondary-button';
-    closeBtn.style.cssText = `
-        font-size: 13px;
-        padding: 8px 16px;
-        height: auto;
-        min-height: 36px;
-    `;
-    
-    // Export to PDF button handler
-    exportPdfButton.addEventListener('click', () => {
-        exportToPDF(department, exportText);
-    });
-    
-    // Close handlers
-    const closeModal = () => {
-        document.body.removeChild(overlay);
+    title.className = 'modal-title';
+    title.textContent = 'Departments';
+
+    const content = document.createElement('div');
+    content.className = 'modal-content';
+
+    const hint = document.createElement('p');
+    hint.className = 'modal-summary';
+    hint.textContent = 'Descriptions tell the parser which tasks belong to each department.';
+
+    const rowsContainer = document.createElement('div');
+    rowsContainer.className = 'department-settings-list';
+
+    const errorText = document.createElement('div');
+    errorText.className = 'validation-message';
+
+    const renderRows = () => {
+        rowsContainer.innerHTML = '';
+
+        draft.forEach((department, index) => {
+            const row = document.createElement('div');
+            row.className = 'department-settings-row';
+
+            const colorInput = document.createElement('input');
+            colorInput.type = 'color';
+            colorInput.className = 'department-color-input';
+            colorInput.value = department.color || '#5258e4';
+            colorInput.setAttribute('aria-label', 'Department color');
+            colorInput.addEventListener('input', () => {
+                department.color = colorInput.value;
+            });
+
+            const fields = document.createElement('div');
+            fields.className = 'department-settings-fields';
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.className = 'department-settings-name';
+            nameInput.value = department.name;
+            nameInput.placeholder = 'Department name';
+            nameInput.addEventListener('input', () => {
+                department.name = nameInput.value;
+            });
+
+            const descriptionInput = document.createElement('textarea');
+            descriptionInput.className = 'department-settings-description';
+            descriptionInput.value = department.description || '';
+            descriptionInput.placeholder = 'Which tasks belong here?';
+            descriptionInput.rows = 2;
+            descriptionInput.addEventListener('input', () => {
+                department.description = descriptionInput.value;
+            });
+
+            fields.appendChild(nameInput);
+            fields.appendChild(descriptionInput);
+
+            const actions = document.createElement('div');
+            actions.className = 'department-settings-actions';
+
+            const addAction = (label, ariaLabel, disabled, onClick) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'icon-button';
+                button.textContent = label;
+                button.disabled = disabled;
+                button.setAttribute('aria-label', ariaLabel);
+                button.addEventListener('click', () => {
+                    onClick();
+                    renderRows();
+                });
+                actions.appendChild(button);
+            };
+
+            addAction('↑', `Move ${department.name} up`, index === 0, () => {
+                draft.splice(index - 1, 0, draft.splice(index, 1)[0]);
+            });
+            addAction('↓', `Move ${department.name} down`, index === draft.length - 1, () => {
+                draft.splice(index + 1, 0, draft.splice(index, 1)[0]);
+            });
+            addAction('×', `Delete ${department.name}`, draft.length === 1, () => {
+                draft.splice(index, 1);
+            });
+
+            row.appendChild(colorInput);
+            row.appendChild(fields);
+            row.appendChild(actions);
+            rowsContainer.appendChild(row);
+        });
     };
-    
-    closeButton.addEventListener('click', closeModal);
-    closeBtn.addEventListener('click', closeModal);
-    overlay.addEventListener('click', (e) => {
-        if (e.target === overlay) {
-            closeModal();
-        }
+
+    const addDepartmentControl = document.createElement('div');
+    addDepartmentControl.className = 'add-task-control';
+    addDepartmentControl.textContent = '＋ Add department';
+    addDepartmentControl.addEventListener('click', () => {
+        draft.push({ name: '', description: '', color: '#5258e4', originalName: null });
+        renderRows();
+        const nameInputs = rowsContainer.querySelectorAll('.department-settings-name');
+        nameInputs[nameInputs.length - 1].focus();
     });
-    
-    // Close on Escape key
+
+    const footer = document.createElement('div');
+    footer.className = 'modal-footer';
+
+    const saveButton = document.createElement('button');
+    saveButton.textContent = 'Save';
+
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = 'Cancel';
+    cancelButton.className = 'secondary-button';
+
     const escapeHandler = (e) => {
         if (e.key === 'Escape') {
             closeModal();
-            document.removeEventListener('keydown', escapeHandler);
         }
     };
-    document.addEventListener('keydown', escapeHandler);
-    
-    // Assemble modal
-    header.appendChild(title);
-    header.appendChild(closeButton);
-    contentWrapper.appendChild(preview);
-    footer.appendChild(exportPdfButton);
-    footer.appendChild(closeBtn);
-    
-    modal.appendChild(header);
-    modal.appendChild(contentWrapper);
-    modal.appendChild(footer);
-    overlay.appendChild(modal);
-    document.body.appendChild(overlay);
-    
-    // Focus preview for easy selection
-    setTimeout(() => {
-        preview.focus();
-    }, 100);
-}
 
-/**
- * Gets the jsPDF constructor, waiting for it to load if necessary
- * @returns {Promise<Function>} - The jsPDF constructor
- */
-function getJsPDF() {
-    return new Promise((resolve, reject) => {
-        // Check if already available
-        let jsPDF;
-        if (window.jspdf && window.jspdf.jsPDF) {
-            jsPDF = window.jspdf.jsPDF;
-        } else if (window.jsPDF) {
-            jsPDF = window.jsPDF;
-        } else if (window.jspdf && typeof window.jspdf === 'function') {
-            jsPDF = window.jspdf;
+    const closeModal = () => {
+        document.removeEventListener('keydown', escapeHandler);
+        if (overlay.parentNode) {
+            document.body.removeChild(overlay);
         }
-        
-        if (jsPDF) {
-            resolve(jsPDF);
+    };
+
+    const showSettingsError = (message) => {
+        errorText.textContent = message;
+        errorText.classList.add('show');
+    };
+
+    saveButton.addEventListener('click', async () => {
+        const names = draft.map(department => department.name.trim());
+        if (names.some(name => !name)) {
+            showSettingsError('Every department needs a name.');
+            return;
+        }
+        if (new Set(names.map(name => name.toLowerCase())).size !== names.length) {
+            showSettingsError('Department names must be unique.');
             return;
         }
-        
-        // Wait for script to load (max 5 seconds)
-        let attempts = 0;
-        const maxAttempts = 50; // 50 attempts * 100ms = 5 seconds
-        const checkInterval = setInterval(() => {
-            attempts++;
-            if (window.jspdf && window.jspdf.jsPDF) {
-                clearInterval(checkInterval);
-                resolve(window.jspdf.jsPDF);
-            } else if (window.jsPDF) {
-                clearInterval(checkInterval);
-                resolve(window.jsPDF);
-            } else if (window.jspdf && typeof window.jspdf === 'function') {
-                clearInterval(checkInterval);
-                resolve(window.jspdf);
-            } else if (attempts >= maxAttempts) {
-                clearInterval(checkInterval);
-                reject(new Error('jsPDF library failed to load after 5 seconds'));
-            }
-        }, 100);
-    });
-}
 
-/**
- * Exports checklist status to PDF
- * @param {string} department - Department name
- * @param {string} exportText - Generated export text (for reference, but we use currentData directly)
- */
-async function exportToPDF(department, exportText) {
-    if (!currentData || !currentData[department] || !Array.isArray(currentData[department])) {
-        showError('No tasks found for this department.');
-        return;
-    }
-    
-    try {
-        // Get jsPDF constructor (wait for it to load if necessary)
-        const jsPDF = await getJsPDF();
-        console.log('jsPDF loaded successfully, creating PDF...');
-        
-        // Create new PDF document
-        const doc = new jsPDF();
-    
-        // Set font and margins
-        const pageWidth = doc.internal.pageSize.getWidth();
-        const pageHeight = doc.internal.pageSize.getHeight();
-        const margin = 20;
-        const maxWidth = pageWidth - (margin * 2);
-        let yPosition = margin;
-        
-        // Department name (header)
-        doc.setFontSize(16);
-        doc.setFont(undefined, 'bold');
-        doc.text(department, margin, yPosition);
-        yPosition += 10;
-        
-        // Timestamp
-        const now = new Date();
-        const timeString = now.toLocaleTimeString('en-US', { 
-            hour: 'numeric', 
-            minute: '2-digit',
-            hour12: true 
-        });
-        
-        doc.setFontSize(10);
-        doc.setFont(undefined, 'normal');
-        doc.setTextColor(100, 100, 100);
-        doc.text(`Status as of ${timeString}`, margin, yPosition);
-        yPosition += 15;
-        
-        // Reset text color and font
-        doc.setTextColor(0, 0, 0);
-        doc.setFontSize(11);
-        doc.setFont(undefined, 'normal');
-        
-        // Get tasks directly from currentData
-        const tasks = currentData[department];
-        
-        if (!tasks || tasks.length === 0) {
-            doc.setFontSize(11);
-            doc.text('No tasks available for this department.', margin, yPosition);
-        } else {
-            // Add tasks to PDF
-            for (const task of tasks) {
-                const taskObj = typeof task === 'object' && task !== null && 'text' in task
-                    ? task
-                    : { text: typeof task === 'string' ? task : String(task), completed: false };
-                
-                // Check if we need a new page
-                if (yPosition > pageHeight - 40) {
-                    doc.addPage();
-                    yPosition = margin;
-                }
-                
-                // Task text with icon
-                const statusIcon = taskObj.completed === true ? '✓' : '○';
-                const taskLine = `${statusIcon} ${taskObj.text || '(empty task)'}`;
-                const taskLines = doc.splitTextToSize(taskLine, maxWidth);
-                
-                doc.text(taskLines, margin, yPosition);
-                yPosition += taskLines.length * 6;
-                
-                // Status line (indented, smaller, gray)
-                doc.setFontSize(9);
-                doc.setTextColor(100, 100, 100);
-                const status = taskObj.completed === true ? 'Completed' : 'In progress';
-                const statusText = `  Status: ${status}`;
-                doc.text(statusText, margin, yPosition);
-                yPosition += 8;
-                
-                // Reset for next task
-                doc.setFontSize(11);
-                doc.setTextColor(0, 0, 0);
-                yPosition += 3; // Spacing between tasks
+        const renames = {};
+        draft.forEach(department => {
+            const name = department.name.trim();
+            if (department.originalName && department.originalName !== name) {
+                renames[department.originalName] = name;
             }
+        });
+        const lockedRename = Object.keys(renames).find(department => getLockedDepartments().includes(department));
+        if (lockedRename) {
+            showSettingsError(`${lockedRename} has been signed off. Reopen its sign-off before renaming it.`);
+            return;
         }
-        
-        // Generate filename with timestamp
-        const dateStr = now.toISOString().split('T')[0];
-        const filename = `${department}_Checklist_${dateStr}.pdf`;
-        
-        // Download PDF
-        doc.save(filename);
-        
-        console.log(`PDF exported successfully: ${filename}`);
-    } catch (error) {
-        console.error('Error generating PDF:', error);
-        const errorMsg = error.message || 'Unknown error';
-        if (errorMsg.includes('failed to load')) {
-            showError('PDF library is still loading. Please wait a moment and try again.');
-        } else {
-            showError(`Failed to generate PDF: ${errorMsg}`);
+
+        saveButton.disabled = true;
+        try {
+            await saveDepartmentConfig(draft.map((department, index) => ({
+                name: department.name.trim(),
+                description: department.description.trim(),
+                order: index + 1,
+                color: department.color
+            })));
+            applyDepartmentChanges(renames);
+            closeModal();
+        } catch (error) {
+            console.error('[Brief2Check] Failed to save departments:', error);
+            showSettingsError(error.message || 'Failed to save departments.');
+            saveButton.disabled = false;
         }
-    }
+    });
+    cancelButton.addEventListener('click', closeModal);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+            closeModal();
+        }
+    });
+    document.addEventListener('keydown', escapeHandler);
+
+    renderRows();
+
+    header.appendChild(title);
+    content.appendChild(hint);
+    content.appendChild(rowsContainer);
+    content.appendChild(addDepartmentControl);
+    content.appendChild(errorText);
+    footer.appendChild(saveButton);
+    footer.appendChild(cancelButton);
+    modal.appendChild(header);
+    modal.appendChild(content);
+    modal.appendChild(footer);
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
 }
 
 // Function to show error message
@@ -1220,6 +5685,16 @@ function showError(message) {
     }, 5000);
 }
 
+// Function to show an informational message
+function showNotice(message) {
+    const noticeMessage = document.getElementById("noticeMessage");
+    noticeMessage.textContent = message;
+    noticeMessage.classList.add("active");
+    setTimeout(() => {
+        noticeMessage.classList.remove("active");
+    }, 5000);
+}
+
 // Function to hide error message
 function hideError() {
     const errorMessage = document.getElementById("errorMessage");
@@ -1240,35 +5715,169 @@ addOnUISdk.ready.then(() => {
     const departmentGroups = document.getElementById("departmentGroups");
     const exportButton = document.getElementById("exportButton");
     const departmentSelect = document.getElementById("departmentSelect");
+    const departmentsButton = document.getElementById("departmentsButton");
+    const importButton = document.getElementById("importButton");
+    const undoButton = document.getElementById("undoButton");
+    const redoButton = document.getElementById("redoButton");
+    const undoToastButton = document.getElementById("undoToastButton");
+    const cancelParseButton = document.getElementById("cancelParseButton");
+    const fileDropZone = document.getElementById("fileDropZone");
+    const briefFileInput = document.getElementById("briefFileInput");
+    const runChecksButton = document.getElementById("runChecksButton");
+    const collaboratorNameInput = document.getElementById("collaboratorNameInput");
+    const commentFilterButton = document.getElementById("commentFilterButton");
+
+    // Load the team's department configuration and re-apply its order and colors
+    loadDepartmentConfig().then(() => {
+        if (currentData) {
+            renderDepartmentGroups(currentData);
+        }
+    });
+
+    // Department settings button handler
+    departmentsButton.addEventListener("click", () => {
+        showDepartmentSettingsModal();
+    });
+
+    // Import button handler: resume from an exported checklist without re-parsing the brief
+    importButton.addEventListener("click", () => {
+        // Importing replaces every department, including the locked ones
+        const lockedDepartments = getLockedDepartments();
+        if (lockedDepartments.length > 0) {
+            showError(`${lockedDepartments.join(', ')} ${lockedDepartments.length === 1 ? 'has' : 'have'} been signed off. Reopen the sign-off before importing a checklist.`);
+            return;
+        }
+        showImportModal(({ data, brief }) => {
+            currentData = data;
+            currentBrief = brief;
+            instructionsInput.value = brief;
+            isMergeMode = false;
+            clearHistory();
+            hideError();
+            saveChecklist();
+            renderDepartmentGroups(currentData);
+            resultsSection.classList.add("active");
+            collapseInstructionInput();
+            showNotice("Checklist imported.");
+        });
+    });
 
     // Enable parse button when textarea has content
     instructionsInput.addEventListener("input", () => {
         parseButton.disabled = !instructionsInput.value.trim();
     });
 
-    // Parse button click handler
-    parseButton.addEventListener("click", async () => {
-        const instructions = instructionsInput.value.trim();
-        
-        if (!instructions) {
-            showError("Please enter some design instructions to parse.");
-            return;
+    // Whether the next parse should be merged into the current checklist
+    let isMergeMode = false;
+
+    // Aborts the parse in progress, if any
+    let parseController = null;
+
+    // Cancel button handler: aborting the fetch also aborts the upstream LLM request
+    cancelParseButton.addEventListener("click", () => {
+        if (parseController) {
+            parseController.abort();
         }
+    });
 
+    // Parse button click handler
+    // Parses a brief typed into the panel or uploaded as a file (typed briefs are streamed)
+    async function parseBrief({ instructions, file }) {
         // Hide previous errors and results
         hideError();
-        resultsSection.classList.remove("active");
+        const mergeIntoCurrent = isMergeMode && currentData !== null;
+
+        // A new checklist would replace the locked departments; a follow-up brief leaves them alone
+        const lockedDepartments = mergeIntoCurrent ? [] : getLockedDepartments();
+        if (lockedDepartments.length > 0) {
+            showError(`${lockedDepartments.join(', ')} ${lockedDepartments.length === 1 ? 'has' : 'have'} been signed off. Reopen the sign-off before parsing a new brief, or use "Add more instructions".`);
+            return;
+        }
+
+        if (!mergeIntoCurrent) {
+            resultsSection.classList.remove("active");
+        }
         
         // Show loading state
         loadingIndicator.classList.add("active");
         parseButton.disabled = true;
+        parseController = new AbortController();
+        const { signal } = parseController;
+
+        // Restored if the parse fails or is cancelled
+        const previousData = currentData;
+        const previousBrief = currentBrief;
 
         try {
-            // Call local API endpoint
-            const parsedData = await parseInstructions(instructions);
+            let parsedData;
+            if (file) {
+                // Files are read on the server, which returns the extracted brief along with the tasks
+                const result = await parseBriefFile(file, signal);
+                instructions = result.instructions;
+                instructionsInput.value = instructions;
+                parsedData = result.data;
+            } else if (mergeIntoCurrent) {
+                // The merge review needs the complete result, so nothing is rendered live
+                parsedData = await parseInstructions(instructions, signal);
+            } else {
+                // Render tasks as they stream in; editing waits until parsing finishes
+                holdCollaboration(true);
+                currentData = {};
+                currentBrief = instructions;
+                departmentGroups.classList.add("streaming");
+                parsedData = await parseInstructionsStream(instructions, {
+                    signal,
+                    onTask: (department, task) => {
+                        if (!currentData[department]) {
+                            currentData[department] = [];
+                        }
+                        currentData[department].push(markParsedTasks({ [department]: [task] })[department][0]);
+                        renderDepartmentGroups(currentData);
+                        resultsSection.classList.add("active");
+                    },
+                    onReset: () => {
+                        currentData = {};
+                        renderDepartmentGroups(currentData);
+                    }
+                });
+            }
+
+            markParsedTasks(parsedData);
+
+            if (mergeIntoCurrent) {
+                // Let the user review what the follow-up brief adds before merging
+                const plan = buildMergePlan(currentData, parsedData);
+                showMergeReviewModal(plan, (acceptedTasks) => {
+                    const before = {
+                        data: JSON.parse(JSON.stringify(currentData)),
+                        brief: currentBrief,
+                        signOffs: JSON.parse(JSON.stringify(currentSignOffs))
+                    };
+                    // Source offsets of the new tasks are relative to the follow-up brief
+                    const sourceOffset = currentBrief ? currentBrief.length + 2 : 0;
+                    const skippedDepartments = applyMergePlan(plan, acceptedTasks, sourceOffset);
+                    currentBrief = currentBrief ? `${currentBrief}\n\n${instructions}` : instructions;
+                    recordCommand(createSnapshotCommand('add tasks from follow-up brief', before, {
+                        data: JSON.parse(JSON.stringify(currentData)),
+                        brief: currentBrief,
+                        signOffs: JSON.parse(JSON.stringify(currentSignOffs))
+                    }));
+                    renderDepartmentGroups(currentData);
+                    saveChecklist();
+                    isMergeMode = false;
+                    collapseInstructionInput();
+                    if (skippedDepartments.length > 0) {
+                        showNotice(`New tasks were not added to approved departments (${skippedDepartments.join(', ')}). Reopen their sign-off to add them.`);
+                    }
+                });
+                return;
+            }
             
             // Store the parsed data
             currentData = parsedData;
+            currentBrief = instructions;
+            clearHistory();
+            saveChecklist();
             
             // Render the department groups
             renderDepartmentGroups(parsedData);
@@ -1283,19 +5892,81 @@ addOnUISdk.ready.then(() => {
             collapseInstructionInput();
             
         } catch (error) {
+            // Drop partially streamed tasks and show the previous checklist again
+            if (!mergeIntoCurrent) {
+                currentData = previousData;
+                currentBrief = previousBrief;
+                if (currentData) {
+                    renderDepartmentGroups(currentData);
+                    resultsSection.classList.add("active");
+                }
+            }
+            if (error.name === "AbortError") {
+                showNotice("Parsing cancelled.");
+                return;
+            }
             console.error("Error parsing instructions:", error);
             showError(error.message || "An error occurred while parsing instructions. Please try again.");
         } finally {
             // Hide loading state
             loadingIndicator.classList.remove("active");
+            departmentGroups.classList.remove("streaming");
+            holdCollaboration(false);
+            parseController = null;
             parseButton.disabled = !instructionsInput.value.trim();
         }
+    }
+
+    // Parse button click handler
+    parseButton.addEventListener("click", () => {
+        const instructions = instructionsInput.value.trim();
+        
+        if (!instructions) {
+            showError("Please enter some design instructions to parse.");
+            return;
+        }
+
+        parseBrief({ instructions });
+    });
+
+    // File drop zone: drop a brief file or click to choose one
+    const handleBriefFile = (file) => {
+        if (file && !parseController) {
+            parseBrief({ file });
+        }
+    };
+    fileDropZone.addEventListener("click", () => {
+        briefFileInput.click();
+    });
+    fileDropZone.addEventListener("keydown", (e) => {
+        if (e.key === "Enter" || e.key === " ") {
+            e.preventDefault();
+            briefFileInput.click();
+        }
+    });
+    briefFileInput.addEventListener("change", () => {
+        handleBriefFile(briefFileInput.files[0]);
+        // Allow choosing the same file again
+        briefFileInput.value = "";
+    });
+    fileDropZone.addEventListener("dragover", (e) => {
+        e.preventDefault();
+        fileDropZone.classList.add("drag-over");
+    });
+    fileDropZone.addEventListener("dragleave", () => {
+        fileDropZone.classList.remove("drag-over");
+    });
+    fileDropZone.addEventListener("drop", (e) => {
+        e.preventDefault();
+        fileDropZone.classList.remove("drag-over");
+        handleBriefFile(e.dataTransfer.files[0]);
     });
 
     // Collapse instruction input
     function collapseInstructionInput() {
         inputSection.classList.add("collapsed");
         expandInstructionsButton.style.display = "block";
+        parseButton.textContent = "Parse Instructions";
     }
 
     // Expand instruction input
@@ -1309,6 +5980,11 @@ addOnUISdk.ready.then(() => {
     // Expand instructions button handler
     expandInstructionsButton.addEventListener("click", () => {
         expandInstructionInput();
+        // Follow-up briefs are merged into the existing checklist
+        isMergeMode = currentData !== null;
+        if (isMergeMode) {
+            parseButton.textContent = "Add to Checklist";
+        }
         // Clear the textarea so user can enter fresh instructions
         instructionsInput.value = '';
         // Disable parse button since textarea is now empty
@@ -1316,9 +5992,116 @@ addOnUISdk.ready.then(() => {
         instructionsInput.focus();
     });
 
+    // Undo/redo buttons and the toast shown after deleting a task
+    undoButton.addEventListener("click", undoLastCommand);
+    redoButton.addEventListener("click", redoLastCommand);
+    undoToastButton.addEventListener("click", () => {
+        // The toast only undoes its own delete, not an edit made after it
+        if (undoToastCommand && undoStack[undoStack.length - 1] === undoToastCommand) {
+            undoLastCommand();
+        }
+        hideUndoToast();
+    });
+
+    // Keyboard shortcuts: Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl+Y to redo.
+    // Text fields keep their own undo, and the checklist is read-only while a parse streams in.
+    document.addEventListener("keydown", (event) => {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+            return;
+        }
+        const key = event.key.toLowerCase();
+        const isUndo = key === 'z' && !event.shiftKey;
+        const isRedo = (key === 'z' && event.shiftKey) || (key === 'y' && !event.shiftKey);
+        if (!isUndo && !isRedo) {
+            return;
+        }
+
+        const target = event.target;
+        const isTextField = target instanceof HTMLElement && (target.isContentEditable ||
+            ['TEXTAREA', 'SELECT'].includes(target.tagName) ||
+            (target.tagName === 'INPUT' && !['checkbox', 'radio', 'button'].includes(target.type)));
+        if (isTextField || parseController || document.querySelector(".modal-overlay")) {
+            return;
+        }
+
+        if (isUndo ? undoLastCommand() : redoLastCommand()) {
+            event.preventDefault();
+        }
+    });
+
     // Enable the button when addOnUISdk is ready
     parseButton.disabled = !instructionsInput.value.trim();
     
+    // Restore the checklist saved for this document, if any
+    resolveChecklistId()
+        .then(id => {
+            checklistId = id;
+            return loadChecklist();
+        })
+        .then(record => {
+            // Keep anything the user parsed while we were loading
+            if (currentData) {
+                saveChecklist();
+                return;
+            }
+            if (!record) {
+                return;
+            }
+            currentData = convertTasksToObjects(record.data);
+            currentBrief = record.brief || '';
+            currentSignOffs = record.signOffs || {};
+            instructionsInput.value = currentBrief;
+            renderDepartmentGroups(currentData);
+            resultsSection.classList.add("active");
+            collapseInstructionInput();
+        })
+        .catch(error => {
+            console.error('[Brief2Check] Failed to restore checklist:', error);
+        })
+        .then(() => connectCollaboration());
+
+    // Show collaborators which department this panel is working on
+    departmentGroups.addEventListener("focusin", (event) => {
+        const taskItem = event.target.closest(".task-item");
+        if (taskItem) {
+            setPresenceDepartment(taskItem.dataset.department);
+        }
+    });
+    departmentGroups.addEventListener("focusout", () => {
+        // Re-renders move the focus between elements, so wait until it has settled
+        setTimeout(() => {
+            if (!departmentGroups.contains(document.activeElement)) {
+                setPresenceDepartment(null);
+            }
+        }, 0);
+    });
+
+    // Name shown to the other collaborators
+    collaboratorNameInput.addEventListener("change", () => {
+        const name = collaboratorNameInput.value.trim();
+        addOnUISdk.instance.clientStorage.setItem(COLLABORATOR_NAME_KEY, name).catch(error => {
+            console.error('[Brief2Check] Failed to save collaborator name:', error);
+        });
+        if (collaboration) {
+            collaboration.name = name;
+            sendPresence();
+        }
+    });
+    addOnUISdk.instance.clientStorage.getItem(COLLABORATOR_NAME_KEY)
+        .then(name => {
+            collaboratorNameInput.value = name || '';
+        })
+        .catch(error => {
+            console.log('[Brief2Check] Could not read collaborator name:', error);
+        });
+
+    // Flush pending edits when the panel is closed
+    window.addEventListener("pagehide", () => {
+        if (saveTimer) {
+            saveChecklist();
+        }
+    });
+    
     // Export button handler
     if (exportButton) {
         exportButton.addEventListener("click", () => {
@@ -1326,6 +6109,26 @@ addOnUISdk.ready.then(() => {
         });
     }
     
+    // Unresolved comments filter: show only the tasks reviewers still need to discuss
+    commentFilterButton.addEventListener("click", () => {
+        showUnresolvedCommentsOnly = !showUnresolvedCommentsOnly;
+        if (currentData) {
+            renderDepartmentGroups(currentData);
+        }
+    });
+
+    // Run checks button handler
+    if (runChecksButton) {
+        runChecksButton.addEventListener("click", async () => {
+            runChecksButton.disabled = true;
+            try {
+                await runComplianceChecks();
+            } finally {
+                runChecksButton.disabled = false;
+            }
+        });
+    }
+    
     // Department select change handler
     if (departmentSelect) {
         departmentSelect.addEventListener("change", () => {
@@ -0,0 +1,166 @@
+import addOnSandboxSdk from "add-on-sdk-document-sandbox";
+import { editor, constants, viewport } from "express-document-sdk";
+
+// Get the document sandbox runtime
+const { runtime } = addOnSandboxSdk.instance;
+
+// Key in node.addOnData marking content inserted by Brief2Check
+const NODE_ROLE_KEY = "brief2check:role";
+
+// Role of footer text nodes inserted by insertFooterOnAllPages
+const FOOTER_ROLE = "footer";
+
+// Distance between the footer and the bottom edge of the artboard
+const FOOTER_MARGIN = 16;
+
+// Font size of inserted footers
+const FOOTER_FONT_SIZE = 10;
+
+// Text whose top edge is in the bottom part of the artboard (as a fraction of its height) counts as footer text
+const FOOTER_REGION_START = 0.8;
+
+/**
+ * Returns the document's pages as an array
+ * @returns {Array<PageNode>} - Pages in document order
+ */
+function getPageNodes() {
+    return Array.from(editor.documentRoot.pages);
+}
+
+/**
+ * Finds the footer previously inserted by Brief2Check on an artboard
+ * @param {ArtboardNode} artboard - Artboard to search
+ * @returns {Node|undefined} - Footer text node, if any
+ */
+function findFooterNode(artboard) {
+    return Array.from(artboard.children).find(node =>
+        node.type === constants.SceneNodeType.text &&
+        node.addOnData.getItem(NODE_ROLE_KEY) === FOOTER_ROLE
+    );
+}
+
+/**
+ * Collects the text nodes below a node, with the bounds of their top-level ancestor on the artboard
+ * @param {Node} node - Node to traverse
+ * @param {object|null} topBounds - Bounds of the artboard-level ancestor, null at artboard level
+ * @param {Array<object>} texts - Collected { text, bounds } entries
+ */
+function collectTextNodes(node, topBounds, texts) {
+    for (const child of node.allChildren) {
+        const bounds = topBounds || child.boundsInParent;
+
+        if (child.type === constants.SceneNodeType.text) {
+            texts.push({ text: child.fullContent.text, bounds });
+        } else if (child.allChildren) {
+            collectTextNodes(child, bounds, texts);
+        }
+    }
+}
+
+function start() {
+    // APIs exposed to the panel (index.js) through runtime.apiProxy("documentSandbox")
+    const sandboxApi = {
+        /**
+         * Lists the pages of the document
+         * @returns {Array<object>} - Pages as { number, name, artboardCount }
+         */
+        getPages() {
+            return getPageNodes().map((page, index) => ({
+                number: index + 1,
+                name: page.name || `Page ${index + 1}`,
+                artboardCount: Array.from(page.artboards).length
+            }));
+        },
+
+        /**
+         * Reads all text content of the document, page by page
+         * @returns {Array<object>} - Pages as { number, name, texts: [{ text, isFooter }] }
+         */
+        getDocumentText() {
+            return getPageNodes().map((page, index) => {
+                const texts = [];
+
+                for (const artboard of page.artboards) {
+                    const artboardTexts = [];
+                    collectTextNodes(artboard, null, artboardTexts);
+
+                    artboardTexts.forEach(({ text, bounds }) => {
+                        texts.push({
+                            text,
+                            isFooter: !!bounds && bounds.y >= artboard.height * FOOTER_REGION_START
+                        });
+                    });
+                }
+
+                return {
+                    number: index + 1,
+                    name: page.name || `Page ${index + 1}`,
+                    texts
+                };
+            });
+        },
+
+        /**
+         * Inserts (or updates) a centered footer text at the bottom of every artboard on every page
+         * @param {string} text - Footer text
+         * @returns {object} - { pages, inserted, updated } counts
+         */
+        insertFooterOnAllPages(text) {
+            const footerText = String(text || "").trim();
+            if (!footerText) {
+                throw new Error("Footer text cannot be empty");
+            }
+
+            let inserted = 0;
+            let updated = 0;
+            const pages = getPageNodes();
+
+            pages.forEach(page => {
+                for (const artboard of page.artboards) {
+                    let footer = findFooterNode(artboard);
+
+                    if (footer) {
+                        footer.fullContent.text = footerText;
+                        updated++;
+                    } else {
+                        footer = editor.createText(footerText);
+                        artboard.children.append(footer);
+                        footer.addOnData.setItem(NODE_ROLE_KEY, FOOTER_ROLE);
+                        inserted++;
+                    }
+
+                    footer.fullContent.applyCharacterStyles({ fontSize: FOOTER_FONT_SIZE });
+
+                    // Center horizontally, bottom edge FOOTER_MARGIN above the artboard's bottom
+                    const bounds = footer.boundsLocal;
+                    footer.setPositionInParent(
+                        { x: artboard.width / 2, y: artboard.height - FOOTER_MARGIN },
+                        { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height }
+                    );
+                }
+            });
+
+            return { pages: pages.length, inserted, updated };
+        },
+
+        /**
+         * Shows a page in the viewport
+         * @param {number} pageNumber - 1-based page number
+         * @returns {boolean} - True if the page exists
+         */
+        goToPage(pageNumber) {
+            const page = getPageNodes()[pageNumber - 1];
+            if (!page || !page.artboards.first) {
+                return false;
+            }
+
+            viewport.bringIntoView(page.artboards.first);
+            return true;
+        }
+    };
+
+    // Expose sandboxApi to the UI runtime
+    runtime.exposeApi(sandboxApi);
+}
+
+start();
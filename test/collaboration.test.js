@@ -0,0 +1,306 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The server reads its store paths when it is required, so they point to a temporary directory first
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'brief2check-test-'));
+process.env.CHECKLIST_STORE_PATH = path.join(dataDir, 'checklists.json');
+
+const { WebSocket } = require('ws');
+const { app, attachCollaboration } = require('../server');
+
+let server;
+let wss;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    wss = attachCollaboration(server);
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+    // Connections left open by a failed test would keep the server running
+    wss.clients.forEach(socket => socket.terminate());
+    wss.close();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Opens a collaboration connection and collects the messages it receives
+ * @param {string} checklistId - Checklist ID
+ * @param {string} [name] - Collaborator name
+ * @returns {Promise<object>} - { socket, send(message), next(type), close() }
+ */
+async function connect(checklistId, name = 'Tester') {
+    const socket = new WebSocket(`${baseUrl.replace(/^http/, 'ws')}/api/collaborate?checklist=${encodeURIComponent(checklistId)}&name=${name}`);
+    const messages = [];
+    const waiting = [];
+
+    socket.on('message', raw => {
+        messages.push(JSON.parse(raw.toString()));
+        waiting.splice(0).forEach(resolve => resolve());
+    });
+    await new Promise((resolve, reject) => {
+        socket.once('open', resolve);
+        socket.once('error', reject);
+    });
+
+    return {
+        socket,
+        send: message => socket.send(typeof message === 'string' ? message : JSON.stringify(message)),
+        // Resolves with the first unread message of the given type
+        next: async (type) => {
+            const deadline = Date.now() + 2000;
+            for (;;) {
+                const index = messages.findIndex(message => message.type === type);
+                if (index !== -1) {
+                    return messages.splice(index, 1)[0];
+                }
+                if (Date.now() > deadline) {
+                    throw new Error(`No "${type}" message received`);
+                }
+                await new Promise(resolve => {
+                    waiting.push(resolve);
+                    setTimeout(resolve, 50);
+                });
+            }
+        },
+        close: () => new Promise(resolve => {
+            socket.once('close', resolve);
+            socket.close();
+        })
+    };
+}
+
+/**
+ * Shares a checklist in a room through a replace operation
+ * @param {object} client - Connection from connect()
+ * @param {object} data - Department-grouped tasks with IDs
+ * @returns {Promise<object>} - The ack
+ */
+async function shareChecklist(client, data) {
+    await client.next('welcome');
+    client.send({ type: 'operation', id: 1, operation: { kind: 'replace', brief: 'Brief', data } });
+    return client.next('ack');
+}
+
+test('answers frames that are not JSON objects with an error and keeps serving', async () => {
+    const client = await connect('frames');
+    await client.next('welcome');
+    await client.next('presence');
+
+    for (const frame of ['null', '42', '"text"', '[]', 'not json']) {
+        client.send(frame);
+        const reply = await client.next('error');
+        assert.match(reply.error, /JSON/);
+    }
+
+    client.send({ type: 'presence', name: 'Still here' });
+    const presence = await client.next('presence');
+    assert.equal(presence.collaborators[0].name, 'Still here');
+    await client.close();
+});
+
+test('rejects operations on departments the checklist does not have', async () => {
+    const client = await connect('departments');
+    await shareChecklist(client, { Legal: [{ id: 'legal-1', text: 'Add disclaimer' }] });
+
+    for (const department of ['constructor', '__proto__', 'prototype', 'toString', 'Brand']) {
+        client.send({
+            type: 'operation',
+            id: 2,
+            operation: { kind: 'add', department, index: 0, task: { id: `task-${department}`, text: 'Injected' } }
+        });
+        const reply = await client.next('error');
+        assert.equal(reply.id, 2);
+
+        client.send({ type: 'operation', id: 3, operation: { kind: 'order', department, taskIds: ['legal-1'] } });
+        assert.equal((await client.next('error')).id, 3);
+    }
+    assert.equal({}.constructor, Object);
+
+    client.send({ type: 'operation', id: 4, operation: { kind: 'add', department: 'Legal', index: 1, task: { id: 'legal-2', text: 'Add T&Cs' } } });
+    assert.equal((await client.next('ack')).id, 4);
+    await client.close();
+});
+
+test('rejects checklists with reserved department names', async () => {
+    const client = await connect('reserved');
+    await client.next('welcome');
+
+    client.send('{"type":"operation","id":1,"operation":{"kind":"replace","brief":"","data":{"__proto__":[]}}}');
+    assert.equal((await client.next('error')).id, 1);
+
+    const response = await fetch(`${baseUrl}/api/checklists/reserved`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ data: { constructor: [] } })
+    });
+    assert.equal(response.status, 400);
+    await client.close();
+});
+
+test('rejects checklist IDs that would reach the store prototype', async () => {
+    for (const id of ['__proto__', 'constructor', 'prototype']) {
+        assert.equal((await fetch(`${baseUrl}/api/checklists/${id}`)).status, 400);
+        assert.equal((await putChecklist(id, { brief: 'Brief', data: { Legal: [] } })).status, 400);
+    }
+    assert.equal((await fetch(`${baseUrl}/api/checklists/never-saved`)).status, 404);
+
+    const socket = new WebSocket(`${baseUrl.replace(/^http/, 'ws')}/api/collaborate?checklist=constructor`);
+    const [code] = await new Promise(resolve => socket.once('close', (...args) => resolve(args)));
+    assert.equal(code, 1008);
+});
+
+test('rejects comment threads that would replace a prototype', async () => {
+    const client = await connect('comments');
+    await shareChecklist(client, { Legal: [{ id: 'legal-1', text: 'Add disclaimer' }] });
+
+    client.send('{"type":"operation","id":2,"operation":{"kind":"comment","taskId":"legal-1",' +
+        '"thread":{"id":"c1","author":"A","text":"Hi","__proto__":{"polluted":true}}}}');
+    assert.equal((await client.next('error')).id, 2);
+    assert.equal({}.polluted, undefined);
+    await client.close();
+});
+
+/**
+ * Saves a checklist through the REST API
+ * @param {string} checklistId - Checklist ID
+ * @param {object} body - Checklist record
+ * @returns {Promise<Response>} - Response
+ */
+function putChecklist(checklistId, body) {
+    return fetch(`${baseUrl}/api/checklists/${checklistId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+/**
+ * Builds a sign-off with one history entry
+ * @param {string} status - pending, changes-requested or approved
+ * @param {string} entryId - History entry ID
+ * @returns {object} - Sign-off
+ */
+function signOff(status, entryId) {
+    const at = new Date().toISOString();
+    return { status, by: 'Dana', at, note: null, history: [{ id: entryId, status, by: 'Dana', at, note: null }] };
+}
+
+test('locks approved departments against operations, including replace', async () => {
+    const client = await connect('locked-ws');
+    const legal = [{ id: 'legal-1', text: 'Add disclaimer', completed: true }];
+    await shareChecklist(client, { Legal: legal, Design: [{ id: 'design-1', text: 'Use brand blue' }] });
+
+    client.send({ type: 'operation', id: 2, operation: { kind: 'signOff', department: 'Legal', signOff: signOff('approved', 'h1') } });
+    assert.equal((await client.next('ack')).id, 2);
+
+    const rejected = [
+        { kind: 'update', taskId: 'legal-1', changes: { completed: false } },
+        { kind: 'add', department: 'Legal', index: 0, task: { id: 'legal-2', text: 'New' } },
+        { kind: 'remove', taskId: 'legal-1' },
+        { kind: 'order', department: 'Design', taskIds: ['legal-1', 'design-1'] },
+        { kind: 'replace', brief: 'New brief', data: { Legal: [], Design: [] } },
+        { kind: 'replace', brief: 'New brief', data: { Design: [] } }
+    ];
+    for (const [index, operation] of rejected.entries()) {
+        client.send({ type: 'operation', id: 10 + index, operation });
+        const reply = await client.next('error');
+        assert.equal(reply.id, 10 + index);
+        assert.match(reply.error, /Legal has been signed off/);
+    }
+
+    // Comments stay open, and a replace that leaves Legal as it was neither unlocks it nor drops its sign-off
+    client.send({ type: 'operation', id: 20, operation: { kind: 'comment', taskId: 'legal-1', thread: { id: 'c1', author: 'A', text: 'Looks good', replies: [] } } });
+    assert.equal((await client.next('ack')).id, 20);
+    client.send({
+        type: 'operation',
+        id: 21,
+        operation: { kind: 'replace', brief: 'New brief', data: { Legal: legal, Design: [] }, signOffs: {} }
+    });
+    assert.equal((await client.next('ack')).id, 21);
+
+    const record = await fetch(`${baseUrl}/api/checklists/locked-ws`).then(response => response.json());
+    assert.equal(record.signOffs.Legal.status, 'approved');
+    assert.deepEqual(record.data.Design, []);
+
+    client.send({ type: 'operation', id: 30, operation: { kind: 'signOff', department: 'Brand', signOff: signOff('approved', 'h9') } });
+    assert.equal((await client.next('error')).id, 30);
+
+    // Reopening unlocks the department
+    client.send({ type: 'operation', id: 22, operation: { kind: 'signOff', department: 'Legal', signOff: signOff('pending', 'h2') } });
+    assert.equal((await client.next('ack')).id, 22);
+    client.send({ type: 'operation', id: 23, operation: { kind: 'update', taskId: 'legal-1', changes: { completed: false } } });
+    assert.equal((await client.next('ack')).id, 23);
+    await client.close();
+});
+
+test('refuses whole-checklist saves while panels share the checklist', async () => {
+    const client = await connect('shared-rest');
+    await shareChecklist(client, { Legal: [{ id: 'legal-1', text: 'Add disclaimer' }] });
+
+    const response = await putChecklist('shared-rest', { brief: 'Brief', data: { Legal: [] } });
+    assert.equal(response.status, 409);
+    const record = await fetch(`${baseUrl}/api/checklists/shared-rest`).then(result => result.json());
+    assert.equal(record.data.Legal.length, 1);
+    await client.close();
+});
+
+test('locks approved departments against checklist saves and keeps the stored sign-offs', async () => {
+    const legal = [{ id: 'legal-1', text: 'Add disclaimer', completed: true }];
+    assert.equal((await putChecklist('locked-rest', { brief: 'Brief', data: { Legal: legal, Design: [] } })).status, 200);
+
+    const approve = await fetch(`${baseUrl}/api/checklists/locked-rest/sign-offs/Legal`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(signOff('approved', 'h1'))
+    });
+    assert.equal(approve.status, 200);
+    assert.equal((await approve.json()).status, 'approved');
+
+    const changed = await putChecklist('locked-rest', { brief: 'Brief', data: { Legal: [{ ...legal[0], completed: false }], Design: [] } });
+    assert.equal(changed.status, 409);
+    assert.equal((await putChecklist('locked-rest', { brief: 'Brief', data: { Design: [] } })).status, 409);
+
+    // Unchanged Legal tasks (with panel defaults filled in) can be saved; sign-offs and updatedAt come from the server
+    const saved = await putChecklist('locked-rest', {
+        brief: 'Brief',
+        data: { Legal: [{ ...legal[0], assignee: null, tags: [], comments: [] }], Design: [{ text: 'Use brand blue' }] },
+        signOffs: {},
+        updatedAt: '2000-01-01T00:00:00.000Z'
+    });
+    assert.equal(saved.status, 200);
+    const record = await saved.json();
+    assert.equal(record.signOffs.Legal.status, 'approved');
+    assert.notEqual(record.updatedAt, '2000-01-01T00:00:00.000Z');
+
+    const invalid = await fetch(`${baseUrl}/api/checklists/locked-rest/sign-offs/Legal`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status: 'done' })
+    });
+    assert.equal(invalid.status, 400);
+
+    for (const department of ['Legl', 'constructor']) {
+        const missing = await fetch(`${baseUrl}/api/checklists/locked-rest/sign-offs/${department}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(signOff('approved', 'h3'))
+        });
+        assert.equal(missing.status, department === 'Legl' ? 404 : 400);
+    }
+
+    const reopen = await fetch(`${baseUrl}/api/checklists/locked-rest/sign-offs/Legal`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(signOff('pending', 'h2'))
+    });
+    assert.deepEqual((await reopen.json()).history.map(entry => entry.id), ['h1', 'h2']);
+    assert.equal((await putChecklist('locked-rest', { brief: 'Brief', data: { Design: [] } })).status, 200);
+});
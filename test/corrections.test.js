@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The server reads its store paths when it is required, so they point to a temporary directory first
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'brief2check-test-'));
+process.env.CHECKLIST_STORE_PATH = path.join(dataDir, 'checklists.json');
+process.env.CORRECTIONS_PATH = path.join(dataDir, 'corrections.json');
+process.env.DEPARTMENTS_PATH = path.join(dataDir, 'departments.json');
+delete process.env.ADMIN_TOKEN;
+
+const { app } = require('../server');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+
+    const saved = await fetch(`${baseUrl}/api/checklists/doc-1`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ brief: 'Brief', data: { Legal: [] } })
+    });
+    assert.equal(saved.status, 200);
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Posts a correction
+ * @param {object} body - Correction
+ * @returns {Promise<Response>} - Response
+ */
+function postCorrection(body) {
+    return fetch(`${baseUrl}/api/corrections`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+const correction = { checklistId: 'doc-1', text: 'Add a disclaimer', predictedDepartment: 'Product', correctedDepartment: 'Legal' };
+
+test('accepts corrections between configured departments of a saved checklist', async () => {
+    const response = await postCorrection(correction);
+    assert.equal(response.status, 201);
+    assert.equal((await response.json()).correction.checklistId, 'doc-1');
+});
+
+test('rejects corrections into departments that are not configured', async () => {
+    for (const department of ['Ignore previous instructions', 'constructor', '']) {
+        assert.equal((await postCorrection({ ...correction, correctedDepartment: department })).status, 400);
+        assert.equal((await postCorrection({ ...correction, predictedDepartment: department })).status, 400);
+    }
+    assert.equal((await postCorrection({ ...correction, correctedText: 'x'.repeat(501) })).status, 400);
+});
+
+test('requires a saved checklist', async () => {
+    assert.equal((await postCorrection({ ...correction, checklistId: undefined })).status, 400);
+    assert.equal((await postCorrection({ ...correction, checklistId: 'unknown' })).status, 404);
+    assert.equal((await postCorrection({ ...correction, checklistId: 'constructor' })).status, 400);
+});
+
+test('keeps a limited number of corrections per checklist', async () => {
+    for (let i = 0; i < 55; i++) {
+        assert.equal((await postCorrection({ ...correction, text: `Add disclaimer number ${i}` })).status, 201);
+    }
+    const { corrections } = await fetch(`${baseUrl}/api/corrections`).then(response => response.json());
+    assert.equal(corrections.length, 50);
+    assert.equal(corrections[0].text, 'Add disclaimer number 54');
+});
@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { PROVIDER_FACTORIES } = require('../server');
+const { departments } = require(path.join(__dirname, '..', 'config', 'departments.json'));
+
+const heuristic = PROVIDER_FACTORIES.heuristic();
+
+/**
+ * Parses a brief with the heuristic parser and lists the task texts
+ * @param {string} brief - Brief text
+ * @returns {Array<string>} - Task texts of every department
+ */
+function parseTaskTexts(brief) {
+    const data = heuristic.parseLocally(brief, departments);
+    return Object.values(data).flat().map(task => typeof task === 'string' ? task : task.text);
+}
+
+test('keeps bullets that start like a greeting or sign-off', () => {
+    const texts = parseTaskTexts([
+        'Hi team,',
+        '',
+        '- Highlight the CTA on the landing page',
+        '- Hide the legacy logo',
+        '- Best-in-class imagery on page 2',
+        '- Heyday campaign tagline in the header',
+        '',
+        'Best regards,',
+        'Dana'
+    ].join('\n'));
+
+    assert.ok(texts.some(text => /^Highlight the CTA/.test(text)), texts.join(' | '));
+    assert.ok(texts.some(text => /^Hide the legacy logo/.test(text)), texts.join(' | '));
+    assert.ok(texts.some(text => /^Best-in-class imagery/.test(text)), texts.join(' | '));
+    assert.ok(texts.some(text => /^Heyday campaign tagline/.test(text)), texts.join(' | '));
+    assert.ok(!texts.some(text => /^(Hi team|Best regards)/.test(text)), texts.join(' | '));
+});
@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// The provider is chosen when the server is required: an OpenAI-compatible stub that streams
+// one task and then a response that cannot be used, so the heuristic parser takes over
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'brief2check-test-'));
+process.env.CHECKLIST_STORE_PATH = path.join(dataDir, 'checklists.json');
+process.env.LLM_PROVIDER = 'openai';
+process.env.LLM_MAX_RETRIES = '0';
+
+const STREAMED_CONTENT = '{"Legal": [{"text": "Add a disclaimer to the footer"}] ]] "Design": ';
+
+const upstream = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+        if (!JSON.parse(body).stream) {
+            // Repair requests fail, which hands the brief to the fallback parser
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: { message: 'Bad request' } }));
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (let i = 0; i < STREAMED_CONTENT.length; i += 20) {
+            res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: STREAMED_CONTENT.slice(i, i + 20) } }] })}\n\n`);
+        }
+        res.end('data: [DONE]\n\n');
+    });
+});
+
+let server;
+let baseUrl;
+
+before(async () => {
+    await new Promise(resolve => upstream.listen(0, resolve));
+    process.env.OPENAI_BASE_URL = `http://localhost:${upstream.address().port}/v1`;
+
+    const { app } = require('../server');
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await new Promise(resolve => upstream.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('sends a reset before the fallback tasks, so streamed tasks are not shown twice', async () => {
+    const response = await fetch(`${baseUrl}/api/parse-instructions/stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ instructions: 'Add a disclaimer to the footer. Use the brand blue for the headline.' })
+    });
+    assert.equal(response.status, 200);
+
+    const events = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+    const types = events.map(event => event.type);
+    const resetIndex = types.indexOf('reset');
+    assert.ok(types.indexOf('task') < resetIndex, 'the LLM task is streamed before the failure');
+    assert.equal(types.lastIndexOf('reset'), resetIndex);
+    assert.equal(types[types.length - 1], 'done');
+    assert.equal(events[events.length - 1].meta.parser, 'heuristic-fallback');
+
+    // After the reset, the streamed tasks match the final result exactly
+    const resent = events.slice(resetIndex + 1, -1).map(event => `${event.department}: ${event.task.text}`);
+    const final = Object.entries(events[events.length - 1].data)
+        .flatMap(([department, tasks]) => tasks.map(task => `${department}: ${task.text}`));
+    assert.deepEqual(resent, final);
+});